@@ -0,0 +1,145 @@
+// Local mock exchange implementing the ExchangeConnector contract over REST,
+// with order updates and price snapshots pushed over WebSocket. Prices come
+// from the GBM simulator and orders match in the same MatchingEngine the
+// dashboard's paper venue uses, so no network access is needed.
+//
+//   node mock/exchange-server.js [--port 8082] [--interval 1000]
+//
+// REST:  GET /balances?botId=  GET /tickers  GET /orders?botId=
+//        POST /orders  DELETE /orders/:id  GET /fills?botId=&since=
+// WS:    { type: "snapshot", data: [...] } and { type: "order", event }
+const http = require("http");
+const { URL } = require("url");
+const { WebSocketServer } = require("./websocket-server");
+const { loadFleetScripts } = require("./load-fleet-scripts");
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+  });
+}
+
+function startExchangeServer({ port = 8082, interval = 1000, seed } = {}) {
+  const { SeededRandom, GBMMarketDataSource, PaperTradingConnector } =
+    loadFleetScripts(
+      [
+        "seeded-random.js",
+        "market-data-sources.js",
+        "matching-engine.js",
+        "exchange-connectors.js",
+      ],
+      ["SeededRandom", "GBMMarketDataSource", "PaperTradingConnector"]
+    );
+
+  const random = new SeededRandom(seed);
+  const source = new GBMMarketDataSource({
+    random,
+    stepSeconds: interval / 1000,
+  });
+  // Orders report the venue as the dashboard's RestExchangeConnector names it
+  const exchange = new PaperTradingConnector({
+    id: "mock",
+    name: "Mock Exchange",
+    random,
+    feeRate: 0.001,
+  });
+
+  const routes = {
+    "GET /balances": (query) => {
+      if (query.botId === undefined) throw new Error("botId is required");
+      return exchange.getBalances(query.botId);
+    },
+    "GET /tickers": () => exchange.getTickers(),
+    "GET /orders": (query) => exchange.getOpenOrders(query.botId),
+    "POST /orders": (query, body) => exchange.placeOrder(body),
+    "DELETE /orders": async (query, body, id) => ({
+      cancelled: await exchange.cancelOrder(Number(id)),
+    }),
+    "GET /fills": (query) => exchange.getFills(query.botId, query.since),
+  };
+
+  const httpServer = http.createServer(async (request, response) => {
+    const send = (status, data) => {
+      response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      response.end(data === undefined ? "" : JSON.stringify(data));
+    };
+
+    if (request.method === "OPTIONS") {
+      send(204);
+      return;
+    }
+
+    const url = new URL(request.url, `http://localhost:${port}`);
+    const [, resource, id] = url.pathname.split("/");
+    const route = routes[`${request.method} /${resource}`];
+    if (!route) {
+      send(404, { error: `No route for ${request.method} ${url.pathname}` });
+      return;
+    }
+
+    try {
+      const query = {};
+      url.searchParams.forEach((value, key) => {
+        query[key] = key === "botId" ? Number(value) : value;
+      });
+      if (Number.isNaN(query.botId)) {
+        throw new Error("botId must be a number");
+      }
+      const body = request.method === "POST" ? await readBody(request) : {};
+      send(200, await route(query, body, id));
+    } catch (error) {
+      send(400, { error: error.message });
+    }
+  });
+
+  const wss = new WebSocketServer(httpServer);
+  exchange.onOrderEvent((event) => wss.broadcast({ type: "order", event }));
+
+  const tick = async () => {
+    const marketData = await source.getSnapshot();
+    exchange.updateMarketData(marketData);
+    wss.broadcast({ type: "snapshot", data: Object.values(marketData) });
+  };
+  tick();
+  const timer = setInterval(tick, interval);
+
+  httpServer.listen(port);
+
+  return {
+    httpServer,
+    exchange,
+    close() {
+      clearInterval(timer);
+      wss.close();
+      httpServer.close();
+    },
+  };
+}
+
+if (require.main === module) {
+  const port = readOption("port", 8082);
+  startExchangeServer({ port, interval: readOption("interval", 1000) });
+  console.log(`Mock exchange listening on http://localhost:${port}`);
+}
+
+module.exports = { startExchangeServer };
@@ -0,0 +1,72 @@
+// The fleet dashboard is plain browser scripts that share one global scope.
+// This evaluates the requested ones in a sandbox so the mock services run the
+// exact same simulators and engines as the dashboard.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const FLEET_DIR = path.join(__dirname, "..", "src", "fleet");
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+// main dashbored.html loads some scripts under names other than their files'
+const SCRIPT_FILES = {
+  "data-manager.js": "data manger.js",
+  "trading-engine.js": "trading engin.js",
+  "ai-agent.js": "AI agent.js",
+  "app.js": "main appliction.js",
+};
+
+// `globals` adds to the sandbox's global scope, e.g. a WebSocket class
+function loadFleetScripts(files, exportNames, globals = {}) {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    localStorage: createMemoryStorage(),
+    ...globals,
+  });
+
+  files.forEach((file) => {
+    const filename = path.join(FLEET_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+
+  const exported = {};
+  exportNames.forEach((name) => {
+    exported[name] = vm.runInContext(name, context);
+  });
+  return exported;
+}
+
+// Every script the dashboard loads except the UI application itself, in the
+// dashboard's order, with a document that has no elements
+function loadDashboardScripts(exportNames, globals = {}) {
+  const html = fs.readFileSync(
+    path.join(FLEET_DIR, "main dashbored.html"),
+    "utf8"
+  );
+  const files = Array.from(html.matchAll(/<script src="([^"]+)"/g))
+    .map(([, src]) => src)
+    .filter((src) => !/^https?:/.test(src) && src !== "app.js")
+    .map((src) => SCRIPT_FILES[src] || src);
+
+  return loadFleetScripts(files, exportNames, {
+    document: {
+      getElementById: () => null,
+      addEventListener: () => {},
+    },
+    ...globals,
+  });
+}
+
+module.exports = { loadFleetScripts, loadDashboardScripts };
@@ -0,0 +1,70 @@
+// Local mock market feed for WebSocketMarketDataSource. Streams GBM-simulated
+// ticks to every client as { type: "snapshot", data: [...] } messages.
+//
+//   node mock/market-feed-server.js [--port 8081] [--interval 1000]
+const http = require("http");
+const { WebSocketServer } = require("./websocket-server");
+const { loadFleetScripts } = require("./load-fleet-scripts");
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+function startMarketFeedServer({ port = 8081, interval = 1000 } = {}) {
+  const { GBMMarketDataSource } = loadFleetScripts(
+    ["seeded-random.js", "market-data-sources.js"],
+    ["GBMMarketDataSource"]
+  );
+  const source = new GBMMarketDataSource({ stepSeconds: interval / 1000 });
+
+  const httpServer = http.createServer((request, response) => {
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({ symbols: source.getSymbols() }));
+  });
+  const wss = new WebSocketServer(httpServer);
+
+  wss.on("connection", (connection) => {
+    let symbols = null;
+
+    connection.on("message", (raw) => {
+      try {
+        const message = JSON.parse(raw);
+        if (message.type === "subscribe") symbols = message.symbols;
+      } catch (error) {
+        connection.send({ type: "error", message: "Invalid JSON" });
+      }
+    });
+
+    connection.sendTicks = (ticks) => {
+      const data = symbols
+        ? ticks.filter((tick) => symbols.includes(tick.symbol))
+        : ticks;
+      connection.send({ type: "snapshot", data });
+    };
+  });
+
+  const timer = setInterval(async () => {
+    const ticks = Object.values(await source.getSnapshot());
+    wss.connections.forEach((connection) => connection.sendTicks(ticks));
+  }, interval);
+
+  httpServer.listen(port);
+
+  return {
+    httpServer,
+    close() {
+      clearInterval(timer);
+      wss.close();
+      httpServer.close();
+    },
+  };
+}
+
+if (require.main === module) {
+  const port = readOption("port", 8081);
+  startMarketFeedServer({ port, interval: readOption("interval", 1000) });
+  console.log(`Mock market feed streaming on ws://localhost:${port}`);
+}
+
+module.exports = { startMarketFeedServer };
@@ -0,0 +1,229 @@
+// Minimal RFC 6455 WebSocket server, and a client for Node, for the local mock
+// services. They handle the handshake, text frames, ping/pong and close,
+// which is all the fleet dashboard's feeds need, without pulling in a
+// dependency.
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const http = require("http");
+const { URL } = require("url");
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Clients must mask the frames they send (RFC 6455 section 5.3)
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, { mask = false } = {}) {
+    super();
+    this.socket = socket;
+    this.mask = mask;
+    this.buffer = Buffer.alloc(0);
+    this.open = true;
+
+    socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readFrames();
+    });
+    socket.on("close", () => this.handleClose());
+    socket.on("error", () => this.handleClose());
+  }
+
+  readFrames() {
+    while (this.buffer.length >= 2) {
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      const payload = Buffer.from(
+        this.buffer.subarray(offset, offset + length)
+      );
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= this.buffer[maskOffset + (i % 4)];
+        }
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      switch (opcode) {
+        case 0x1:
+          this.emit("message", payload.toString("utf8"));
+          break;
+        case 0x8:
+          this.close();
+          return;
+        case 0x9:
+          this.writeFrame(0xa, payload);
+          break;
+      }
+    }
+  }
+
+  writeFrame(opcode, payload) {
+    if (!this.open) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    if (this.mask) {
+      const key = crypto.randomBytes(4);
+      header[1] |= 0x80;
+      header = Buffer.concat([header, key]);
+      payload = Buffer.from(payload);
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= key[i % 4];
+      }
+    }
+
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(data) {
+    const text = typeof data === "string" ? data : JSON.stringify(data);
+    this.writeFrame(0x1, Buffer.from(text, "utf8"));
+  }
+
+  close() {
+    if (!this.open) return;
+    this.writeFrame(0x8, Buffer.alloc(0));
+    this.socket.end();
+    this.handleClose();
+  }
+
+  handleClose() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit("close");
+  }
+}
+
+class WebSocketServer extends EventEmitter {
+  constructor(httpServer) {
+    super();
+    this.connections = new Set();
+
+    httpServer.on("upgrade", (request, socket) => {
+      const key = request.headers["sec-websocket-key"];
+      if (!key || request.headers.upgrade.toLowerCase() !== "websocket") {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+      }
+
+      const accept = crypto
+        .createHash("sha1")
+        .update(key + HANDSHAKE_GUID)
+        .digest("base64");
+
+      socket.write(
+        [
+          "HTTP/1.1 101 Switching Protocols",
+          "Upgrade: websocket",
+          "Connection: Upgrade",
+          `Sec-WebSocket-Accept: ${accept}`,
+          "",
+          "",
+        ].join("\r\n")
+      );
+
+      const connection = new WebSocketConnection(socket);
+      this.connections.add(connection);
+      connection.on("close", () => this.connections.delete(connection));
+      this.emit("connection", connection, request);
+    });
+  }
+
+  broadcast(data) {
+    this.connections.forEach((connection) => connection.send(data));
+  }
+
+  close() {
+    this.connections.forEach((connection) => connection.close());
+  }
+}
+
+// Browser-style client (onopen, onmessage, onerror, onclose, send, close)
+// for Node, which has no global WebSocket before v22, so the dashboard's
+// feed and exchange clients can be pointed at the mock services from Node
+class WebSocketClient {
+  constructor(url) {
+    this.url = url;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.connection = null;
+
+    const { hostname, port, pathname, search } = new URL(url);
+    this.request = http.request({
+      hostname,
+      port,
+      path: pathname + search,
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+        "Sec-WebSocket-Version": "13",
+      },
+    });
+
+    this.request.on("upgrade", (response, socket) => {
+      this.connection = new WebSocketConnection(socket, { mask: true });
+      this.connection.on("message", (data) => {
+        if (this.onmessage) this.onmessage({ data });
+      });
+      this.connection.on("close", () => {
+        if (this.onclose) this.onclose();
+      });
+      if (this.onopen) this.onopen();
+    });
+    this.request.on("response", (response) => {
+      response.resume();
+      this.fail(new Error(`Upgrade refused with HTTP ${response.statusCode}`));
+    });
+    this.request.on("error", (error) => this.fail(error));
+    this.request.end();
+  }
+
+  fail(error) {
+    if (this.onerror) this.onerror(error);
+    if (this.onclose) this.onclose();
+  }
+
+  send(data) {
+    if (this.connection) this.connection.send(data);
+  }
+
+  close() {
+    if (this.connection) {
+      this.connection.close();
+    } else {
+      this.request.destroy();
+    }
+  }
+}
+
+module.exports = { WebSocketServer, WebSocketConnection, WebSocketClient };
@@ -1,35 +1,88 @@
 class AIAgent {
-  constructor(dataManager) {
+  constructor(dataManager, random = new SeededRandom()) {
     this.dataManager = dataManager;
+    this.random = random;
+    this.riskAnalytics = new RiskAnalytics(dataManager);
+    this.approvals = new ApprovalQueue(dataManager);
+    this.playbook = new RegimePlaybook(dataManager, {
+      approvals: this.approvals,
+    });
+    this.regimeDetector = new RegimeDetector(dataManager);
+    this.optimizer = new ParameterOptimizer(dataManager);
+    this.predictionTracker = new PredictionTracker(dataManager);
     this.monitoringInterval = null;
     this.botModels = new Map();
     this.marketAnalysis = {};
     this.overallConfidence = 75;
+    // The volatility rule the last risk adjustment was made under
+    this.riskRule = null;
 
     this.initializeBotModels();
   }
 
+  // Learned state lives in dataManager.aiModels so it survives reloads
   initializeBotModels() {
-    this.dataManager.bots.forEach((bot) => {
-      this.botModels.set(bot.id, {
-        learningRate: 0.1,
-        tradeHistory: [],
-        performanceMetrics: {
-          winRate: 0,
-          avgProfit: 0,
-          riskAdjustedReturn: 0,
-        },
+    this.dataManager.bots.forEach((bot) => this.getModel(bot.id));
+  }
+
+  // Runtime model for a bot, built from its saved state on first use, so
+  // bots created after the agent get one too
+  getModel(botId) {
+    if (!this.botModels.has(botId)) {
+      const saved = this.dataManager.getAIModel(botId) || {};
+      this.botModels.set(botId, {
+        learner: new OnlineLogisticModel(saved),
+        // Features each open position was entered on, by symbol
+        entries: { ...saved.entries },
+        // The last shouldTrade verdict, for getTradeType and getConfidence
+        pending: null,
         adaptationFactor: 1.0,
         lastOptimization: null,
       });
+    }
+    return this.botModels.get(botId);
+  }
+
+  saveModel(botId) {
+    const model = this.getModel(botId);
+    this.dataManager.saveAIModel(botId, {
+      ...model.learner.toJSON(),
+      entries: model.entries,
     });
   }
 
+  // Reset, rollback and import replace the saved model; the runtime copy is
+  // rebuilt from it
+  resetModel(botId) {
+    const version = this.dataManager.resetAIModel(botId);
+    this.botModels.delete(botId);
+    return version;
+  }
+
+  rollbackModel(botId, version) {
+    const restored = this.dataManager.rollbackAIModel(botId, version);
+    this.botModels.delete(botId);
+    return restored;
+  }
+
+  importModel(botId, data) {
+    const version = this.dataManager.importAIModel(botId, data);
+    this.botModels.delete(botId);
+    return version;
+  }
+
+  exportModel(botId) {
+    this.saveModel(botId);
+    return this.dataManager.exportAIModel(botId);
+  }
+
   startMonitoring() {
     this.monitoringInterval = setInterval(() => {
       this.analyzeMarketConditions();
       this.assessPortfolioHealth();
       this.makeStrategicDecisions();
+      this.trackPredictions();
+      this.approvals.expire();
     }, 10000); // Analyze every 10 seconds
 
     this.dataManager.addAIDecision({
@@ -65,40 +118,32 @@ class AIAgent {
     const volumeStrength =
       totalVolume / (1000000 * Object.keys(marketData).length);
 
+    // sentiment is the detected regime, null while history is too short
+    const regimeDetection = this.regimeDetector.detect();
     this.marketAnalysis = {
       volatility: avgVolatility,
       trend: marketTrend,
       volume: volumeStrength,
-      sentiment: this.calculateMarketSentiment(marketTrend, avgVolatility),
-      timestamp: new Date().toISOString(),
+      sentiment: regimeDetection.regime,
+      regimeDetection,
+      timestamp: this.dataManager.now().toISOString(),
     };
 
-    // Adjust confidence based on market conditions
     this.updateConfidence();
   }
 
-  calculateMarketSentiment(trend, volatility) {
-    if (trend > 0.5 && volatility < 0.03) return "strong_bull";
-    if (trend > 0.2 && volatility < 0.05) return "bull";
-    if (trend < -0.5 && volatility > 0.08) return "strong_bear";
-    if (trend < -0.2 && volatility > 0.05) return "bear";
-    return "neutral";
-  }
-
+  // How sure the agent is of the regime it acts on
   updateConfidence() {
-    const { volatility, trend, volume } = this.marketAnalysis;
-
-    let confidence = 75; // Base confidence
-
-    // Adjust based on market conditions
-    if (volatility < 0.04) confidence += 10; // Low volatility -> higher confidence
-    if (Math.abs(trend) > 0.3) confidence += 5; // Clear trend -> higher confidence
-    if (volume > 0.7) confidence += 5; // High volume -> higher confidence
-    if (volatility > 0.08) confidence -= 15; // High volatility -> lower confidence
+    const { regime, probabilities } = this.marketAnalysis.regimeDetection;
+    const confidence = regime ? probabilities[regime] * 100 : 50;
 
     this.overallConfidence = Math.max(20, Math.min(95, confidence));
   }
 
+  getRegimeDetection() {
+    return this.marketAnalysis.regimeDetection || this.regimeDetector.detect();
+  }
+
   assessPortfolioHealth() {
     const stats = this.dataManager.getOverallStats();
     const activeBots = this.dataManager.bots.filter(
@@ -107,27 +152,32 @@ class AIAgent {
 
     let healthScore = 100;
     let recommendations = [];
+    const rules = [];
 
     // Check success rate
     if (stats.successRate < 40) {
       healthScore -= 30;
+      rules.push("success rate < 40%");
       recommendations.push(
         "Low success rate detected. Consider strategy adjustment."
       );
     }
 
     // Check drawdown
-    const losingBots = activeBots.filter((bot) => bot.profit < 0).length;
-    if (losingBots > activeBots.length * 0.6) {
+    const losingBots = activeBots.filter((bot) => bot.profit < 0);
+    if (losingBots.length > activeBots.length * 0.6) {
       healthScore -= 25;
+      rules.push("over 60% of active bots losing");
       recommendations.push(
         "Multiple bots in drawdown. Review risk parameters."
       );
     }
 
     // Check correlation
-    if (this.detectHighCorrelation()) {
+    const averageCorrelation = this.riskAnalytics.getAverageCorrelation();
+    if (this.detectHighCorrelation(averageCorrelation)) {
       healthScore -= 20;
+      rules.push("average bot correlation > 0.7");
       recommendations.push(
         "High correlation detected between bots. Diversification needed."
       );
@@ -139,229 +189,350 @@ class AIAgent {
         type: "portfolio_health",
         message: `Portfolio health: ${healthScore}/100. ${recommendations[0]}`,
         confidence: 85,
+        inputs: {
+          ...this.getDecisionInputs(),
+          healthScore,
+          losingBots: losingBots.length,
+          activeBots: activeBots.length,
+          averageCorrelation,
+        },
+        rule: rules.join("; "),
+        botIds: losingBots.map((bot) => bot.id),
       });
     }
   }
 
-  detectHighCorrelation() {
-    // Simplified correlation detection
-    const recentTrades = this.dataManager.tradingHistory.slice(0, 50);
-    const tradeDirections = recentTrades.map((t) => (t.success ? 1 : -1));
-    const correlation = Math.abs(
-      tradeDirections.reduce((a, b) => a + b, 0) / tradeDirections.length
-    );
+  // Mean pairwise correlation of the bots' bucketed returns
+  detectHighCorrelation(
+    averageCorrelation = this.riskAnalytics.getAverageCorrelation()
+  ) {
+    return averageCorrelation > 0.7;
+  }
 
-    return correlation > 0.7;
+  // What the agent's fleet-level decisions are based on: the latest market
+  // analysis and the fleet's performance
+  getDecisionInputs() {
+    const { volatility, trend, volume, sentiment } = this.marketAnalysis;
+    const stats = this.dataManager.getOverallStats();
+    const detection = this.marketAnalysis.regimeDetection;
+    return {
+      volatility,
+      trend,
+      volume,
+      sentiment,
+      regimeProbability:
+        detection && sentiment ? detection.probabilities[sentiment] : null,
+      regimeDurationMs: detection ? detection.durationMs : 0,
+      successRate: stats.successRate,
+      totalProfit: stats.totalProfit,
+      confidence: this.overallConfidence,
+    };
   }
 
+  // Regime changes run the playbook in settings.playbook
   makeStrategicDecisions() {
-    const { sentiment, volatility, trend } = this.marketAnalysis;
-
-    // Market condition based decisions
-    switch (sentiment) {
-      case "strong_bull":
-        this.activateAggressiveStrategies();
-        break;
-      case "bull":
-        this.activateGrowthStrategies();
-        break;
-      case "bear":
-        this.activateDefensiveStrategies();
-        break;
-      case "strong_bear":
-        this.activateHedgingStrategies();
-        break;
-      default:
-        this.activateBalancedStrategies();
+    const { sentiment, volatility } = this.marketAnalysis;
+    if (!sentiment) return;
+
+    this.playbook.update(sentiment, this.getDecisionInputs());
+
+    // Risk management decisions, once each time a volatility rule starts to
+    // hold rather than on every cycle it still does
+    const [adjustment, rule] =
+      volatility > 0.08
+        ? [-0.1, "volatility > 0.08"]
+        : volatility < 0.03
+        ? [0.05, "volatility < 0.03"]
+        : [0, null];
+    if (rule === this.riskRule) return;
+    if (!rule || this.adjustRiskParameters(adjustment, rule)) {
+      this.riskRule = rule;
     }
-
-    // Risk management decisions
-    if (volatility > 0.08) {
-      this.adjustRiskParameters(-0.1);
-    } else if (volatility < 0.03) {
-      this.adjustRiskParameters(0.05);
-    }
-  }
-
-  activateAggressiveStrategies() {
-    this.dataManager.bots.forEach((bot) => {
-      if (bot.status === "active") {
-        this.dataManager.updateBot(bot.id, {
-          riskLevel: Math.min(0.9, bot.riskLevel + 0.1),
-        });
-      }
-    });
-
-    this.dataManager.addAIDecision({
-      type: "strategy",
-      message: "Bull market detected: Activated aggressive trading strategies",
-      confidence: 80,
-    });
   }
 
-  activateDefensiveStrategies() {
-    this.dataManager.bots.forEach((bot) => {
-      if (bot.status === "active") {
-        this.dataManager.updateBot(bot.id, {
-          riskLevel: Math.max(0.1, bot.riskLevel - 0.15),
-        });
-      }
+  // Goes through the approval queue; with approval required the bots keep
+  // their riskLevel until the operator approves. Returns false when no
+  // active bot had a riskLevel to change.
+  adjustRiskParameters(adjustment, rule) {
+    const changes = this.dataManager.bots
+      .filter((bot) => bot.status === "active")
+      .flatMap((bot) =>
+        this.dataManager.diffBot(bot.id, {
+          riskLevel: Math.max(0.1, Math.min(0.9, bot.riskLevel + adjustment)),
+        })
+      );
+    if (changes.length === 0) return false;
+
+    const summary = `risk by ${Math.abs(adjustment * 100).toFixed(0)}% for ${
+      changes.length
+    } active bot(s) (${rule})`;
+    const inputs = this.getDecisionInputs();
+    const { status } = this.approvals.submit({
+      action: "risk_adjustment",
+      key: `risk_adjustment:${rule}`,
+      message: `${adjustment > 0 ? "Raise" : "Lower"} ${summary}`,
+      rule,
+      inputs,
+      changes,
     });
+    if (status === "unchanged") return true;
 
     this.dataManager.addAIDecision({
-      type: "strategy",
-      message: "Bear market detected: Activated defensive trading strategies",
-      confidence: 75,
-    });
-  }
-
-  activateBalancedStrategies() {
-    this.dataManager.addAIDecision({
-      type: "strategy",
-      message: "Neutral market: Maintaining balanced portfolio allocation",
-      confidence: 70,
-    });
-  }
-
-  adjustRiskParameters(adjustment) {
-    this.dataManager.bots.forEach((bot) => {
-      if (bot.status === "active") {
-        const newRisk = Math.max(
-          0.1,
-          Math.min(0.9, bot.riskLevel + adjustment)
-        );
-        this.dataManager.updateBot(bot.id, { riskLevel: newRisk });
-      }
+      type: "risk_adjustment",
+      message:
+        status === "applied"
+          ? `${adjustment > 0 ? "Raised" : "Lowered"} ${summary}`
+          : `Proposed to ${
+              adjustment > 0 ? "raise" : "lower"
+            } ${summary}; awaiting approval`,
+      confidence: this.overallConfidence,
+      inputs,
+      rule,
+      changes: status === "applied" ? changes : [],
+      botIds: changes.map((change) => change.botId),
     });
+    return true;
   }
 
   // Bot-specific AI methods
-  shouldTrade(botId, marketConditions) {
-    const model = this.botModels.get(botId);
-    if (!model) return false;
 
+  // Positions are closed once held for settings.learning.holdingPeriodMs,
+  // which gives the model its labelled examples. New trades go ahead when the
+  // model's edge either way clears minEdge, which relaxes as riskLevel rises;
+  // otherwise it explores at explorationRate in a random direction, so a
+  // fresh model still gets examples to learn from.
+  shouldTrade(botId, marketConditions, symbol) {
+    const model = this.getModel(botId);
     const bot = this.dataManager.bots.find((b) => b.id === botId);
-    const performance = this.dataManager.getBotPerformance(botId);
-
-    // AI decision making based on multiple factors
-    let tradeScore = 0;
-
-    // Market condition scoring
-    tradeScore += marketConditions.volatility * 30;
-    tradeScore += Math.abs(marketConditions.trend) * 25;
-    tradeScore += marketConditions.volume * 20;
+    if (!bot) return false;
+
+    const config = this.dataManager.settings.learning;
+    const features = OnlineLogisticModel.features(marketConditions);
+    const probability = model.learner.predict(features);
+    const requiredEdge = config.minEdge * 2 * (1 - bot.riskLevel);
+    const position = this.dataManager.ledger.getPosition(botId, symbol);
+    const entry = model.entries[symbol];
+    const now = this.dataManager.now().getTime();
+
+    if (
+      position.quantity !== 0 &&
+      entry &&
+      now - new Date(entry.openedAt).getTime() >= config.holdingPeriodMs
+    ) {
+      model.pending = {
+        side: position.quantity > 0 ? "sell" : "buy",
+        probability,
+      };
+      this.logSignal(bot, symbol, "holding period exit", {
+        ...features,
+        probability,
+        heldMs: now - new Date(entry.openedAt).getTime(),
+      });
+      return true;
+    }
 
-    // Bot performance scoring
-    tradeScore += (performance.successRate / 100) * 15;
-    tradeScore += Math.min(10, performance.totalProfit / 100) * 10;
+    let side = null;
+    let rule = null;
+    if (probability !== 0.5 && Math.abs(probability - 0.5) >= requiredEdge) {
+      side = probability > 0.5 ? "buy" : "sell";
+      rule = "model edge";
+    } else if (this.random.next() < config.explorationRate) {
+      side = this.random.next() < 0.5 ? "buy" : "sell";
+      rule = "exploration";
+    }
+    model.pending = side ? { side, probability } : null;
+    if (!side) return false;
+
+    this.logSignal(bot, symbol, rule, {
+      ...features,
+      probability,
+      edge: Math.abs(probability - 0.5),
+      requiredEdge,
+      riskLevel: bot.riskLevel,
+    });
 
-    // Risk adjustment
-    tradeScore *= bot.riskLevel;
+    // Remember what a new position was based on, to learn from its close
+    if (position.quantity === 0) {
+      model.entries[symbol] = {
+        features,
+        openedAt: this.dataManager.now().toISOString(),
+      };
+    }
+    return true;
+  }
 
-    return tradeScore > 45 && Math.random() > 0.3;
+  logSignal(bot, symbol, rule, inputs) {
+    const { side } = this.getModel(bot.id).pending;
+    this.dataManager.addSignal({
+      message: `${bot.name}: ${side} ${symbol} (${rule}, P(long wins) ${(
+        inputs.probability * 100
+      ).toFixed(1)}%)`,
+      confidence: this.getConfidence(bot.id),
+      inputs,
+      rule: `online logistic model: ${rule}`,
+      botIds: [bot.id],
+    });
   }
 
   getTradeType(botId, marketConditions) {
-    return marketConditions.trend > 0 ? "buy" : "sell";
+    const model = this.getModel(botId);
+    if (model.pending) return model.pending.side;
+
+    const features = OnlineLogisticModel.features(marketConditions);
+    return model.learner.predict(features) >= 0.5 ? "buy" : "sell";
   }
 
+  // The model's probability for the side it picked, as a percentage
   getConfidence(botId) {
-    const model = this.botModels.get(botId);
-    const bot = this.dataManager.bots.find((b) => b.id === botId);
-    const performance = this.dataManager.getBotPerformance(botId);
-
-    if (!model || !bot) return 50;
+    const pending = this.getModel(botId).pending;
+    if (!pending) return 50;
 
-    let confidence = this.overallConfidence;
-
-    // Adjust based on bot performance
-    confidence += (performance.successRate - 50) / 2;
-    confidence += Math.min(20, performance.totalProfit / 10);
-    confidence *= bot.riskLevel;
-
-    return Math.max(20, Math.min(95, confidence));
+    const probability =
+      pending.side === "buy" ? pending.probability : 1 - pending.probability;
+    return probability * 100;
   }
 
+  // A closed position is one example: label 1 when a long would have made
+  // money under its entry conditions (a winning long or a losing short).
+  // Steps are larger while recent accuracy is poor, via adaptationFactor.
   learnFromTrade(botId, decision, profit) {
-    const model = this.botModels.get(botId);
-    if (!model) return;
-
-    model.tradeHistory.push({
-      decision,
-      profit,
-      timestamp: new Date().toISOString(),
+    const model = this.getModel(botId);
+    const entry = model.entries[decision.symbol];
+    if (!entry) return;
+
+    const config = this.dataManager.settings.learning;
+    const label = (decision.type === "sell") === profit > 0 ? 1 : 0;
+    const accuracy = model.learner.getAccuracy();
+    model.adaptationFactor =
+      accuracy === null
+        ? 1
+        : Math.max(0.5, Math.min(1.5, 1 + (0.5 - accuracy) * 2));
+
+    model.learner.update(entry.features, label, {
+      learningRate: config.learningRate * model.adaptationFactor,
+      l2: config.l2,
+      accuracyWindow: config.accuracyWindow,
     });
 
-    // Keep only recent history
-    if (model.tradeHistory.length > 100) {
-      model.tradeHistory = model.tradeHistory.slice(-100);
+    const position = this.dataManager.ledger.getPosition(
+      botId,
+      decision.symbol
+    );
+    if (position.quantity === 0) delete model.entries[decision.symbol];
+    this.saveModel(botId);
+
+    if (
+      model.learner.updates %
+        this.dataManager.settings.learning.snapshotEvery ===
+      0
+    ) {
+      this.dataManager.snapshotAIModel(
+        botId,
+        `${model.learner.updates} updates`
+      );
     }
-
-    // Update performance metrics
-    this.updateBotModel(botId);
   }
 
-  updateBotModel(botId) {
-    const model = this.botModels.get(botId);
-    if (!model || model.tradeHistory.length < 10) return;
-
-    const recentTrades = model.tradeHistory.slice(-20);
-    const winningTrades = recentTrades.filter((t) => t.profit > 0);
-    const totalProfit = recentTrades.reduce((sum, t) => sum + t.profit, 0);
-
-    model.performanceMetrics.winRate =
-      (winningTrades.length / recentTrades.length) * 100;
-    model.performanceMetrics.avgProfit = totalProfit / recentTrades.length;
-    model.performanceMetrics.riskAdjustedReturn =
-      model.performanceMetrics.avgProfit /
-      (model.performanceMetrics.winRate / 100 || 1);
+  getModelDiagnostics(botId) {
+    const model = this.getModel(botId);
+    const record = this.dataManager.getAIModelRecord(botId);
+    return {
+      version: record.version,
+      snapshots: record.snapshots.map(({ version, reason, createdAt }) => ({
+        version,
+        reason,
+        createdAt,
+      })),
+      bias: model.learner.bias,
+      weights: { ...model.learner.weights },
+      accuracy: model.learner.getAccuracy(),
+      samples: model.learner.outcomes.length,
+      updates: model.learner.updates,
+      adaptationFactor: model.adaptationFactor,
+    };
   }
 
-  optimizeBot(botId) {
+  // Searches the bot's parameters on recent recorded market data (see
+  // ParameterOptimizer). A better set goes through the approval queue, with
+  // the search result kept as the proposal's details.
+  async optimizeBot(botId, strategy) {
     const bot = this.dataManager.bots.find((b) => b.id === botId);
-    const model = this.botModels.get(botId);
-    const performance = this.dataManager.getBotPerformance(botId);
-
-    if (!bot || !model) {
+    if (!bot) {
       return { success: false, message: "Bot not found" };
     }
 
-    let optimization = "";
-    let confidence = 75;
-
-    // AI optimization logic
-    if (performance.successRate < 40) {
-      // Reduce risk for low success rate
-      const newRisk = Math.max(0.1, bot.riskLevel - 0.2);
-      this.dataManager.updateBot(botId, { riskLevel: newRisk });
-      optimization = `Reduced risk from ${(bot.riskLevel * 100).toFixed(
-        0
-      )}% to ${(newRisk * 100).toFixed(0)}% due to low success rate`;
-      confidence = 80;
-    } else if (performance.successRate > 70 && performance.totalProfit > 50) {
-      // Increase risk for high performance
-      const newRisk = Math.min(0.9, bot.riskLevel + 0.15);
-      this.dataManager.updateBot(botId, { riskLevel: newRisk });
-      optimization = `Increased risk from ${(bot.riskLevel * 100).toFixed(
-        0
-      )}% to ${(newRisk * 100).toFixed(0)}% due to strong performance`;
-      confidence = 85;
+    const result = await this.optimizer.optimize(bot, strategy);
+    this.getModel(botId).lastOptimization = this.dataManager
+      .now()
+      .toISOString();
+
+    const improved = result.best.score > result.current.score;
+    const objective = OPTIMIZER_OBJECTIVES[result.objective];
+    const key = `optimization:${botId}`;
+    const changes = improved ? this.getOptimizationChanges(bot, result) : [];
+    let status = null;
+    if (improved) {
+      ({ status } = this.approvals.submit({
+        action: "optimization",
+        key,
+        message: `${bot.name} parameters with a better ${objective} over ${result.evaluations} backtests`,
+        rule: `${OPTIMIZER_METHODS[result.method]} on ${objective}`,
+        inputs: result.best.metrics,
+        changes,
+        details: result,
+      }));
     } else {
-      optimization =
-        "Maintaining current parameters - performance within optimal range";
-      confidence = 70;
+      this.approvals.withdraw(
+        (proposal) => proposal.key === key,
+        "a newer search kept the current parameters"
+      );
     }
 
-    model.lastOptimization = new Date().toISOString();
-
     return {
       success: true,
       botName: bot.name,
-      message: optimization,
-      confidence: confidence,
+      improved,
+      result,
+      // Applied at once when the approval policy allows it
+      changes: status === "applied" ? changes : [],
+      message: improved
+        ? `${
+            OPTIMIZER_METHODS[result.method]
+          } found parameters with a better ${objective} over ${
+            result.evaluations
+          } backtests; ${
+            status === "applied" ? "applied" : "awaiting approval"
+          }`
+        : `current parameters scored best on ${objective} over ${result.evaluations} backtests`,
+      // More closing trades behind the best score make it more trustworthy
+      confidence: Math.min(95, 50 + result.best.metrics.closingTrades),
     };
   }
 
+  // Strategy parameters as params.<name> fields, or the bot's riskLevel
+  getOptimizationChanges(bot, result) {
+    const { current, best } = result;
+    if (!result.tunesParams) {
+      return this.dataManager.diffBot(bot.id, best.params);
+    }
+    return Object.keys(best.params)
+      .filter((name) => best.params[name] !== current.params[name])
+      .map((name) => ({
+        botId: bot.id,
+        field: `params.${name}`,
+        before: current.params[name],
+        after: best.params[name],
+      }));
+  }
+
+  getOptimizationProposal(botId) {
+    return (
+      this.approvals
+        .getPending("optimization")
+        .find((proposal) => proposal.key === `optimization:${botId}`) || null
+    );
+  }
+
   getOverallConfidence() {
     return Math.round(this.overallConfidence);
   }
@@ -378,21 +549,55 @@ class AIAgent {
     return Math.max(-100, Math.min(100, prediction));
   }
 
-  getRiskAssessment() {
-    const stats = this.dataManager.getOverallStats();
-    const activeBots = this.dataManager.bots.filter(
-      (bot) => bot.status === "active"
-    );
+  // Scores predictions whose horizon has passed and logs a new one every
+  // settings.predictions.intervalMs
+  trackPredictions() {
+    this.predictionTracker.score();
+    if (!this.marketAnalysis.timestamp || !this.predictionTracker.isDue()) {
+      return;
+    }
+    this.predictionTracker.record(this.predictMarketMove(), {
+      confidence: this.getOverallConfidence(),
+    });
+  }
 
-    let riskScore = 0;
+  getPredictionReport() {
+    return this.predictionTracker.getReport();
+  }
 
-    // Calculate risk score based on multiple factors
-    riskScore += (1 - stats.successRate / 100) * 40;
-    riskScore += this.marketAnalysis.volatility * 30;
-    riskScore +=
-      (activeBots.filter((b) => b.riskLevel > 0.7).length / activeBots.length) *
-      30;
+  // 0-100, mostly from the fleet's expected shortfall at the highest
+  // configured confidence level as a share of the drawdown limit, with the
+  // rest from how correlated the bots are
+  getRiskAssessment() {
+    const valueAtRisk = this.riskAnalytics.getValueAtRisk();
+    if (valueAtRisk.length === 0) return 0;
 
-    return Math.min(100, riskScore);
+    const worst = valueAtRisk.reduce((a, b) =>
+      b.confidence > a.confidence ? b : a
+    );
+    const limit =
+      this.riskAnalytics.getFleetCapital() *
+      this.dataManager.settings.maxDrawdown;
+    const tailScore = Math.max(0, worst.historicalCVaR / limit) * 80;
+    const correlationScore = this.riskAnalytics.getAverageCorrelation() * 20;
+
+    return Math.min(100, tailScore + correlationScore);
   }
 }
+
+// Trades on the bot's OnlineLogisticModel; riskLevel sets how much edge it
+// needs
+StrategyRegistry.register({
+  id: "ai_adaptive",
+  name: "Neural Network Adaptive",
+  description:
+    "Online logistic regression on market conditions, learning from each closed trade",
+  marketData: ["candles"],
+  decide: ({ engine, bot, symbol, conditions }) => ({
+    execute: engine.aiAgent.shouldTrade(bot.id, conditions, symbol),
+    type: engine.aiAgent.getTradeType(bot.id, conditions),
+    symbol,
+    amount: engine.allocator.getTradeSize(bot),
+    confidence: Math.round(engine.aiAgent.getConfidence(bot.id)),
+  }),
+});
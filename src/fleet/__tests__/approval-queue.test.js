@@ -0,0 +1,139 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "ApprovalQueue", "AIAgent"]);
+
+const MINUTE = 60 * 1000;
+
+// A queue over a default fleet whose clock the test moves
+const setup = () => {
+  const clock = { now: Date.UTC(2024, 0, 1) };
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(clock.now),
+  });
+  const queue = new fleet.ApprovalQueue(dataManager);
+  const [bot] = dataManager.bots;
+  return { clock, dataManager, queue, bot };
+};
+
+const riskTo = (bot, after) => ({
+  action: "risk_adjustment",
+  key: "risk",
+  message: `risk to ${after}`,
+  rule: "test",
+  changes: [
+    { botId: bot.id, field: "riskLevel", before: bot.riskLevel, after },
+  ],
+});
+
+const approvalMessages = (dataManager) =>
+  dataManager.aiDecisions
+    .filter((decision) => decision.type === "approval")
+    .map((decision) => decision.message);
+
+describe("ApprovalQueue", () => {
+  it("logs the pending proposal a newer one supersedes", () => {
+    const { dataManager, queue, bot } = setup();
+    dataManager.settings.approvals.policies.risk_adjustment = "manual";
+
+    const first = queue.submit(riskTo(bot, 0.2)).proposal;
+    const second = queue.submit(riskTo(bot, 0.3));
+
+    expect(second.status).toBe("pending");
+    expect(queue.getPending().map((p) => p.id)).toEqual([second.proposal.id]);
+    const [superseded] = dataManager.aiDecisions.filter(
+      (decision) => decision.type === "approval"
+    );
+    expect(superseded.message).toBe(
+      "Superseded volatility risk adjustment: risk to 0.2"
+    );
+    expect(superseded.inputs.proposalId).toBe(first.id);
+    expect(superseded.changes).toEqual([]);
+  });
+
+  it("keeps a pending proposal that is proposed again unchanged", () => {
+    const { dataManager, queue, bot } = setup();
+    dataManager.settings.approvals.policies.risk_adjustment = "manual";
+
+    const first = queue.submit(riskTo(bot, 0.2)).proposal;
+    const again = queue.submit(riskTo(bot, 0.2));
+
+    expect(again.status).toBe("unchanged");
+    expect(again.proposal.id).toBe(first.id);
+    expect(approvalMessages(dataManager)).toEqual([]);
+  });
+
+  it("lets risk reductions through and queues increases", () => {
+    const { dataManager, queue, bot } = setup();
+    dataManager.settings.approvals.policies.risk_adjustment = "reductions";
+    const before = bot.riskLevel;
+
+    expect(queue.submit(riskTo(bot, before - 0.1)).status).toBe("applied");
+    expect(dataManager.bots[0].riskLevel).toBeCloseTo(before - 0.1, 10);
+    expect(queue.submit(riskTo(dataManager.bots[0], 0.9)).status).toBe(
+      "pending"
+    );
+    expect(dataManager.bots[0].riskLevel).toBeCloseTo(before - 0.1, 10);
+  });
+
+  it("expires proposals nobody approved in time", () => {
+    const { clock, dataManager, queue, bot } = setup();
+    dataManager.settings.approvals.policies.risk_adjustment = "manual";
+    queue.submit(riskTo(bot, 0.2));
+
+    clock.now += 29 * MINUTE;
+    expect(queue.expire()).toEqual([]);
+    clock.now += MINUTE;
+    expect(queue.expire().length).toBe(1);
+    expect(queue.getPending()).toEqual([]);
+    expect(approvalMessages(dataManager)).toEqual([
+      "Expired volatility risk adjustment: risk to 0.2",
+    ]);
+  });
+});
+
+describe("AIAgent risk adjustment", () => {
+  // An agent over an active fleet, with the volatility the test sets
+  const agentSetup = () => {
+    const { dataManager } = setup();
+    dataManager.bots.forEach((bot) =>
+      dataManager.updateBot(bot.id, { status: "active" })
+    );
+    const agent = new fleet.AIAgent(dataManager);
+    const cycle = (volatility) => {
+      agent.marketAnalysis = { sentiment: "neutral", volatility };
+      agent.makeStrategicDecisions();
+    };
+    const adjustments = () =>
+      dataManager.aiDecisions.filter(
+        (decision) => decision.type === "risk_adjustment"
+      );
+    return { dataManager, agent, cycle, adjustments };
+  };
+
+  it("adjusts once per volatility episode", () => {
+    const { dataManager, cycle, adjustments } = agentSetup();
+    const before = dataManager.bots[0].riskLevel;
+
+    cycle(0.1);
+    cycle(0.12);
+    expect(adjustments().length).toBe(1);
+    expect(dataManager.bots[0].riskLevel).toBeCloseTo(before - 0.1, 10);
+
+    cycle(0.05);
+    cycle(0.1);
+    expect(adjustments().length).toBe(2);
+    expect(adjustments()[1].rule).toBe("volatility > 0.08");
+  });
+
+  it("proposes once per episode when approval is required", () => {
+    const { dataManager, agent, cycle, adjustments } = agentSetup();
+    dataManager.settings.approvals.policies.risk_adjustment = "manual";
+
+    cycle(0.1);
+    cycle(0.1);
+
+    expect(adjustments().length).toBe(1);
+    expect(agent.approvals.getPending("risk_adjustment").length).toBe(1);
+  });
+});
@@ -0,0 +1,121 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "TradingEngine"]);
+
+const SECOND = 1000;
+
+// An engine whose clock the test moves and whose venue prices it sets
+const setup = () => {
+  const clock = { now: Date.UTC(2024, 0, 1) };
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(clock.now),
+  });
+  const engine = new fleet.TradingEngine({ dataManager });
+  const bot = dataManager.bots.find((b) => b.type === "arbitrage");
+  const quote = (symbol, price) => ({
+    [symbol]: {
+      symbol,
+      price,
+      change: 0,
+      volume: 1,
+      timestamp: new Date(clock.now).toISOString(),
+    },
+  });
+  // Each venue's mid; venues left out have no book for the symbol
+  const setPrices = (symbol, mids) => {
+    dataManager.recordMarketData({
+      ...dataManager.marketData,
+      ...quote(symbol, Object.values(mids)[0]),
+    });
+    Object.entries(mids).forEach(([venueId, mid]) => {
+      engine.arbitrage
+        .getVenue(venueId)
+        .matchingEngine.updateMarketData(quote(symbol, mid));
+    });
+  };
+  const position = () =>
+    dataManager.ledger.getPosition(bot.id, "BTC/USD").quantity;
+  const balance = async (venueId) =>
+    (await engine.arbitrage.getVenue(venueId).getBalances(bot.id)).BTC || 0;
+  return { clock, dataManager, engine, bot, setPrices, position, balance };
+};
+
+describe("Arbitrage legs", () => {
+  it("moves the bought leg to the sell venue and sells it once it lands", async () => {
+    const { clock, dataManager, engine, bot, setPrices, position, balance } =
+      setup();
+    setPrices("BTC/USD", { alpha: 45000, beta: 45300 });
+    const decision = engine.arbitrage.decide(bot, 1000);
+    expect(decision.legs.map((leg) => leg.venue)).toEqual(["alpha", "beta"]);
+
+    await engine.submitLegs(bot, decision);
+
+    const bought = position();
+    const [transfer] = dataManager.arbitrageState.transfers;
+    expect(bought).toBeGreaterThan(0);
+    expect(transfer.quantity).toBeCloseTo(bought, 12);
+    // Alpha's 2s plus beta's 5s
+    expect(new Date(transfer.arrivesAt).getTime()).toBe(clock.now + 7 * SECOND);
+    expect(await balance("alpha")).toBeCloseTo(0, 12);
+
+    await engine.settleTransfers();
+    expect(position()).toBe(bought);
+
+    // The price risk of the transfer is the bot's to take
+    clock.now += 7 * SECOND;
+    setPrices("BTC/USD", { alpha: 45000, beta: 45100 });
+    await engine.settleTransfers();
+
+    expect(position()).toBeCloseTo(0, 12);
+    expect(dataManager.arbitrageState.transfers).toEqual([]);
+    expect(await balance("beta")).toBeCloseTo(0, 12);
+    const [sale] = dataManager.tradingHistory;
+    expect(sale.type).toBe("sell");
+    expect(sale.price).toBeLessThan(45100);
+  });
+
+  it("flags a leg that cannot be sold and retries it each cycle", async () => {
+    const { clock, dataManager, engine, bot, setPrices, position } = setup();
+    setPrices("BTC/USD", { alpha: 45000, beta: 45300 });
+    await engine.submitLegs(bot, engine.arbitrage.decide(bot, 1000));
+
+    clock.now += 7 * SECOND;
+    engine.circuitBreakers.trip("symbols", "BTC/USD", "BTC/USD", "test", {});
+    await engine.settleTransfers();
+    await engine.settleTransfers();
+
+    const [transfer] = dataManager.arbitrageState.transfers;
+    expect(transfer.unmatched).toBe(true);
+    expect(position()).toBeGreaterThan(0);
+    expect(
+      dataManager.aiDecisions.filter((d) => /Unmatched leg/.test(d.message))
+        .length
+    ).toBe(1);
+
+    engine.circuitBreakers.reset("symbols", "BTC/USD", "BTC/USD");
+    await engine.settleTransfers();
+    expect(position()).toBeCloseTo(0, 12);
+    expect(dataManager.arbitrageState.transfers).toEqual([]);
+  });
+
+  it("logs each skipped symbol at most once per skipLogIntervalMs", () => {
+    const { clock, dataManager, engine, bot, setPrices } = setup();
+    setPrices("BTC/USD", { alpha: 45000, beta: 45000 });
+    setPrices("ETH/USD", { alpha: 3000, beta: 3030 });
+
+    engine.arbitrage.decide(bot, 1000);
+    engine.arbitrage.decide(bot, 1000);
+    const logged = () =>
+      dataManager.arbitrageLog.map((entry) => [entry.symbol, entry.taken]);
+    expect(logged()).toEqual([
+      ["ETH/USD", true],
+      ["ETH/USD", true],
+      ["BTC/USD", false],
+    ]);
+
+    clock.now += 60 * SECOND;
+    engine.arbitrage.decide(bot, 1000);
+    expect(logged()[1]).toEqual(["BTC/USD", false]);
+  });
+});
@@ -0,0 +1,118 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts([
+  "Backtester",
+  "DataManager",
+  "GBMMarketDataSource",
+  "PaperTradingConnector",
+  "SeededRandom",
+]);
+
+// Five second GBM ticks for every default symbol
+const recordTicks = async (frames, seed) => {
+  const source = new fleet.GBMMarketDataSource({
+    random: new fleet.SeededRandom(seed),
+  });
+  const start = Date.UTC(2024, 0, 1);
+  const ticks = [];
+  for (let frame = 0; frame < frames; frame++) {
+    const timestamp = new Date(start + frame * 5000).toISOString();
+    Object.values(await source.getSnapshot()).forEach((quote) => {
+      ticks.push({ ...quote, timestamp });
+    });
+  }
+  return { ticks };
+};
+
+// What a run decided, without the wall clock ids and timestamps
+const outcome = (report) =>
+  report.bots.concat(report.fleet).map((summary) => ({
+    totalTrades: summary.totalTrades,
+    totalProfit: summary.totalProfit,
+    maxDrawdown: summary.maxDrawdown,
+    winRate: summary.winRate,
+    equityCurve: summary.equityCurve,
+    trades: summary.trades.map((t) => [
+      t.botId,
+      t.symbol,
+      t.type,
+      t.quantity,
+      t.price,
+      t.profit,
+      t.timestamp,
+    ]),
+  }));
+
+describe("Backtester", () => {
+  let data;
+  let bots;
+  let settings;
+
+  beforeAll(async () => {
+    data = await recordTicks(200, 11);
+    const dataManager = new fleet.DataManager({ persist: false });
+    bots = dataManager.bots;
+    settings = dataManager.settings;
+  });
+
+  it("replays the same trades for the same seed", async () => {
+    const first = await new fleet.Backtester(bots, { settings, seed: 42 }).run(
+      data
+    );
+    const second = await new fleet.Backtester(bots, { settings, seed: 42 }).run(
+      data
+    );
+
+    expect(first.fleet.totalTrades).toBeGreaterThan(0);
+    expect(outcome(second)).toEqual(outcome(first));
+  });
+
+  it("leaves the bots it was given untouched", async () => {
+    const before = JSON.stringify(bots);
+    await new fleet.Backtester(bots, { settings, seed: 1 }).run(data);
+
+    expect(JSON.stringify(bots)).toBe(before);
+  });
+
+  it("persists reports without their trades", async () => {
+    const report = await new fleet.Backtester(bots, { settings, seed: 3 }).run(
+      await recordTicks(600, 5)
+    );
+    const dataManager = new fleet.DataManager();
+    dataManager.addBacktestResult(report);
+    const [stored] = new fleet.DataManager().backtestResults;
+
+    expect(report.fleet.trades.length).toBeGreaterThan(0);
+    expect(stored.fleet.trades).toBeUndefined();
+    expect(stored.fleet.totalProfit).toBe(report.fleet.totalProfit);
+    expect(stored.fleet.equityCurve.length).toBe(100);
+    expect(stored.fleet.equityCurve[99]).toEqual(
+      report.fleet.equityCurve[report.fleet.equityCurve.length - 1]
+    );
+    stored.bots.forEach((summary) => {
+      expect(summary.trades).toBeUndefined();
+    });
+  });
+
+  it("trades on the paper venue whatever exchange is configured", async () => {
+    const live = {
+      ...settings,
+      exchange: { type: "mock", url: "http://localhost:1" },
+      marketDataSource: { type: "websocket", url: "ws://localhost:1" },
+    };
+    const backtester = new fleet.Backtester(bots, {
+      settings: live,
+      seed: 42,
+    });
+    const { dataManager, engine } = backtester.createSandbox();
+
+    expect(engine.exchange).toBeInstanceOf(fleet.PaperTradingConnector);
+    expect(dataManager.settings.marketDataSource.type).toBe("simulated");
+    expect(live.exchange.type).toBe("mock");
+
+    const paper = await new fleet.Backtester(bots, { settings, seed: 42 }).run(
+      data
+    );
+    expect(outcome(await backtester.run(data))).toEqual(outcome(paper));
+  });
+});
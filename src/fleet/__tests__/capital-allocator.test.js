@@ -0,0 +1,68 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts([
+  "DataManager",
+  "CapitalAllocator",
+  "RiskManager",
+]);
+
+// Five default bots with $10,000 each; arbitrage tilted to twice the share
+// of the others, so it is due a third of the fleet and the rest a sixth
+const setup = () => {
+  const dataManager = new fleet.DataManager({ persist: false });
+  const allocator = new fleet.CapitalAllocator(dataManager);
+  const [arbitrage, ...others] = dataManager.bots;
+  const ledger = dataManager.ledger;
+  dataManager.allocationState.tilts = { arbitrage: 2 };
+  return { dataManager, allocator, ledger, arbitrage, others };
+};
+
+describe("CapitalAllocator budgets", () => {
+  it("moves free cash to the bots the budgets favour", () => {
+    const { allocator, ledger, arbitrage, others } = setup();
+
+    allocator.rebalance();
+
+    expect(ledger.getEquity(arbitrage.id)).toBeCloseTo(50000 / 3, 6);
+    others.forEach((bot) => {
+      expect(ledger.getEquity(bot.id)).toBeCloseTo(50000 / 6, 6);
+      expect(ledger.getTotalPnl(bot.id)).toBeCloseTo(0, 6);
+    });
+    expect(arbitrage.profit).toBeCloseTo(0, 6);
+  });
+
+  it("leaves cash tied up in positions where it is", () => {
+    const { allocator, ledger, arbitrage, others } = setup();
+    ledger.fill(others[0].id, "BTC/USD", "buy", 0.225, 40000, 0);
+
+    allocator.rebalance();
+
+    expect(ledger.getSummary(others[0].id).cash).toBeCloseTo(0, 6);
+    expect(ledger.getEquity(arbitrage.id)).toBeCloseTo(
+      10000 + 3 * (10000 - 50000 / 6) + 1000,
+      6
+    );
+  });
+
+  it("does not let a transfer out read as a drawdown", () => {
+    const { dataManager, allocator, others } = setup();
+    const riskManager = new fleet.RiskManager(dataManager);
+    others.forEach((bot) => {
+      bot.status = "active";
+    });
+    riskManager.check();
+
+    allocator.rebalance();
+
+    expect(riskManager.check()).toEqual([]);
+  });
+
+  it("sizes trades within what is left of the budget", () => {
+    const { allocator, ledger, arbitrage } = setup();
+
+    expect(allocator.getTradeSize(arbitrage)).toBeCloseTo(300, 10);
+
+    ledger.fill(arbitrage.id, "BTC/USD", "buy", 0.2475, 40000, 0);
+    expect(allocator.getTradeSize(arbitrage)).toBeCloseTo(100, 6);
+  });
+});
@@ -0,0 +1,143 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "CircuitBreakers"]);
+
+const MINUTE = 60 * 1000;
+
+// Breakers over a default fleet whose clock the test moves
+const setup = () => {
+  const clock = { now: Date.UTC(2024, 0, 1) };
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(clock.now),
+  });
+  const breakers = new fleet.CircuitBreakers(dataManager);
+  // Records a quote and runs the symbol breakers on it
+  const tick = (symbol, price) => {
+    const marketData = {
+      [symbol]: {
+        symbol,
+        price,
+        change: 0,
+        volume: 1,
+        timestamp: new Date(clock.now).toISOString(),
+      },
+    };
+    dataManager.recordMarketData(marketData);
+    return breakers.checkSymbols(marketData);
+  };
+  const loss = (bot, profit = -10) =>
+    dataManager.addTrade({ botId: bot.id, profit, closedQuantity: 1 });
+  return { clock, dataManager, breakers, tick, loss, bot: dataManager.bots[0] };
+};
+
+describe("CircuitBreakers symbol moves", () => {
+  it("halts a symbol that moves past its limit within the window", () => {
+    const { clock, breakers, tick } = setup();
+    tick("BTC/USD", 45000);
+    clock.now += MINUTE;
+
+    expect(tick("BTC/USD", 46000)).toEqual([]);
+    expect(tick("BTC/USD", 47400)).toEqual(["BTC/USD"]);
+    expect(breakers.isSymbolHalted("BTC/USD")).toBe(true);
+    expect(
+      breakers.getBreaker("symbols", "BTC/USD").trigger.movePct
+    ).toBeCloseTo((47400 / 45000 - 1) * 100, 10);
+  });
+
+  it("only measures the move within symbolWindowMs", () => {
+    const { clock, breakers, tick } = setup();
+    tick("BTC/USD", 45000);
+    clock.now += 3 * MINUTE;
+    tick("BTC/USD", 46000);
+    clock.now += 3 * MINUTE;
+
+    expect(tick("BTC/USD", 47400)).toEqual([]);
+    expect(breakers.isSymbolHalted("BTC/USD")).toBe(false);
+  });
+
+  it("gives volatile symbols a wider limit than the default", () => {
+    const { dataManager, breakers, tick } = setup();
+
+    // LINK's simulated jitter alone can move it 6% from tick to tick
+    tick("LINK/USD", 18 * 0.97);
+    expect(tick("LINK/USD", 18 * 1.03)).toEqual([]);
+    expect(breakers.getMoveLimit("LINK/USD")).toBe(10);
+    expect(breakers.getMoveLimit("BTC/USD")).toBe(5);
+
+    delete dataManager.settings.circuitBreakers.symbolMovePctBySymbol;
+    expect(breakers.getMoveLimit("LINK/USD")).toBe(5);
+  });
+});
+
+describe("CircuitBreakers bot losses", () => {
+  it("halts a bot after maxConsecutiveLosses losing trades", () => {
+    const { dataManager, breakers, loss, bot } = setup();
+    dataManager.settings.circuitBreakers.maxConsecutiveLosses = 3;
+
+    loss(bot);
+    loss(bot);
+    loss(bot, 5);
+    loss(bot);
+    loss(bot);
+    expect(breakers.checkBot(bot)).toBe(false);
+
+    loss(bot);
+    expect(breakers.checkBot(bot)).toBe(true);
+    expect(bot.status).toBe("halted");
+    expect(breakers.getBreaker("bots", bot.id).trigger.consecutiveLosses).toBe(
+      3
+    );
+  });
+
+  it("halts a bot that lost more than maxLossPerHour", () => {
+    const { clock, breakers, loss, bot } = setup();
+    loss(bot, -300);
+    loss(bot, 50);
+    clock.now += 61 * MINUTE;
+    loss(bot, -300);
+    loss(bot, 50);
+
+    expect(breakers.checkBot(bot)).toBe(false);
+
+    loss(bot, -300);
+    loss(bot, 10);
+    expect(breakers.checkBot(bot)).toBe(true);
+    expect(breakers.getBreaker("bots", bot.id).trigger.hourlyPnl).toBe(-540);
+  });
+});
+
+describe("CircuitBreakers cooldown", () => {
+  it("resumes a halted bot once the cooldown is over", () => {
+    const { clock, dataManager, breakers, loss, bot } = setup();
+    dataManager.settings.circuitBreakers.maxConsecutiveLosses = 1;
+    loss(bot);
+    breakers.checkBot(bot);
+
+    clock.now += 14 * MINUTE;
+    expect(breakers.checkCooldowns()).toEqual([]);
+
+    clock.now += MINUTE;
+    expect(breakers.checkCooldowns()).toEqual([bot.id]);
+    expect(bot.status).toBe("active");
+    // The loss that tripped it no longer counts
+    expect(breakers.checkBot(bot)).toBe(false);
+  });
+
+  it("waits for the operator when requireConfirmation is set", () => {
+    const { clock, dataManager, breakers, tick } = setup();
+    dataManager.settings.circuitBreakers.requireConfirmation = true;
+    tick("BTC/USD", 45000);
+    tick("BTC/USD", 50000);
+
+    expect(breakers.confirmSymbol("BTC/USD")).toBe(false);
+    clock.now += 15 * MINUTE;
+    breakers.checkCooldowns();
+    expect(breakers.getBreaker("symbols", "BTC/USD").awaitingConfirmation).toBe(
+      true
+    );
+
+    expect(breakers.confirmSymbol("BTC/USD")).toBe(true);
+    expect(breakers.isSymbolHalted("BTC/USD")).toBe(false);
+  });
+});
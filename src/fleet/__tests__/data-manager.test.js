@@ -0,0 +1,370 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const quotes = (price, timestamp = new Date().toISOString()) => ({
+  "BTC/USD": {
+    symbol: "BTC/USD",
+    price,
+    change: 0,
+    volume: 10,
+    timestamp,
+  },
+});
+
+// A DataManager script sandbox whose localStorage logs the keys written
+const loadRecording = (globals = {}) => {
+  const writes = [];
+  const items = new Map();
+  const fleet = loadDashboardScripts(["DataManager"], {
+    localStorage: {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => {
+        writes.push(key);
+        items.set(key, value);
+      },
+      removeItem: (key) => items.delete(key),
+    },
+    ...globals,
+  });
+  return { fleet, writes, items };
+};
+
+describe("DataManager persistence", () => {
+  it("keeps trading when localStorage is full", () => {
+    const warnings = [];
+    const fleet = loadDashboardScripts(["DataManager"], {
+      console: { ...console, warn: (...args) => warnings.push(args) },
+      localStorage: {
+        getItem: () => null,
+        setItem: () => {
+          throw new Error("QuotaExceededError");
+        },
+        removeItem: () => {},
+      },
+    });
+    const dataManager = new fleet.DataManager();
+
+    expect(() => {
+      dataManager.recordMarketData(quotes(45000));
+      dataManager.flush();
+    }).not.toThrow();
+    expect(warnings.length).toBeGreaterThan(0);
+  });
+
+  it("writes the changes of a cycle together", async () => {
+    const { fleet, writes, items } = loadRecording();
+    const dataManager = new fleet.DataManager({ saveDelayMs: 10 });
+    await wait(20);
+    writes.length = 0;
+
+    for (let i = 0; i < 20; i++) {
+      dataManager.recordMarketData(quotes(45000 + i));
+      dataManager.addAIDecision({ type: "test", message: `tick ${i}` });
+    }
+    expect(writes).toEqual([]);
+
+    await wait(20);
+    expect(writes.filter((key) => key === "fleetAI_data").length).toBe(1);
+    const saved = JSON.parse(items.get("fleetAI_data"));
+    expect(saved.marketData["BTC/USD"].price).toBe(45019);
+    expect(saved.aiDecisions[0].message).toBe("tick 19");
+  });
+
+  it("writes on unload only when a save is pending", async () => {
+    const unloadListeners = [];
+    const window = {
+      addEventListener: (type, listener) => {
+        if (type === "beforeunload") unloadListeners.push(listener);
+      },
+    };
+    const { fleet, writes } = loadRecording({ window });
+    const dataManager = new fleet.DataManager({ saveDelayMs: 10 });
+    await wait(20);
+    writes.length = 0;
+
+    unloadListeners.forEach((listener) => listener());
+    expect(writes).toEqual([]);
+
+    dataManager.addAIDecision({ type: "test", message: "unsaved" });
+    unloadListeners.forEach((listener) => listener());
+    expect(writes).toContain("fleetAI_data");
+    expect(dataManager.saveTimer).toBe(null);
+  });
+
+  it("rewrites only the candle series that closed a candle", () => {
+    const { fleet, writes } = loadRecording();
+    const dataManager = new fleet.DataManager();
+    const start = Date.UTC(2024, 0, 1);
+    const at = (seconds) => new Date(start + seconds * 1000).toISOString();
+
+    dataManager.recordMarketData(quotes(100, at(0)));
+    dataManager.recordMarketData(quotes(101, at(5)));
+    dataManager.flush();
+    expect(writes.filter((key) => key.startsWith("fleetAI_candles:"))).toEqual(
+      []
+    );
+
+    writes.length = 0;
+    dataManager.recordMarketData(quotes(102, at(15)));
+    dataManager.flush();
+    expect(writes).toEqual([
+      "fleetAI_data",
+      "fleetAI_candles:BTC/USD:15s",
+      "fleetAI_candles",
+    ]);
+
+    writes.length = 0;
+    dataManager.recordMarketData(quotes(103, at(60)));
+    dataManager.recordMarketData(quotes(104, at(70)));
+    dataManager.flush();
+    expect(writes).toEqual([
+      "fleetAI_data",
+      "fleetAI_candles:BTC/USD:15s",
+      "fleetAI_candles:BTC/USD:1m",
+      "fleetAI_candles",
+    ]);
+
+    const reloaded = new fleet.DataManager();
+    ["15s", "1m", "5m", "1h"].forEach((timeframe) => {
+      expect(reloaded.getCandles("BTC/USD", timeframe)).toEqual(
+        dataManager.getCandles("BTC/USD", timeframe)
+      );
+    });
+    expect(reloaded.getCandles("BTC/USD", "15s").length).toBe(3);
+  });
+
+  it("loads candle history saved as whole series", () => {
+    const { fleet, items } = loadRecording();
+    items.set(
+      "fleetAI_candles",
+      JSON.stringify({
+        "BTC/USD": {
+          "1m": [
+            [0, 100, 102, 99, 101, 5],
+            [60000, 101, 103, 100, 103, 7],
+          ],
+        },
+      })
+    );
+    const dataManager = new fleet.DataManager();
+    expect(dataManager.getCandles("BTC/USD", "1m").map((c) => c.close)).toEqual(
+      [101, 103]
+    );
+
+    dataManager.flush();
+    const reloaded = new fleet.DataManager();
+    expect(reloaded.getCandles("BTC/USD", "1m")).toEqual(
+      dataManager.getCandles("BTC/USD", "1m")
+    );
+  });
+
+  it("removes stored candle series on reset", () => {
+    const { fleet, items } = loadRecording();
+    const dataManager = new fleet.DataManager();
+    dataManager.recordMarketData(quotes(100, "2024-01-01T00:00:00Z"));
+    dataManager.recordMarketData(quotes(101, "2024-01-01T00:01:00Z"));
+    dataManager.flush();
+    expect(items.has("fleetAI_candles:BTC/USD:1m")).toBe(true);
+
+    dataManager.resetData();
+    expect(items.has("fleetAI_candles:BTC/USD:1m")).toBe(false);
+    expect(new fleet.DataManager().getCandles("BTC/USD", "1m")).toEqual([]);
+  });
+});
+
+describe("TradingEngine reset", () => {
+  it("clears orders, sessions, logs and the venues' resting orders", async () => {
+    const fleet = loadDashboardScripts(["DataManager", "TradingEngine"]);
+    const dataManager = new fleet.DataManager({ persist: false });
+    const engine = new fleet.TradingEngine({ dataManager });
+    dataManager.startSession(engine.random.seed);
+    await engine.marketDataSource.connect();
+    await engine.updateMarketData();
+
+    const [bot] = dataManager.bots;
+    const price = dataManager.marketData["BTC/USD"].price;
+    await engine.submitOrder(bot, {
+      symbol: "BTC/USD",
+      side: "buy",
+      type: "limit",
+      quantity: 0.01,
+      limitPrice: price * 0.5,
+    });
+    dataManager.addArbitrageLog({ message: "spread" });
+    expect(await engine.exchange.getOpenOrders()).toHaveLength(1);
+
+    await engine.resetData();
+
+    expect(dataManager.orders).toEqual([]);
+    expect(dataManager.arbitrageLog).toEqual([]);
+    expect(dataManager.sessions).toEqual([dataManager.session]);
+    expect(dataManager.defaultData.orders).toEqual([]);
+    expect(await engine.exchange.getOpenOrders()).toEqual([]);
+  });
+});
+
+describe("DataManager performance metrics", () => {
+  const fleet = loadDashboardScripts(["DataManager"]);
+  const start = Date.UTC(2024, 0, 1);
+
+  // Bot 1 trades once a minute with these profits
+  const trade = (historyLimit, profits) => {
+    let now = start;
+    const dataManager = new fleet.DataManager({
+      persist: false,
+      historyLimit,
+      clock: () => new Date(now),
+    });
+    profits.forEach((profit, i) => {
+      now = start + i * 60000;
+      dataManager.addTrade({ botId: 1, symbol: "BTC/USD", profit });
+    });
+    return dataManager;
+  };
+
+  it("starts truncated history from the equity its dropped trades left", () => {
+    const dataManager = trade(3, [100, -50, 30, -20, 10]);
+    const metrics = dataManager.getBotPerformance(1);
+
+    expect(dataManager.droppedTrades[1]).toEqual({ count: 2, profit: 50 });
+    expect(metrics.historyFrom).toBe(new Date(start + 120000).toISOString());
+    expect(metrics.maxDrawdown).toBe(20);
+    expect(metrics.maxDrawdownPercent).toBeCloseTo((20 / 10080) * 100, 10);
+    expect(dataManager.getOverallStats().historyFrom).toBe(metrics.historyFrom);
+  });
+
+  it("leaves windows the retained history covers unlabeled", () => {
+    const dataManager = trade(3, [100, -50, 30, -20, 10]);
+
+    const recent = dataManager.getBotPerformance(1, { from: start + 180000 });
+
+    expect(recent.historyFrom).toBe(null);
+    expect(recent.maxDrawdown).toBe(20);
+    expect(trade(10, [100, -50]).getBotPerformance(1).historyFrom).toBe(null);
+  });
+});
+
+describe("DataManager decision log", () => {
+  const fleet = loadDashboardScripts(["DataManager"]);
+
+  it("keeps decisions when trade signals pile up", () => {
+    const dataManager = new fleet.DataManager({ persist: false });
+    dataManager.addAIDecision({ type: "circuit_breaker", message: "halt" });
+    for (let i = 0; i < 150; i++) {
+      dataManager.addSignal({ message: `signal ${i}` });
+    }
+    dataManager.addAIDecision({ type: "risk", message: "derisk" });
+
+    expect(dataManager.aiDecisions.map((d) => d.message)).toEqual([
+      "derisk",
+      "halt",
+    ]);
+    expect(dataManager.signalLog.length).toBe(100);
+    expect(dataManager.signalLog[0].type).toBe("trade_signal");
+
+    const feed = dataManager.getDecisionFeed();
+    expect(feed.length).toBe(102);
+    expect(feed[0].message).toBe("derisk");
+    expect(feed[1].message).toBe("signal 149");
+    expect(new Set(feed.map((d) => d.id)).size).toBe(feed.length);
+  });
+});
+
+describe("DataManager model versions", () => {
+  const fleet = loadDashboardScripts(["DataManager", "AIAgent"]);
+  const trained = { bias: 0.3, weights: { trend: 0.8 }, updates: 10 };
+
+  const setup = () => {
+    const dataManager = new fleet.DataManager({ persist: false });
+    dataManager.saveAIModel(1, JSON.parse(JSON.stringify(trained)));
+    return dataManager;
+  };
+
+  it("numbers snapshots and keeps the newest maxSnapshots", () => {
+    const dataManager = setup();
+    dataManager.settings.learning.maxSnapshots = 2;
+
+    expect(dataManager.snapshotAIModel(1, "first")).toBe(1);
+    dataManager.getAIModel(1).bias = 0.5;
+    expect(dataManager.snapshotAIModel(1, "second")).toBe(2);
+    expect(dataManager.snapshotAIModel(1, "third")).toBe(3);
+
+    const { snapshots } = dataManager.getAIModelRecord(1);
+    expect(snapshots.map((s) => [s.version, s.reason])).toEqual([
+      [3, "third"],
+      [2, "second"],
+    ]);
+    expect(snapshots[1].state.bias).toBe(0.5);
+  });
+
+  it("rolls back to a snapshot, keeping the model it replaced", () => {
+    const dataManager = setup();
+    dataManager.snapshotAIModel(1, "trained");
+    dataManager.saveAIModel(1, { bias: -1, weights: {}, updates: 40 });
+
+    expect(dataManager.rollbackAIModel(1, 1)).toBe(3);
+
+    const record = dataManager.getAIModelRecord(1);
+    expect(record.state).toEqual(trained);
+    expect(record.snapshots.map((s) => [s.version, s.reason])).toEqual([
+      [3, "rollback to v1"],
+      [2, "before rollback to v1"],
+      [1, "trained"],
+    ]);
+    expect(record.snapshots[1].state.bias).toBe(-1);
+    // The live model is a copy, not the snapshot itself
+    record.state.bias = 2;
+    expect(record.snapshots[2].state.bias).toBe(0.3);
+    expect(() => dataManager.rollbackAIModel(1, 9)).toThrow(
+      "Bot 1 has no model snapshot v9"
+    );
+  });
+
+  it("imports an exported model and rejects other formats", () => {
+    const source = setup();
+    const exported = source.exportAIModel(1);
+    const dataManager = new fleet.DataManager({ persist: false });
+
+    expect(dataManager.importAIModel(2, exported)).toBe(2);
+    expect(dataManager.getAIModel(2)).toEqual(trained);
+    expect(dataManager.getAIModelRecord(2).snapshots[0].reason).toBe(
+      "import of bot 1 v0"
+    );
+    expect(() =>
+      dataManager.importAIModel(2, { ...exported, schemaVersion: 0 })
+    ).toThrow("Unsupported model format");
+    expect(() =>
+      dataManager.importAIModel(2, {
+        ...exported,
+        state: { weights: { rsi: 1 } },
+      })
+    ).toThrow('Unknown model feature "rsi"');
+    expect(dataManager.getAIModel(2)).toEqual(trained);
+  });
+
+  it("wraps models saved before versioning", () => {
+    const dataManager = new fleet.DataManager({ persist: false });
+    dataManager.aiModels = { 1: trained };
+
+    dataManager.migrateAIModels();
+
+    const record = dataManager.getAIModelRecord(1);
+    expect(record.version).toBe(0);
+    expect(record.state).toEqual(trained);
+    expect(record.snapshots).toEqual([]);
+  });
+
+  it("rebuilds the agent's runtime model after a rollback", () => {
+    const dataManager = setup();
+    const agent = new fleet.AIAgent(dataManager);
+    dataManager.snapshotAIModel(1, "trained");
+    agent.getModel(1).learner.bias = -1;
+    agent.saveModel(1);
+
+    agent.rollbackModel(1, 1);
+
+    expect(agent.getModel(1).learner.bias).toBe(0.3);
+    expect(agent.getModel(1).learner.weights.trend).toBe(0.8);
+  });
+});
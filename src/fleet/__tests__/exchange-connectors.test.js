@@ -0,0 +1,99 @@
+const http = require("http");
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+const { startExchangeServer } = require("../../../mock/exchange-server");
+const { WebSocketClient } = require("../../../mock/websocket-server");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Just enough of fetch for RestExchangeConnector.request
+const httpFetch = (url, { method, headers, body }) =>
+  new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, (response) => {
+      let data = "";
+      response.on("data", (chunk) => {
+        data += chunk;
+      });
+      response.on("end", () =>
+        resolve({
+          ok: response.statusCode < 400,
+          json: async () => JSON.parse(data),
+        })
+      );
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+
+describe("RestExchangeConnector against the mock exchange", () => {
+  const fleet = loadDashboardScripts([
+    "DataManager",
+    "TradingEngine",
+    "RestExchangeConnector",
+  ]);
+  let server;
+  let exchange;
+  let engine;
+  let dataManager;
+
+  beforeEach((done) => {
+    server = startExchangeServer({ port: 0, interval: 20, seed: 7 });
+    server.httpServer.on("listening", async () => {
+      exchange = new fleet.RestExchangeConnector({
+        url: `http://localhost:${server.httpServer.address().port}`,
+        fetch: httpFetch,
+        WebSocket: WebSocketClient,
+      });
+      await exchange.connect();
+      dataManager = new fleet.DataManager({ persist: false });
+      engine = new fleet.TradingEngine({ dataManager, exchange });
+      done();
+    });
+  });
+
+  afterEach(async () => {
+    await exchange.disconnect();
+    server.close();
+  });
+
+  it("routes cancels of its orders back to the mock exchange", async () => {
+    const [bot] = dataManager.bots;
+    const order = await engine.submitOrder(bot, {
+      symbol: "BTC/USD",
+      side: "buy",
+      type: "limit",
+      quantity: 0.01,
+      limitPrice: 1,
+    });
+    await wait(50);
+
+    expect(order.venue).toBe("mock");
+    expect(dataManager.orders.map((o) => [o.id, o.venue])).toEqual([
+      [order.id, "mock"],
+    ]);
+
+    await engine.cancelBotOrders(bot.id);
+    await wait(50);
+
+    expect(await exchange.getOpenOrders()).toEqual([]);
+    expect(dataManager.orders[0].status).toBe("cancelled");
+  });
+
+  it("rejects balance requests without a numeric botId", async () => {
+    let missing = null;
+    await exchange.request("GET", "/balances").catch((error) => {
+      missing = error;
+    });
+    let invalid = null;
+    await exchange.getBalances("abc").catch((error) => {
+      invalid = error;
+    });
+
+    expect(missing.message).toBe("botId is required");
+    expect(invalid.message).toBe("botId must be a number");
+    expect(await exchange.getBalances(1)).toEqual({ USD: 10000 });
+  });
+
+  it("refuses to route to an unknown venue", () => {
+    expect(() => engine.getVenue("nowhere")).toThrow('Unknown venue "nowhere"');
+  });
+});
@@ -0,0 +1,76 @@
+const { loadFleetScripts } = require("../../../mock/load-fleet-scripts");
+
+const { Indicators } = loadFleetScripts(["indicators.js"], ["Indicators"]);
+
+const closeTo = (series) =>
+  series.map((value) =>
+    value === null ? null : Number(value.toFixed(10)) + 0
+  );
+
+describe("Indicators", () => {
+  it("seeds the EMA with the SMA of its first period", () => {
+    expect(Indicators.ema([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    expect(closeTo(Indicators.ema([null, 1, 2, 3], 2))).toEqual([
+      null,
+      null,
+      1.5,
+      2.5,
+    ]);
+    expect(Indicators.ema([1, 2], 3)).toEqual([null, null]);
+  });
+
+  it("smooths RSI the Wilder way", () => {
+    expect(Indicators.rsi([1, 2, 1, 2, 1], 2)).toEqual([
+      null,
+      null,
+      50,
+      75,
+      37.5,
+    ]);
+    expect(Indicators.last(Indicators.rsi([1, 2, 3, 4, 5], 3))).toBe(100);
+    expect(Indicators.last(Indicators.rsi([5, 4, 3, 2, 1], 3))).toBe(0);
+    expect(Indicators.rsi([1, 2, 3], 3)).toEqual([null, null, null]);
+  });
+
+  it("measures MACD as the gap between the fast and slow EMAs", () => {
+    // On a straight line each EMA lags by (period - 1) / 2, so MACD settles
+    // at half the periods' difference and its signal line matches it
+    const line = Array.from({ length: 12 }, (_, i) => 100 + i);
+    const { macd, signal, histogram } = Indicators.macd(line, 3, 5, 2);
+
+    expect(closeTo(macd)).toEqual([
+      null,
+      null,
+      null,
+      null,
+      1,
+      1,
+      1,
+      1,
+      1,
+      1,
+      1,
+      1,
+    ]);
+    expect(closeTo(signal).slice(0, 6)).toEqual([
+      null,
+      null,
+      null,
+      null,
+      null,
+      1,
+    ]);
+    expect(closeTo(histogram).slice(5)).toEqual([0, 0, 0, 0, 0, 0, 0]);
+  });
+
+  it("turns the MACD histogram positive when a downtrend reverses", () => {
+    const prices = [
+      ...Array.from({ length: 40 }, (_, i) => 100 - i),
+      ...Array.from({ length: 10 }, (_, i) => 62 + i * 2),
+    ];
+    const { histogram } = Indicators.macd(prices);
+
+    expect(histogram[39]).toBeCloseTo(0, 6);
+    expect(Indicators.last(histogram)).toBeGreaterThan(0);
+  });
+});
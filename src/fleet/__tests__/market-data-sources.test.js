@@ -0,0 +1,279 @@
+const {
+  loadFleetScripts,
+  loadDashboardScripts,
+} = require("../../../mock/load-fleet-scripts");
+const { startMarketFeedServer } = require("../../../mock/market-feed-server");
+const { WebSocketClient } = require("../../../mock/websocket-server");
+
+// The sources log every failed connection attempt
+const quietConsole = { ...console, error: () => {} };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Counts the sockets a source opens
+const countingWebSocket = () => {
+  const counter = { created: 0 };
+  counter.WebSocket = class extends WebSocketClient {
+    constructor(url) {
+      super(url);
+      counter.created++;
+    }
+  };
+  return counter;
+};
+
+// A port nothing listens on
+const closedPort = () =>
+  new Promise((resolve) => {
+    const server = require("net").createServer();
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+describe("WebSocketMarketDataSource", () => {
+  const { WebSocketMarketDataSource } = loadFleetScripts(
+    ["seeded-random.js", "market-data-sources.js"],
+    ["WebSocketMarketDataSource"],
+    { console: quietConsole }
+  );
+  let feed;
+  let url;
+
+  beforeEach((done) => {
+    feed = startMarketFeedServer({ port: 0, interval: 20 });
+    feed.httpServer.on("listening", () => {
+      url = `ws://localhost:${feed.httpServer.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(() => feed.close());
+
+  it("streams quotes for the subscribed symbols from the mock feed", async () => {
+    const source = new WebSocketMarketDataSource({
+      url,
+      WebSocket: WebSocketClient,
+      symbols: ["BTC/USD", "ETH/USD"],
+    });
+    await source.connect();
+    await wait(100);
+    const snapshot = await source.getSnapshot();
+    await source.disconnect();
+
+    expect(Object.keys(snapshot).sort()).toEqual(["BTC/USD", "ETH/USD"]);
+    Object.values(snapshot).forEach((quote) => {
+      expect(quote.price).toBeGreaterThan(0);
+      expect(typeof quote.change).toBe("number");
+      expect(typeof quote.timestamp).toBe("string");
+    });
+  });
+
+  it("reconnects after the feed drops the connection", async () => {
+    const counter = countingWebSocket();
+    const source = new WebSocketMarketDataSource({
+      url,
+      WebSocket: counter.WebSocket,
+      reconnectDelay: 10,
+    });
+    await source.connect();
+    feed.close();
+    await wait(50);
+    await source.disconnect();
+
+    expect(counter.created).toBeGreaterThan(1);
+  });
+
+  it("stops reconnecting once disconnected", async () => {
+    const counter = countingWebSocket();
+    const source = new WebSocketMarketDataSource({
+      url: `ws://localhost:${await closedPort()}`,
+      WebSocket: counter.WebSocket,
+      reconnectDelay: 10,
+    });
+
+    let error = null;
+    await source.connect().catch((e) => {
+      error = e;
+    });
+    await source.disconnect();
+    await wait(50);
+
+    expect(error).not.toBeNull();
+    expect(counter.created).toBe(1);
+  });
+});
+
+describe("TradingEngine market data fallback", () => {
+  it("disconnects an unreachable feed and trades on the simulator", async () => {
+    const counter = countingWebSocket();
+    const fleet = loadDashboardScripts(
+      ["DataManager", "TradingEngine", "WebSocketMarketDataSource"],
+      { console: quietConsole }
+    );
+    const dataManager = new fleet.DataManager({ persist: false });
+    const engine = new fleet.TradingEngine({
+      dataManager,
+      marketDataSource: new fleet.WebSocketMarketDataSource({
+        url: `ws://localhost:${await closedPort()}`,
+        WebSocket: counter.WebSocket,
+        reconnectDelay: 10,
+      }),
+    });
+
+    await engine.initialize();
+    clearInterval(engine.marketUpdateInterval);
+    await wait(50);
+
+    expect(engine.marketDataSource.constructor.name).toBe(
+      "SimulatedMarketDataSource"
+    );
+    expect(Object.keys(dataManager.marketData).length).toBeGreaterThan(0);
+    expect(counter.created).toBe(1);
+  });
+});
+
+describe("GBMMarketDataSource", () => {
+  const { GBMMarketDataSource, SeededRandom } = loadFleetScripts(
+    ["seeded-random.js", "market-data-sources.js"],
+    ["GBMMarketDataSource", "SeededRandom"]
+  );
+  const YEAR_SECONDS = 365 * 24 * 60 * 60;
+
+  it("compounds the drift alone when volatility is zero", async () => {
+    const source = new GBMMarketDataSource({
+      random: new SeededRandom(1),
+      symbols: ["BTC/USD"],
+      drift: 0.5,
+      volatility: 0,
+      stepSeconds: YEAR_SECONDS / 10,
+    });
+
+    await source.getSnapshot();
+    const quote = (await source.getSnapshot())["BTC/USD"];
+
+    expect(source.prices["BTC/USD"]).toBeCloseTo(45000 * Math.exp(0.1), 8);
+    expect(quote.change).toBeCloseTo((Math.exp(0.1) - 1) * 100, 2);
+  });
+
+  it("takes per-symbol parameters and repeats a seed's path", async () => {
+    const options = {
+      symbols: ["BTC/USD", "ETH/USD"],
+      drift: 0,
+      volatility: { "BTC/USD": 0.8 },
+    };
+    const first = new GBMMarketDataSource({
+      ...options,
+      random: new SeededRandom(7),
+    });
+    const second = new GBMMarketDataSource({
+      ...options,
+      random: new SeededRandom(7),
+    });
+
+    for (let i = 0; i < 5; i++) {
+      await first.getSnapshot();
+      await second.getSnapshot();
+      expect(first.prices).toEqual(second.prices);
+    }
+    expect(first.prices["BTC/USD"]).not.toBe(45000);
+    expect(first.prices["ETH/USD"]).toBe(3200);
+  });
+});
+
+describe("ReplayMarketDataSource", () => {
+  const { ReplayMarketDataSource } = loadFleetScripts(
+    ["seeded-random.js", "market-data-sources.js"],
+    ["ReplayMarketDataSource"]
+  );
+
+  it("groups CSV ticks by timestamp in time order", () => {
+    const frames = ReplayMarketDataSource.toFrames(
+      [
+        "Timestamp,Symbol,Price,Volume",
+        "2024-01-01T00:01:00Z,BTC/USD,45100,2",
+        "2024-01-01T00:00:00Z,BTC/USD,45000,1",
+        "2024-01-01T00:00:00Z,ETH/USD,3200",
+        "",
+      ].join("\r\n")
+    );
+
+    expect(frames.length).toBe(2);
+    expect(frames[0].map((tick) => [tick.symbol, tick.price])).toEqual([
+      ["BTC/USD", 45000],
+      ["ETH/USD", 3200],
+    ]);
+    expect(frames[0][1].volume).toBe(0);
+    expect(frames[1][0].timestamp).toBe("2024-01-01T00:01:00.000Z");
+  });
+
+  it("reads JSON ticks with epoch millisecond timestamps", () => {
+    const time = Date.UTC(2024, 0, 1);
+    const json = JSON.stringify({
+      ticks: [{ timestamp: time, symbol: "BTC/USD", price: "45000" }],
+    });
+
+    const [[tick]] = ReplayMarketDataSource.toFrames(json);
+
+    expect(tick.price).toBe(45000);
+    expect(tick.timestamp).toBe(new Date(time).toISOString());
+  });
+
+  it("skips ticks with a bad price or timestamp", () => {
+    const frames = ReplayMarketDataSource.toFrames([
+      { timestamp: "2024-01-01T00:00:00Z", symbol: "BTC/USD", price: "n/a" },
+      { timestamp: "not a date", symbol: "BTC/USD", price: 45000 },
+      { timestamp: "", symbol: "BTC/USD", price: 45000 },
+      { timestamp: 1e20, symbol: "BTC/USD", price: 45000 },
+      { symbol: "BTC/USD", price: 45000 },
+      { timestamp: "2024-01-01T00:00:00Z", symbol: "ETH/USD", price: 3200 },
+    ]);
+
+    expect(frames.length).toBe(1);
+    expect(frames[0].map((tick) => tick.symbol)).toEqual(["ETH/USD"]);
+  });
+
+  it("rejects a CSV without the required columns", () => {
+    expect(() =>
+      ReplayMarketDataSource.toFrames("timestamp,price\n0,1")
+    ).toThrow('Tick file is missing the "symbol" column');
+  });
+
+  it("replays frames as snapshots and holds the last one when done", async () => {
+    const source = new ReplayMarketDataSource({
+      data: "timestamp,symbol,price\n1000,BTC/USD,100\n2000,BTC/USD,110",
+    });
+
+    expect((await source.getSnapshot())["BTC/USD"].price).toBe(100);
+    const second = (await source.getSnapshot())["BTC/USD"];
+    expect(second.change).toBeCloseTo(10, 10);
+    expect(source.isFinished()).toBe(true);
+    expect((await source.getSnapshot())["BTC/USD"]).toEqual(second);
+  });
+});
+
+describe("WebSocketMarketDataSource messages", () => {
+  const { WebSocketMarketDataSource } = loadFleetScripts(
+    ["seeded-random.js", "market-data-sources.js"],
+    ["WebSocketMarketDataSource"],
+    { console: quietConsole }
+  );
+
+  it("ignores messages and ticks that are not objects", () => {
+    const source = new WebSocketMarketDataSource({ WebSocket: class {} });
+
+    [
+      "null",
+      "42",
+      '"text"',
+      "not json",
+      '{"type":"snapshot","data":7}',
+    ].forEach((raw) => expect(() => source.handleMessage(raw)).not.toThrow());
+    source.handleMessage(
+      JSON.stringify([null, 5, { symbol: "BTC/USD", price: 45000 }])
+    );
+
+    expect(Object.keys(source.quotes)).toEqual(["BTC/USD"]);
+  });
+});
@@ -0,0 +1,97 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "MarketMakingStrategy"]);
+
+// The default market maker quoting ETH/USD, with its mid at `price`
+const setup = (price = 100) => {
+  const dataManager = new fleet.DataManager({ persist: false });
+  const strategy = new fleet.MarketMakingStrategy(dataManager);
+  const setMid = (mid) =>
+    dataManager.recordMarketData({
+      "ETH/USD": { symbol: "ETH/USD", price: mid, change: 0, volume: 1 },
+    });
+  setMid(price);
+  const bot = () => dataManager.bots.find((b) => b.type === "market_making");
+  // Books a fill the way the engine does, spread capture included
+  const fill = (side, quantity, fillPrice, fee = 0) => {
+    dataManager.recordFill(bot().id, "ETH/USD", side, quantity, fillPrice, fee);
+    dataManager.updateBot(
+      bot().id,
+      strategy.recordFill(
+        bot(),
+        { side, quantity, price: fillPrice },
+        dataManager.marketData["ETH/USD"].price
+      )
+    );
+  };
+  return { dataManager, strategy, setMid, bot, fill };
+};
+
+describe("MarketMakingStrategy", () => {
+  it("quotes both sides around mid while flat", () => {
+    const { strategy, bot } = setup();
+    const params = strategy.getParams(bot());
+
+    const quotes = strategy.getQuotes(bot(), params, 100);
+
+    expect(quotes.inventory).toBe(0);
+    expect(quotes.buy.price).toBeCloseTo(99.9, 10);
+    expect(quotes.sell.price).toBeCloseTo(100.1, 10);
+    expect(quotes.buy.quantity * quotes.buy.price).toBeCloseTo(200, 10);
+  });
+
+  it("skews quotes against inventory and stops quoting past the limit", () => {
+    const { strategy, bot, fill } = setup();
+    const params = strategy.getParams(bot());
+    fill("buy", 5, 100);
+
+    const long = strategy.getQuotes(bot(), params, 100);
+    expect(long.inventory).toBe(500);
+    expect(long.buy.price).toBeLessThan(99.9);
+    expect(long.sell.price).toBeLessThan(100.1);
+
+    fill("buy", 5, 100);
+    const full = strategy.getQuotes(bot(), params, 100);
+    expect(full.buy).toBe(null);
+    expect(full.sell.quantity * full.sell.price).toBeCloseTo(200, 10);
+  });
+
+  it("books a fill's edge against the mid its quote was priced from", () => {
+    const { strategy, setMid, bot, fill } = setup();
+    const { orders } = strategy.decide(bot());
+    const bid = orders.find((order) => order.side === "buy").limitPrice;
+
+    // Mid moves on before the bid fills
+    setMid(102);
+    fill("buy", 2, bid);
+
+    expect(bot().spreadCapture).toBeCloseTo((100 - bid) * 2, 10);
+  });
+
+  it("falls back to the current mid for quotes it did not price", () => {
+    const { setMid, bot, fill } = setup();
+    setMid(101);
+
+    fill("sell", 2, 101.5);
+
+    expect(bot().spreadCapture).toBeCloseTo(1, 10);
+  });
+
+  it("splits P&L into spread capture, inventory P&L and fees", () => {
+    const { strategy, setMid, bot, fill } = setup();
+    const { orders } = strategy.decide(bot());
+    const bid = orders.find((order) => order.side === "buy").limitPrice;
+    fill("buy", 2, bid, 0.2);
+
+    setMid(102);
+    const metrics = strategy.getMetrics(bot());
+
+    expect(metrics.spreadCapture).toBeCloseTo(0.2, 10);
+    // The two ETH held while mid moved from 100 to 102
+    expect(metrics.inventoryPnl).toBeCloseTo(4, 10);
+    expect(bot().profit).toBeCloseTo(
+      metrics.spreadCapture + metrics.inventoryPnl - 0.2,
+      10
+    );
+  });
+});
@@ -0,0 +1,134 @@
+const { loadFleetScripts } = require("../../../mock/load-fleet-scripts");
+
+const { MatchingEngine, SeededRandom } = loadFleetScripts(
+  ["seeded-random.js", "matching-engine.js"],
+  ["MatchingEngine", "SeededRandom"]
+);
+
+const quote = (price) => ({ "BTC/USD": { symbol: "BTC/USD", price } });
+
+// An engine priced at 100 that logs every event it emits
+const setup = () => {
+  const engine = new MatchingEngine({
+    random: new SeededRandom(1),
+    clock: () => new Date("2024-01-01T12:00:00Z"),
+  });
+  const events = [];
+  engine.onOrderEvent((event) => events.push(event));
+  engine.updateMarketData(quote(100));
+  return { engine, events };
+};
+
+const bookQuantity = (levels) =>
+  levels.reduce((total, level) => total + level.size, 0);
+
+describe("MatchingEngine", () => {
+  it("walks a market order up the book and cancels what it cannot fill", () => {
+    const { engine, events } = setup();
+    const available = bookQuantity(engine.getBook("BTC/USD").asks);
+
+    const order = engine.submitOrder({
+      botId: 1,
+      symbol: "BTC/USD",
+      side: "buy",
+      type: "market",
+      quantity: available + 5,
+    });
+
+    expect(order.status).toBe("cancelled");
+    expect(order.reason).toBe("Remainder cancelled");
+    expect(order.filledQuantity).toBeCloseTo(available, 10);
+    expect(order.fills.length).toBe(10);
+    const prices = order.fills.map((fill) => fill.price);
+    expect(prices).toEqual(prices.slice().sort((a, b) => a - b));
+    expect(prices[0]).toBeGreaterThan(100);
+    expect(events.filter((e) => e.type === "fill").length).toBe(10);
+    expect(engine.getOpenOrders()).toEqual([]);
+  });
+
+  it("rests a limit order, fills it partly as the price moves and cancels the rest", () => {
+    const { engine, events } = setup();
+    const order = engine.submitOrder({
+      botId: 1,
+      symbol: "BTC/USD",
+      side: "buy",
+      type: "limit",
+      quantity: 1000,
+      limitPrice: 95,
+    });
+    expect(order.status).toBe("open");
+    expect(order.fills).toEqual([]);
+
+    engine.updateMarketData(quote(94));
+    const [resting] = engine.getOpenOrders(1);
+    expect(resting.status).toBe("partially_filled");
+    expect(resting.filledQuantity).toBeGreaterThan(0);
+    expect(resting.filledQuantity).toBeLessThan(1000);
+    resting.fills.forEach((fill) => {
+      expect(fill.price).toBeLessThanOrEqual(95);
+    });
+
+    expect(engine.cancelOrder(order.id)).toBe(true);
+    expect(engine.cancelOrder(order.id)).toBe(false);
+    expect(engine.getOpenOrders()).toEqual([]);
+    const last = events[events.length - 1];
+    expect(last.type).toBe("status");
+    expect(last.order.status).toBe("cancelled");
+    expect(last.order.filledQuantity).toBe(resting.filledQuantity);
+  });
+
+  it("kills a fill-or-kill order the book cannot fill in full", () => {
+    const { engine } = setup();
+    const order = engine.submitOrder({
+      botId: 1,
+      symbol: "BTC/USD",
+      side: "sell",
+      type: "limit",
+      quantity: 1000,
+      limitPrice: 90,
+      timeInForce: "FOK",
+    });
+
+    expect(order.status).toBe("cancelled");
+    expect(order.reason).toBe("Fill-or-kill could not be filled");
+    expect(order.fills).toEqual([]);
+  });
+
+  it("keeps a stop pending until the price reaches it", () => {
+    const { engine } = setup();
+    const order = engine.submitOrder({
+      botId: 1,
+      symbol: "BTC/USD",
+      side: "sell",
+      type: "stop",
+      quantity: 0.5,
+      stopPrice: 98,
+    });
+    expect(order.status).toBe("pending");
+
+    engine.updateMarketData(quote(99));
+    expect(engine.getOpenOrders(1)[0].status).toBe("pending");
+
+    engine.updateMarketData(quote(97));
+    expect(engine.getOpenOrders(1)).toEqual([]);
+  });
+
+  it("rejects orders it cannot accept", () => {
+    const { engine } = setup();
+    const reject = (params) =>
+      engine.submitOrder({
+        botId: 1,
+        symbol: "BTC/USD",
+        side: "buy",
+        quantity: 1,
+        ...params,
+      });
+
+    expect(reject({ type: "limit" }).reason).toBe("Limit price is required");
+    expect(reject({ quantity: 0 }).reason).toBe("Quantity must be positive");
+    expect(reject({ symbol: "DOGE/USD" }).reason).toBe(
+      "No market data for DOGE/USD"
+    );
+    expect(reject({ type: "iceberg" }).status).toBe("rejected");
+  });
+});
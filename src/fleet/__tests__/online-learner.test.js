@@ -0,0 +1,109 @@
+const { loadFleetScripts } = require("../../../mock/load-fleet-scripts");
+
+const { OnlineLogisticModel } = loadFleetScripts(
+  ["risk-analytics.js", "online-learner.js"],
+  ["OnlineLogisticModel"]
+);
+
+const options = { learningRate: 0.5, l2: 0.1, accuracyWindow: 3 };
+const features = { trend: 1, momentum: -0.5, volatility: 0, volume: 2 };
+
+describe("OnlineLogisticModel", () => {
+  it("starts neutral on every feature", () => {
+    const model = new OnlineLogisticModel();
+
+    expect(model.weights).toEqual({
+      trend: 0,
+      momentum: 0,
+      volatility: 0,
+      volume: 0,
+    });
+    expect(model.predict(features)).toBe(0.5);
+    expect(model.getAccuracy()).toBe(null);
+  });
+
+  it("centres market conditions into features", () => {
+    expect(
+      OnlineLogisticModel.features({
+        trend: 0.2,
+        marketSentiment: 0.75,
+        volatility: 0.03,
+      })
+    ).toEqual({ trend: 0.2, momentum: 0.5, volatility: 0.03, volume: 0 });
+  });
+
+  it("takes one gradient step on log loss with L2 shrinkage", () => {
+    const model = new OnlineLogisticModel({
+      bias: 0.1,
+      weights: { trend: 0.4, momentum: 0, volatility: 0.2, volume: -0.1 },
+    });
+    const z = 0.1 + 0.4 * 1 + -0.1 * 2;
+    const probability = 1 / (1 + Math.exp(-z));
+    const error = 1 - probability;
+
+    expect(model.update(features, 1, options)).toBeCloseTo(probability, 12);
+
+    expect(model.bias).toBeCloseTo(0.1 + 0.5 * error, 12);
+    expect(model.weights.trend).toBeCloseTo(
+      0.4 + 0.5 * (error * 1 - 0.1 * 0.4),
+      12
+    );
+    expect(model.weights.momentum).toBeCloseTo(0.5 * error * -0.5, 12);
+    // No signal on a zero feature, only shrinkage
+    expect(model.weights.volatility).toBeCloseTo(0.2 - 0.5 * 0.1 * 0.2, 12);
+    expect(model.weights.volume).toBeCloseTo(
+      -0.1 + 0.5 * (error * 2 + 0.1 * 0.1),
+      12
+    );
+    expect(model.updates).toBe(1);
+  });
+
+  it("learns which conditions end in profit", () => {
+    const model = new OnlineLogisticModel();
+    const up = { trend: 1, momentum: 0, volatility: 0, volume: 0 };
+    const down = { trend: -1, momentum: 0, volatility: 0, volume: 0 };
+
+    for (let i = 0; i < 50; i++) {
+      model.update(up, 1, options);
+      model.update(down, 0, options);
+    }
+
+    expect(model.predict(up)).toBeGreaterThan(0.7);
+    expect(model.predict(down)).toBeLessThan(0.3);
+  });
+
+  it("scores its predictions over the last accuracyWindow updates", () => {
+    const model = new OnlineLogisticModel({ bias: 1 });
+
+    // Predicts above 0.5, so a 1 is a hit and a 0 a miss
+    model.update({}, 0, { ...options, learningRate: 0 });
+    model.update({}, 1, { ...options, learningRate: 0 });
+    model.update({}, 1, { ...options, learningRate: 0 });
+    expect(model.getAccuracy()).toBeCloseTo(2 / 3, 12);
+
+    model.update({}, 1, { ...options, learningRate: 0 });
+    expect(model.outcomes).toEqual([1, 1, 1]);
+    expect(model.getAccuracy()).toBe(1);
+  });
+
+  it("round-trips through toJSON and rejects malformed states", () => {
+    const model = new OnlineLogisticModel();
+    model.update(features, 1, options);
+
+    expect(new OnlineLogisticModel(model.toJSON()).toJSON()).toEqual(
+      model.toJSON()
+    );
+    expect(() => OnlineLogisticModel.validate(null)).toThrow(
+      "Model state must be an object"
+    );
+    expect(() => OnlineLogisticModel.validate({ bias: "1" })).toThrow(
+      "Model bias must be a number"
+    );
+    expect(() => OnlineLogisticModel.validate({ weights: { rsi: 1 } })).toThrow(
+      'Unknown model feature "rsi"'
+    );
+    expect(() =>
+      OnlineLogisticModel.validate({ weights: { trend: NaN } })
+    ).toThrow("Weight for trend must be a number");
+  });
+});
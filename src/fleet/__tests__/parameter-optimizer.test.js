@@ -0,0 +1,146 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts([
+  "DataManager",
+  "ParameterOptimizer",
+  "SeededRandom",
+]);
+
+const start = Date.UTC(2024, 0, 1);
+const riskLevel = { min: 0.1, max: 0.9, step: 0.05 };
+
+// An optimizer over a riskLevel-only bot whose backtests are replaced by a
+// score that peaks at riskLevel 0.7
+const setup = (optimizerSettings = {}) => {
+  const dataManager = new fleet.DataManager({ persist: false });
+  Object.assign(dataManager.settings.optimizer, optimizerSettings);
+  const optimizer = new fleet.ParameterOptimizer(dataManager);
+  optimizer.getRecordedTicks = () =>
+    Array.from({ length: 60 }, (_, i) => ({
+      timestamp: start + i * 15000,
+      symbol: "BTC/USD",
+      price: 100,
+      volume: 1,
+    }));
+  optimizer.evaluate = async (bot, candidate) => ({
+    params: candidate,
+    score: -Math.abs(candidate.riskLevel - 0.7),
+    metrics: {},
+  });
+  const bot = { ...dataManager.bots[0], riskLevel: 0.4 };
+  return { dataManager, optimizer, bot };
+};
+
+const levels = (report) => report.top.map((result) => result.params.riskLevel);
+
+describe("ParameterOptimizer", () => {
+  it("snaps values onto a parameter's steps within its range", () => {
+    expect(fleet.ParameterOptimizer.snap(riskLevel, 0.33)).toBe(0.35);
+    expect(fleet.ParameterOptimizer.snap(riskLevel, 2)).toBe(0.9);
+    expect(fleet.ParameterOptimizer.gridValues(riskLevel, 3)).toEqual([
+      0.1, 0.5, 0.9,
+    ]);
+    expect(
+      fleet.ParameterOptimizer.gridValues({ options: ["1m", "5m"] }, 3)
+    ).toEqual(["1m", "5m"]);
+    expect(
+      fleet.ParameterOptimizer.gridValues({ ...riskLevel, default: 0.5 }, 1)
+    ).toEqual([0.5]);
+  });
+
+  it("runs an evenly spaced subset of a grid too large for the budget", () => {
+    const { optimizer } = setup({ gridSteps: 3 });
+    const parameters = {
+      period: { min: 0, max: 10, step: 1 },
+      timeframe: { options: ["1m", "5m"] },
+    };
+
+    expect(optimizer.gridCandidates(parameters, 3)).toEqual([
+      { period: 0, timeframe: "1m" },
+      { period: 10, timeframe: "1m" },
+      { period: 5, timeframe: "5m" },
+    ]);
+    expect(optimizer.gridCandidates(parameters, 10).length).toBe(6);
+  });
+
+  it("grid searches the current values and every grid point", async () => {
+    const { optimizer, bot } = setup({ method: "grid", gridSteps: 5 });
+
+    const report = await optimizer.optimize(bot, null);
+
+    expect(report.tunesParams).toBe(false);
+    expect(report.evaluations).toBe(6);
+    expect(report.current.params).toEqual({ riskLevel: 0.4 });
+    expect(report.best.params).toEqual({ riskLevel: 0.7 });
+    expect(report.frames).toBe(60);
+  });
+
+  it("draws random candidates on the steps and never repeats one", async () => {
+    const { optimizer, bot } = setup({ method: "random", maxEvaluations: 12 });
+    const tried = [];
+    const evaluate = optimizer.evaluate;
+    optimizer.evaluate = (b, candidate, ...rest) => {
+      tried.push(candidate.riskLevel);
+      return evaluate(b, candidate, ...rest);
+    };
+
+    const report = await optimizer.optimize(bot, null);
+
+    expect(report.evaluations).toBe(tried.length);
+    expect(tried.length).toBeLessThanOrEqual(12);
+    expect(new Set(tried).size).toBe(tried.length);
+    tried.forEach((value) => {
+      expect(fleet.ParameterOptimizer.snap(riskLevel, value)).toBe(value);
+    });
+  });
+
+  describe("with a fixed seed", () => {
+    const generateSeed = fleet.SeededRandom.generateSeed;
+    beforeEach(() => {
+      fleet.SeededRandom.generateSeed = () => 42;
+    });
+    afterEach(() => {
+      fleet.SeededRandom.generateSeed = generateSeed;
+    });
+
+    const genetic = () => {
+      const { optimizer, bot } = setup({
+        method: "genetic",
+        populationSize: 4,
+        maxEvaluations: 15,
+      });
+      return optimizer.optimize(bot, null);
+    };
+
+    it("evolves toward the best score within the budget", async () => {
+      const report = await genetic();
+
+      expect(report.seed).toBe(42);
+      expect(report.evaluations).toBeLessThanOrEqual(15);
+      expect(report.best.score).toBeGreaterThan(report.current.score);
+      expect(report.top.length).toBe(5);
+    });
+
+    it("repeats a search from its seed", async () => {
+      const first = await genetic();
+      const second = await genetic();
+
+      expect(levels(second)).toEqual(levels(first));
+      expect(second.evaluations).toBe(first.evaluations);
+    });
+  });
+
+  it("refuses unknown methods and too little recorded data", async () => {
+    const { optimizer, bot } = setup({ method: "annealing" });
+    let error = null;
+    await optimizer.optimize(bot, null).catch((e) => (error = e));
+    expect(error.message).toBe("Unknown optimization method: annealing");
+
+    const short = setup({ minFrames: 61 });
+    error = null;
+    await short.optimizer.optimize(short.bot, null).catch((e) => (error = e));
+    expect(error.message).toBe(
+      "Not enough recorded market data to optimize: 60 of 61 15s candles"
+    );
+  });
+});
@@ -0,0 +1,95 @@
+const { loadFleetScripts } = require("../../../mock/load-fleet-scripts");
+
+const { PerformanceMetrics } = loadFleetScripts(
+  ["risk-analytics.js", "performance-metrics.js"],
+  ["PerformanceMetrics"]
+);
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const trade = (minutes, profit, closedQuantity = 1) => ({
+  timestamp: new Date(minutes * MINUTE).toISOString(),
+  profit,
+  closedQuantity,
+});
+
+// +10%, then -20% from the peak, then part of the way back, one per hour
+const trades = [trade(150, 120), trade(30, 100), trade(90, -220)];
+const options = {
+  startingCapital: 1000,
+  periodMs: HOUR,
+  from: 0,
+  to: 3 * HOUR,
+};
+
+describe("PerformanceMetrics", () => {
+  it("annualizes Sharpe and Sortino from hourly equity returns", () => {
+    const returns = [0.1, 880 / 1100 - 1, 1000 / 880 - 1];
+    const mean = returns.reduce((sum, r) => sum + r, 0) / 3;
+    const sd = Math.sqrt(
+      returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / 2
+    );
+    const downside = Math.sqrt((880 / 1100 - 1) ** 2 / 3);
+    const periodsPerYear = 365 * 24;
+
+    const metrics = PerformanceMetrics.compute(trades, options);
+
+    expect(metrics.annualizedReturn).toBeCloseTo(mean * periodsPerYear, 8);
+    expect(metrics.sharpeRatio).toBeCloseTo(
+      (mean / sd) * Math.sqrt(periodsPerYear),
+      8
+    );
+    expect(metrics.sortinoRatio).toBeCloseTo(
+      (mean / downside) * Math.sqrt(periodsPerYear),
+      8
+    );
+    expect(metrics.calmarRatio).toBeCloseTo(
+      (mean * periodsPerYear * 100) / 20,
+      8
+    );
+  });
+
+  it("measures the deepest drawdown and the time spent under the peak", () => {
+    const metrics = PerformanceMetrics.compute(trades, options);
+
+    expect(metrics.maxDrawdown).toBeCloseTo(220, 10);
+    expect(metrics.maxDrawdownPercent).toBeCloseTo(20, 10);
+    expect(metrics.maxDrawdownDurationMs).toBe(3 * HOUR - 30 * MINUTE);
+
+    const recovered = PerformanceMetrics.compute(
+      trades.concat(trade(170, 150)),
+      options
+    );
+    expect(recovered.maxDrawdownDurationMs).toBe(140 * MINUTE);
+  });
+
+  it("counts opening fees in equity but only closing trades in trade stats", () => {
+    const metrics = PerformanceMetrics.compute(
+      [trade(10, -5, 0), ...trades],
+      options
+    );
+
+    expect(metrics.profitFactor).toBeCloseTo(1, 10);
+    expect(metrics.expectancy).toBeCloseTo(0, 10);
+    expect(metrics.averageWin).toBe(110);
+    expect(metrics.averageLoss).toBe(220);
+    expect(metrics.longestWinStreak).toBe(1);
+    expect(metrics.longestLossStreak).toBe(1);
+    expect(metrics.maxDrawdownPercent).toBeCloseTo((220 / 1095) * 100, 10);
+  });
+
+  it("only looks at trades inside the window", () => {
+    const metrics = PerformanceMetrics.compute(trades, {
+      ...options,
+      startingCapital: 1100,
+      from: HOUR,
+    });
+
+    expect(metrics.averageWin).toBe(120);
+    expect(metrics.maxDrawdown).toBeCloseTo(220, 10);
+    expect(PerformanceMetrics.compute([], options)).toEqual(
+      PerformanceMetrics.empty()
+    );
+  });
+});
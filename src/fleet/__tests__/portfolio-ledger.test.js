@@ -0,0 +1,98 @@
+const { loadFleetScripts } = require("../../../mock/load-fleet-scripts");
+
+const { PortfolioLedger } = loadFleetScripts(
+  ["portfolio-ledger.js"],
+  ["PortfolioLedger"]
+);
+
+describe("PortfolioLedger", () => {
+  it("realizes P&L net of fees when a long closes", () => {
+    const ledger = new PortfolioLedger({
+      initialCapital: 10000,
+      feeRate: 0.001,
+    });
+
+    const open = ledger.fill(1, "BTC/USD", "buy", 0.1, 40000);
+    expect(open.fee).toBeCloseTo(4, 10);
+    expect(open.realizedPnl).toBeCloseTo(-4, 10);
+    expect(open.closedQuantity).toBe(0);
+
+    const close = ledger.fill(1, "BTC/USD", "sell", 0.1, 41000);
+    expect(close.closedQuantity).toBeCloseTo(0.1, 10);
+    expect(close.realizedPnl).toBeCloseTo(100 - 4.1, 10);
+
+    const summary = ledger.getSummary(1);
+    expect(summary.realizedPnl).toBeCloseTo(100 - 8.1, 10);
+    expect(summary.fees).toBeCloseTo(8.1, 10);
+    expect(summary.cash).toBeCloseTo(10000 + 100 - 8.1, 10);
+    expect(summary.positions).toEqual([]);
+  });
+
+  it("marks open positions to market, shorts included", () => {
+    const ledger = new PortfolioLedger({ initialCapital: 10000 });
+    ledger.fill(1, "BTC/USD", "buy", 0.1, 40000);
+    ledger.fill(1, "ETH/USD", "sell", 1, 3000);
+
+    ledger.markToMarket({
+      "BTC/USD": { price: 42000 },
+      "ETH/USD": { price: 2900 },
+    });
+
+    expect(ledger.getUnrealizedPnl(1)).toBeCloseTo(200 + 100, 10);
+    expect(ledger.getEquity(1)).toBeCloseTo(10300, 10);
+    expect(ledger.getTotalPnl(1)).toBeCloseTo(300, 10);
+    expect(ledger.getSummary(1).realizedPnl).toBe(0);
+  });
+
+  it("averages into a position and realizes only the closed part", () => {
+    const ledger = new PortfolioLedger();
+    ledger.fill(1, "BTC/USD", "buy", 1, 100);
+    ledger.fill(1, "BTC/USD", "buy", 1, 200);
+    expect(ledger.getPosition(1, "BTC/USD").avgPrice).toBe(150);
+
+    const partial = ledger.fill(1, "BTC/USD", "sell", 0.5, 170);
+    expect(partial.realizedPnl).toBeCloseTo(10, 10);
+    expect(ledger.getPosition(1, "BTC/USD").quantity).toBeCloseTo(1.5, 10);
+    expect(ledger.getPosition(1, "BTC/USD").avgPrice).toBe(150);
+  });
+
+  it("reopens the other way at the fill price when a fill flips through flat", () => {
+    const ledger = new PortfolioLedger();
+    ledger.fill(1, "BTC/USD", "buy", 1, 100);
+
+    const flip = ledger.fill(1, "BTC/USD", "sell", 3, 90);
+    const position = ledger.getPosition(1, "BTC/USD");
+
+    expect(flip.closedQuantity).toBe(1);
+    expect(flip.realizedPnl).toBeCloseTo(-10, 10);
+    expect(position.quantity).toBe(-2);
+    expect(position.avgPrice).toBe(90);
+  });
+
+  it("keeps bots' accounts apart and round-trips through JSON", () => {
+    const ledger = new PortfolioLedger({ initialCapital: 5000 });
+    ledger.fill(1, "BTC/USD", "buy", 0.01, 40000, 1);
+    ledger.fill(2, "BTC/USD", "sell", 0.01, 40000, 1);
+
+    const restored = new PortfolioLedger(
+      { initialCapital: 5000 },
+      JSON.parse(JSON.stringify(ledger))
+    );
+
+    expect(restored.getPosition(1, "BTC/USD").quantity).toBe(0.01);
+    expect(restored.getPosition(2, "BTC/USD").quantity).toBe(-0.01);
+    expect(restored.getSummary(1)).toEqual(ledger.getSummary(1));
+    expect(restored.getAccount(3).cash).toBe(5000);
+  });
+
+  it("rejects fills without a positive quantity and price", () => {
+    const ledger = new PortfolioLedger();
+
+    expect(() => ledger.fill(1, "BTC/USD", "buy", 0, 100)).toThrow(
+      "Invalid fill: 0 BTC/USD @ 100"
+    );
+    expect(() => ledger.fill(1, "BTC/USD", "buy", 1, NaN)).toThrow(
+      "Invalid fill"
+    );
+  });
+});
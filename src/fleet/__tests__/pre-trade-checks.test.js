@@ -0,0 +1,111 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "PreTradeChecks"]);
+
+// Checks over a default fleet whose clock the test moves
+const setup = () => {
+  const clock = { now: Date.UTC(2024, 0, 1) };
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(clock.now),
+  });
+  const checks = new fleet.PreTradeChecks(dataManager);
+  const [bot, other] = dataManager.bots;
+  return { clock, dataManager, checks, bot, other };
+};
+
+const buy = (symbol, quantity) => ({ symbol, side: "buy", quantity });
+const sell = (symbol, quantity) => ({ symbol, side: "sell", quantity });
+
+describe("PreTradeChecks", () => {
+  it("passes orders within every limit", () => {
+    const { checks, bot } = setup();
+
+    expect(checks.check(bot, buy("BTC/USD", 0.01), 40000)).toBe(null);
+  });
+
+  it("rejects an order over the notional limit", () => {
+    const { checks, bot } = setup();
+
+    expect(checks.check(bot, buy("BTC/USD", 0.1), 40000)).toEqual({
+      rule: "maxOrderNotional",
+      reason: "Order notional $4000.00 exceeds $2000",
+    });
+  });
+
+  it("rejects an order that grows a position past its limit", () => {
+    const { dataManager, checks, bot } = setup();
+    dataManager.ledger.fill(bot.id, "BTC/USD", "buy", 0.1, 40000);
+
+    expect(checks.check(bot, buy("BTC/USD", 0.04), 40000).rule).toBe(
+      "maxPositionNotional"
+    );
+    expect(checks.check(bot, buy("BTC/USD", 0.02), 40000)).toBe(null);
+  });
+
+  it("always lets a bot shrink its position", () => {
+    const { dataManager, checks, bot } = setup();
+    dataManager.ledger.fill(bot.id, "BTC/USD", "buy", 0.1, 40000);
+    dataManager.settings.preTradeChecks.deniedSymbols = ["BTC/USD"];
+
+    expect(checks.check(bot, sell("BTC/USD", 0.1), 40000)).toBe(null);
+    expect(checks.check(bot, sell("BTC/USD", 0.3), 40000).rule).toBe(
+      "symbolAllowed"
+    );
+  });
+
+  it("applies the allow and deny lists", () => {
+    const { dataManager, checks, bot } = setup();
+    const limits = dataManager.settings.preTradeChecks;
+
+    limits.allowedSymbols = ["ETH/USD"];
+    expect(checks.check(bot, buy("BTC/USD", 0.01), 40000).reason).toBe(
+      "BTC/USD is not on the allow list"
+    );
+    limits.allowedSymbols = [];
+    limits.deniedSymbols = ["BTC/USD"];
+    expect(checks.check(bot, buy("BTC/USD", 0.01), 40000).reason).toBe(
+      "BTC/USD is on the deny list"
+    );
+  });
+
+  it("limits gross exposure per bot and across the fleet", () => {
+    const { dataManager, checks, bot, other } = setup();
+    const ledger = dataManager.ledger;
+    ledger.fill(bot.id, "BTC/USD", "buy", 0.1125, 40000);
+    ledger.fill(bot.id, "ETH/USD", "sell", 1.5, 3000);
+
+    expect(checks.check(bot, buy("SOL/USD", 15), 100).rule).toBe(
+      "maxBotGrossExposure"
+    );
+    expect(checks.check(bot, buy("SOL/USD", 5), 100)).toBe(null);
+
+    ledger.fill(other.id, "BTC/USD", "sell", 0.1, 40000);
+    dataManager.settings.preTradeChecks.maxFleetGrossExposure = 13000;
+    expect(checks.check(bot, buy("SOL/USD", 5), 100).rule).toBe(
+      "maxFleetGrossExposure"
+    );
+  });
+
+  it("limits the orders a bot sends per minute", () => {
+    const { clock, dataManager, checks, bot, other } = setup();
+    dataManager.settings.preTradeChecks.maxOrdersPerMinute = 2;
+    checks.recordOrder(bot);
+    checks.recordOrder(bot);
+
+    expect(checks.check(bot, buy("BTC/USD", 0.01), 40000).reason).toBe(
+      `${bot.name} already sent 2 orders in the last minute`
+    );
+    expect(checks.check(other, buy("BTC/USD", 0.01), 40000)).toBe(null);
+
+    clock.now += 60 * 1000;
+    expect(checks.check(bot, buy("BTC/USD", 0.01), 40000)).toBe(null);
+  });
+
+  it("passes everything when switched off", () => {
+    const { dataManager, checks, bot } = setup();
+    dataManager.settings.preTradeChecks.enabled = false;
+
+    expect(checks.check(bot, buy("BTC/USD", 10), 40000)).toBe(null);
+  });
+});
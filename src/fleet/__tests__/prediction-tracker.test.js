@@ -0,0 +1,134 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "PredictionTracker"]);
+
+const MINUTE = 60 * 1000;
+const start = Date.UTC(2024, 0, 1);
+
+// A tracker whose clock the test moves and whose BTC price it sets
+const setup = () => {
+  const clock = { now: start };
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(clock.now),
+  });
+  const tracker = new fleet.PredictionTracker(dataManager);
+  const tick = (price) =>
+    dataManager.recordMarketData({
+      "BTC/USD": {
+        symbol: "BTC/USD",
+        price,
+        change: 0,
+        volume: 1,
+        timestamp: new Date(clock.now).toISOString(),
+      },
+    });
+  return { clock, dataManager, tracker, tick };
+};
+
+const scored = (confidence, hit) => ({
+  confidence,
+  hit,
+  dueAt: new Date(start).toISOString(),
+});
+
+describe("PredictionTracker", () => {
+  it("compares stated confidence with the hit rate in each bin", () => {
+    const { tracker } = setup();
+    const predictions = [
+      scored(72, true),
+      scored(74, true),
+      scored(76, true),
+      scored(78, false),
+      scored(95, true),
+      scored(100, false),
+      scored(5, false),
+    ];
+
+    const calibration = tracker.getCalibration(predictions);
+
+    expect(calibration.length).toBe(10);
+    expect(calibration[7]).toEqual({
+      from: 70,
+      to: 80,
+      count: 4,
+      hitRate: 75,
+      confidence: 75,
+    });
+    expect(calibration[9].count).toBe(2);
+    expect(calibration[9].hitRate).toBe(50);
+    expect(calibration[0].count).toBe(1);
+    expect(calibration[5]).toEqual({
+      from: 50,
+      to: 60,
+      count: 0,
+      hitRate: null,
+      confidence: null,
+    });
+  });
+
+  it("scores predictions against the candle their horizon ends in", () => {
+    const { clock, dataManager, tracker, tick } = setup();
+    tick(100);
+    const up = tracker.record(1.5, { confidence: 80 });
+    clock.now += MINUTE;
+    const down = tracker.record(-0.5, { confidence: 60 });
+
+    for (let minute = 1; minute <= 7; minute++) {
+      clock.now = start + minute * MINUTE;
+      tick(100 + minute);
+    }
+    const newlyScored = tracker.score();
+
+    expect(newlyScored.map((p) => [p.id, p.hit])).toEqual([
+      [up.id, true],
+      [down.id, false],
+    ]);
+    expect(newlyScored[0].realized).toBeCloseTo(5, 10);
+    expect(tracker.state.pending).toEqual([]);
+    expect(dataManager.predictionState.scored.length).toBe(2);
+  });
+
+  it("waits for the candle the horizon ends in to close", () => {
+    const { clock, tracker, tick } = setup();
+    tick(100);
+    tracker.record(1, { confidence: 70 });
+
+    clock.now = start + 5 * MINUTE;
+    tick(103);
+    expect(tracker.score()).toEqual([]);
+    clock.now += 10 * 1000;
+    tick(96);
+    expect(tracker.score()).toEqual([]);
+    expect(tracker.state.pending.length).toBe(1);
+
+    clock.now += 5 * 1000;
+    tick(110);
+    const [prediction] = tracker.score();
+    expect(prediction.realized).toBeCloseTo(-4, 10);
+    expect(prediction.hit).toBe(false);
+  });
+
+  it("drops predictions it has no prices to score", () => {
+    const { clock, tracker, tick } = setup();
+    tick(100);
+    tracker.record(1, { confidence: 70 });
+
+    clock.now += 10 * MINUTE;
+    expect(tracker.score()).toEqual([]);
+    expect(tracker.state.expired).toBe(1);
+    expect(tracker.state.pending).toEqual([]);
+  });
+
+  it("reports the Brier score of what it scored", () => {
+    const { tracker } = setup();
+    tracker.state.scored = [scored(80, true), scored(60, false)];
+
+    const report = tracker.getReport();
+
+    expect(report.count).toBe(2);
+    expect(report.hitRate).toBe(50);
+    expect(report.brierScore).toBeCloseTo((0.2 ** 2 + 0.6 ** 2) / 2, 10);
+    expect(setup().tracker.getReport().brierScore).toBe(null);
+  });
+});
@@ -0,0 +1,120 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts([
+  "DataManager",
+  "RegimeDetector",
+  "DEFAULT_REGIME_MODEL",
+  "MARKET_REGIMES",
+]);
+
+const MINUTE = 60 * 1000;
+const start = Date.UTC(2024, 0, 1);
+
+// A detector over one symbol whose 1m closes follow `prices`
+const detectorFor = (prices) => {
+  let now = start;
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(now),
+  });
+  // One more candle, still open, so every price above is a closed candle
+  prices.concat(prices[prices.length - 1]).forEach((price, i) => {
+    now = start + i * MINUTE;
+    dataManager.recordMarketData({
+      "BTC/USD": {
+        symbol: "BTC/USD",
+        price,
+        change: 0,
+        volume: 1,
+        timestamp: new Date(now).toISOString(),
+      },
+    });
+  });
+  return new fleet.RegimeDetector(dataManager);
+};
+
+// Compounds per-candle returns, with a little alternating noise
+const path = (returns) =>
+  returns.reduce(
+    (prices, r, i) =>
+      prices.concat(
+        prices[prices.length - 1] * (1 + r + (i % 2 ? 1 : -1) * 0.001)
+      ),
+    [100]
+  );
+
+const likeliest = (probabilities) =>
+  fleet.MARKET_REGIMES.reduce((best, regime) =>
+    probabilities[regime] > probabilities[best] ? regime : best
+  );
+
+describe("RegimeDetector", () => {
+  it("weighs the first observation by each regime's likelihood alone", () => {
+    const detector = detectorFor([100]);
+    const observations = [{ value: 0.01 }, { value: -0.01 }];
+    const sd = Math.sqrt(2) * 0.01;
+
+    const [first] = detector.filter(observations);
+
+    const density = fleet.MARKET_REGIMES.map((regime) => {
+      const { drift, volatility } = fleet.DEFAULT_REGIME_MODEL[regime];
+      const z = (0.01 - drift * sd) / (volatility * sd);
+      return Math.exp(-0.5 * z * z) / volatility;
+    });
+    const total = density.reduce((sum, d) => sum + d, 0);
+    fleet.MARKET_REGIMES.forEach((regime, i) => {
+      expect(first[regime]).toBeCloseTo(density[i] / total, 10);
+    });
+  });
+
+  it("keeps each step a probability distribution", () => {
+    const detector = detectorFor([100]);
+    const observations = [0.01, -0.02, 0.005, 0.03, -0.01].map((value) => ({
+      value,
+    }));
+
+    detector.filter(observations).forEach((probabilities) => {
+      const total = Object.values(probabilities).reduce((s, p) => s + p, 0);
+      expect(total).toBeCloseTo(1, 10);
+    });
+  });
+
+  it("rides out a single contrary candle in a long trend", () => {
+    const detector = detectorFor([100]);
+    // Up 0.2% a candle on average, in noisy steps, then one sharp drop
+    const observations = Array.from({ length: 30 }, (_, i) => ({
+      value: 0.002 + (i % 2 ? 0.004 : -0.004),
+    })).concat({ value: -0.006 });
+
+    const filtered = detector.filter(observations);
+
+    expect(likeliest(filtered[29])).toMatch(/bull/);
+    expect(likeliest(filtered[30])).toMatch(/bull/);
+
+    // Without persistence the drop alone decides
+    detector.config.stayProbability = 0.2;
+    expect(likeliest(detector.filter(observations)[30])).toMatch(/bear/);
+  });
+
+  it("calls rising markets bullish and falling ones bearish", () => {
+    const rising = detectorFor(
+      path(Array.from({ length: 30 }, (_, i) => (i < 10 ? 0 : 0.004)))
+    ).detect();
+    const falling = detectorFor(
+      path(Array.from({ length: 30 }, (_, i) => (i < 10 ? 0 : -0.006)))
+    ).detect();
+
+    expect(rising.observations).toBe(30);
+    expect(rising.regime).toMatch(/bull/);
+    expect(falling.regime).toMatch(/bear/);
+    expect(new Date(rising.since).getTime()).toBeGreaterThan(start);
+  });
+
+  it("waits for minObservations closed candles", () => {
+    const detection = detectorFor(path(new Array(10).fill(0.01))).detect();
+
+    expect(detection.regime).toBe(null);
+    expect(detection.observations).toBe(10);
+    expect(detection.since).toBe(null);
+  });
+});
@@ -0,0 +1,78 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "RegimePlaybook"]);
+
+// A playbook over a default fleet, recording the actions it hands the engine
+const setup = (bots) => {
+  const dataManager = new fleet.DataManager({ persist: false });
+  if (bots) dataManager.bots = bots(dataManager.bots);
+  const playbook = new fleet.RegimePlaybook(dataManager);
+  const actions = [];
+  playbook.onAction((action) => actions.push(action));
+  return { dataManager, playbook, actions };
+};
+
+const hedges = (actions) =>
+  actions
+    .filter((action) => action.type === "hedge")
+    .map(({ botId, symbol, hedgeRatio }) => [botId, symbol, hedgeRatio]);
+
+describe("RegimePlaybook", () => {
+  it("hedges with the first bot of the hedge action's type", () => {
+    const { playbook, actions } = setup((bots) =>
+      bots
+        .filter((bot) => bot.type !== "ai_adaptive")
+        .concat({ ...bots[4], id: 12 })
+    );
+
+    playbook.update("strong_bear");
+    playbook.update("neutral");
+
+    expect(hedges(actions)).toEqual([
+      [12, "BTC/USD", 0.5],
+      [12, "BTC/USD", 0],
+    ]);
+  });
+
+  it("skips a hedge when the fleet has no bot of its type", () => {
+    const { dataManager, playbook, actions } = setup((bots) =>
+      bots.filter((bot) => bot.type !== "ai_adaptive")
+    );
+
+    playbook.update("strong_bear");
+    playbook.update("neutral");
+
+    expect(hedges(actions)).toEqual([]);
+    expect(
+      dataManager.aiDecisions.map((decision) => decision.message)
+    ).toContain("Hedge skipped: no ai_adaptive bot");
+  });
+
+  it("replaces the playbook with the one given", () => {
+    const { dataManager, playbook, actions } = setup();
+    const given = { bear: [{ type: "disable_bots", botTypes: ["scalping"] }] };
+
+    playbook.setPlaybook(given);
+    playbook.update("strong_bear");
+
+    expect(dataManager.settings.playbook).toEqual(given);
+    expect(new fleet.RegimePlaybook(dataManager).playbook).toEqual(given);
+    expect(actions).toEqual([]);
+  });
+
+  it("rejects hedge actions naming no bot or two", () => {
+    const hedge = { type: "hedge", symbol: "BTC/USD", hedgeRatio: 0.5 };
+
+    expect(() => fleet.RegimePlaybook.validate({ bear: [hedge] })).toThrow(
+      "bear[0]: give either botType or botId"
+    );
+    expect(() =>
+      fleet.RegimePlaybook.validate({
+        bear: [{ ...hedge, botId: 5, botType: "ai_adaptive" }],
+      })
+    ).toThrow("bear[0]: give either botType or botId");
+    expect(() =>
+      fleet.RegimePlaybook.validate({ bear: [{ ...hedge, botId: 5 }] })
+    ).not.toThrow();
+  });
+});
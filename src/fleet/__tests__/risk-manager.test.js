@@ -0,0 +1,90 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts(["DataManager", "TradingEngine"]);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// An engine over a default fleet whose clock the test moves. The first bot
+// is active and holds 0.1 BTC bought at $40,000.
+const setup = () => {
+  const clock = { now: Date.UTC(2024, 0, 1, 12) };
+  const dataManager = new fleet.DataManager({
+    persist: false,
+    clock: () => new Date(clock.now),
+  });
+  const engine = new fleet.TradingEngine({ dataManager });
+  const riskManager = engine.riskManager;
+  const [bot] = dataManager.bots;
+  const mark = (price) =>
+    dataManager.recordMarketData({
+      "BTC/USD": {
+        symbol: "BTC/USD",
+        price,
+        change: 0,
+        volume: 1,
+        timestamp: new Date(clock.now).toISOString(),
+      },
+    });
+
+  bot.status = "active";
+  riskManager.check();
+  dataManager.ledger.fill(bot.id, "BTC/USD", "buy", 0.1, 40000);
+  mark(40000);
+  return { clock, dataManager, engine, riskManager, bot, mark };
+};
+
+describe("RiskManager sessions", () => {
+  it("pauses a bot past maxDrawdown and resumes it the next day", () => {
+    const { clock, riskManager, bot, mark } = setup();
+    mark(28000);
+
+    expect(riskManager.check()).toEqual([bot.id]);
+    expect(bot.status).toBe("paused");
+
+    clock.now += DAY;
+    riskManager.check();
+    expect(bot.status).toBe("active");
+    expect(riskManager.isPaused(bot.id)).toBe(false);
+  });
+
+  it("leaves paused bots paused on a new day while the engine is stopped", async () => {
+    const { clock, engine, riskManager, bot, mark } = setup();
+    mark(28000);
+    riskManager.check();
+
+    clock.now += DAY;
+    riskManager.check(false);
+    expect(bot.status).toBe("paused");
+    expect(riskManager.isPaused(bot.id)).toBe(true);
+    expect(riskManager.state.day).toBe("2024-01-02");
+
+    await engine.startAllBots();
+    expect(bot.status).toBe("active");
+    expect(riskManager.isPaused(bot.id)).toBe(false);
+    await engine.stopAllBots();
+  });
+});
+
+describe("Order sizing when de-risked", () => {
+  const size = (engine, bot, type, amount) =>
+    engine.sizeOrder(bot, { type, symbol: "BTC/USD", amount }, 40000);
+
+  it("halves orders that add exposure", () => {
+    const { engine, riskManager, bot } = setup();
+    riskManager.state.derisked = true;
+
+    expect(size(engine, bot, "buy", 2000)).toBeCloseTo(0.025, 12);
+  });
+
+  it("does not shrink the part of an order that closes a position", () => {
+    const { engine, riskManager, bot } = setup();
+    riskManager.state.derisked = true;
+
+    expect(size(engine, bot, "sell", 3000)).toBeCloseTo(0.075, 12);
+    // Closes the $4,000 long, then opens a short at half size
+    expect(size(engine, bot, "sell", 6000)).toBeCloseTo(0.125, 12);
+
+    riskManager.state.derisked = false;
+    expect(size(engine, bot, "sell", 6000)).toBeCloseTo(0.15, 12);
+  });
+});
@@ -0,0 +1,172 @@
+const { loadDashboardScripts } = require("../../../mock/load-fleet-scripts");
+
+const fleet = loadDashboardScripts([
+  "DataManager",
+  "MomentumStrategy",
+  "ParameterOptimizer",
+  "StrategyRegistry",
+  "TradingEngine",
+]);
+
+const macd = fleet.MomentumStrategy.parameters;
+
+// Optimizer whose backtests only record the candidates they were given
+const recordingOptimizer = (dataManager) => {
+  const candidates = [];
+  class RecordingOptimizer extends fleet.ParameterOptimizer {
+    async evaluate(bot, candidate) {
+      candidates.push(candidate);
+      return { params: candidate, score: 0, metrics: {} };
+    }
+  }
+  return { optimizer: new RecordingOptimizer(dataManager), candidates };
+};
+
+describe("StrategyRegistry greaterThan constraints", () => {
+  it("rejects a MACD fast period at or above the slow one", () => {
+    expect(() =>
+      fleet.StrategyRegistry.normalizeParams(macd, {
+        fastPeriod: 40,
+        slowPeriod: 30,
+      })
+    ).toThrow("slowPeriod must be greater than fastPeriod, got 30 and 40");
+    const params = fleet.StrategyRegistry.normalizeParams(macd, {
+      fastPeriod: 8,
+      slowPeriod: 21,
+    });
+    expect([params.fastPeriod, params.slowPeriod]).toEqual([8, 21]);
+  });
+
+  it("validates what a constraint refers to", () => {
+    const definition = (parameters) => ({
+      id: "test",
+      name: "Test",
+      decide: () => null,
+      parameters,
+    });
+    const period = { default: 10, min: 2, max: 50, step: 1 };
+
+    expect(() =>
+      fleet.StrategyRegistry.validate(
+        definition({ slow: { ...period, greaterThan: "fast" } })
+      )
+    ).toThrow('slow must be greater than a numeric parameter, not "fast"');
+    expect(() =>
+      fleet.StrategyRegistry.validate(
+        definition({
+          fast: { ...period, default: 20 },
+          slow: { ...period, greaterThan: "fast" },
+        })
+      )
+    ).toThrow("slow cannot stay greater than fast");
+  });
+
+  it("moves generated values to the nearest that keep the constraint", () => {
+    const constrain = (params, fixed) =>
+      fleet.StrategyRegistry.constrainParams(macd, params, fixed);
+
+    expect(constrain({ fastPeriod: 40, slowPeriod: 30 })).toEqual({
+      fastPeriod: 40,
+      slowPeriod: 41,
+    });
+    expect(
+      constrain({ fastPeriod: 40, slowPeriod: 30 }, ["slowPeriod"])
+    ).toEqual({ fastPeriod: 29, slowPeriod: 30 });
+    expect(constrain({ fastPeriod: 12, slowPeriod: 26 })).toEqual({
+      fastPeriod: 12,
+      slowPeriod: 26,
+    });
+  });
+
+  it("keeps every optimizer candidate's slow period above its fast one", async () => {
+    const start = Date.UTC(2024, 0, 1);
+    let now = start;
+    const dataManager = new fleet.DataManager({
+      persist: false,
+      clock: () => new Date(now),
+    });
+    for (let i = 0; i < 100; i++) {
+      now = start + i * 15000;
+      dataManager.recordMarketData({
+        "BTC/USD": {
+          symbol: "BTC/USD",
+          price: 45000 + 500 * Math.sin(i / 5),
+          change: 0,
+          volume: 10,
+          timestamp: new Date(now).toISOString(),
+        },
+      });
+    }
+    const bot = dataManager.bots.find((b) => b.type === "momentum");
+    const strategy = new fleet.MomentumStrategy(dataManager);
+
+    for (const method of ["grid", "random", "genetic"]) {
+      const { optimizer, candidates } = recordingOptimizer(dataManager);
+      Object.assign(dataManager.settings.optimizer, {
+        method,
+        maxEvaluations: 100,
+      });
+      await optimizer.optimize(bot, strategy);
+
+      expect(candidates.length).toBeGreaterThan(1);
+      candidates.forEach((candidate) => {
+        expect(candidate.slowPeriod).toBeGreaterThan(candidate.fastPeriod);
+      });
+    }
+  });
+});
+
+describe("TradingEngine symbol coverage", () => {
+  const decided = [];
+  fleet.StrategyRegistry.register({
+    id: "symbol_probe",
+    name: "Symbol probe",
+    decide: ({ symbol }) => {
+      decided.push(symbol);
+      return { execute: false, type: "buy", symbol, amount: 0, confidence: 0 };
+    },
+  });
+
+  const setup = () => {
+    const dataManager = new fleet.DataManager({ persist: false });
+    const engine = new fleet.TradingEngine({ dataManager });
+    ["BTC/USD", "ETH/USD", "SOL/USD"].forEach((symbol) => {
+      dataManager.marketData[symbol] = { symbol, price: 100 };
+    });
+    const botOfType = (type) => dataManager.bots.find((b) => b.type === type);
+    return { dataManager, engine, botOfType };
+  };
+
+  it("runs a strategy on every quoted symbol each cycle", async () => {
+    const { dataManager, engine } = setup();
+    decided.length = 0;
+
+    await engine.executeBotTrade({
+      ...dataManager.bots[0],
+      type: "symbol_probe",
+    });
+
+    expect(decided).toEqual(["BTC/USD", "ETH/USD", "SOL/USD"]);
+  });
+
+  it("lets a strategy name its own symbols", () => {
+    const { engine, botOfType } = setup();
+    const maker = botOfType("market_making");
+
+    expect(engine.getBotSymbols(maker)).toEqual([
+      engine.strategies.market_making.getParams(maker).symbol,
+    ]);
+    expect(engine.getBotSymbols(botOfType("arbitrage"))).toEqual([null]);
+  });
+
+  it("requires symbols to be a function", () => {
+    expect(() =>
+      fleet.StrategyRegistry.validate({
+        id: "bad",
+        name: "Bad",
+        decide: () => null,
+        symbols: ["BTC/USD"],
+      })
+    ).toThrow('Strategy "bad": symbols must be a function');
+  });
+});
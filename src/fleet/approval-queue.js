@@ -0,0 +1,224 @@
+// Operator approval for the bot changes the AI proposes. Each source of
+// changes is an action with a policy in settings.approvals.policies:
+//   auto        apply at once
+//   reductions  apply at once if every change lowers a riskLevel, otherwise
+//               wait for approval
+//   manual      always wait for approval
+// A proposal waiting for approval keeps its before/after diff
+// ({ botId, field, before, after }, with "params.<name>" fields for strategy
+// parameters) and expires after settings.approvals.expiryMs. The operator can
+// edit the proposed values before approving; approval applies them as they
+// stand, even if the bot changed in the meantime.
+//
+// Proposals carry a key; a new proposal supersedes a pending one with the
+// same key, unless it proposes the same values, in which case the pending one
+// is kept as it is.
+const APPROVAL_ACTIONS = {
+  risk_adjustment: "Volatility risk adjustment",
+  playbook: "Regime playbook risk",
+  optimization: "Parameter optimization",
+};
+
+const APPROVAL_POLICIES = {
+  auto: "Auto-approve",
+  reductions: "Auto-approve risk reductions",
+  manual: "Require approval",
+};
+
+class ApprovalQueue {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  static initialState() {
+    return { proposals: [] };
+  }
+
+  get config() {
+    return this.dataManager.settings.approvals;
+  }
+
+  get state() {
+    return this.dataManager.approvalState;
+  }
+
+  getPolicy(action) {
+    return this.config.policies[action] || "manual";
+  }
+
+  static reducesRisk(changes) {
+    return changes.every(
+      (change) => change.field === "riskLevel" && change.after < change.before
+    );
+  }
+
+  requiresApproval(action, changes) {
+    switch (this.getPolicy(action)) {
+      case "auto":
+        return false;
+      case "reductions":
+        return !ApprovalQueue.reducesRisk(changes);
+      default:
+        return true;
+    }
+  }
+
+  // { status, proposal }: status is "applied" when the policy let the
+  // changes through, "pending" when a new proposal waits for approval and
+  // "unchanged" when the same proposal was already waiting
+  submit({ action, key, message, rule, inputs = {}, changes, details = null }) {
+    if (changes.length === 0) return { status: "applied", proposal: null };
+    if (!this.requiresApproval(action, changes)) {
+      this.applyChanges(changes);
+      return { status: "applied", proposal: null };
+    }
+
+    const existing = this.state.proposals.find((p) => p.key === key);
+    const values = (list) =>
+      JSON.stringify(
+        list.map(({ botId, field, after }) => [botId, field, after])
+      );
+    if (existing && values(existing.changes) === values(changes)) {
+      return { status: "unchanged", proposal: existing };
+    }
+    if (existing) {
+      this.resolve(existing, "Superseded", "replaced by a newer proposal");
+    }
+
+    const now = this.dataManager.now();
+    const latest = this.state.proposals[this.state.proposals.length - 1];
+    const proposal = {
+      id: Math.max(now.getTime(), latest ? latest.id + 1 : 0),
+      action,
+      key,
+      message,
+      rule,
+      inputs,
+      changes: changes.map((change) => ({ ...change })),
+      details,
+      edited: false,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.config.expiryMs).toISOString(),
+    };
+    this.state.proposals.push(proposal);
+    this.dataManager.saveData();
+    return { status: "pending", proposal };
+  }
+
+  applyChanges(changes) {
+    changes.forEach(({ botId, field, after }) => {
+      const bot = this.dataManager.bots.find((b) => b.id === botId);
+      if (!bot) return;
+      if (field.startsWith("params.")) {
+        this.dataManager.updateBot(botId, {
+          params: { ...bot.params, [field.slice("params.".length)]: after },
+        });
+      } else {
+        this.dataManager.updateBot(botId, { [field]: after });
+      }
+    });
+  }
+
+  getPending(action) {
+    return this.state.proposals.filter((p) => !action || p.action === action);
+  }
+
+  get(id) {
+    const proposal = this.state.proposals.find((p) => p.id === id);
+    if (!proposal) {
+      throw new Error(`No pending proposal ${id}`);
+    }
+    return proposal;
+  }
+
+  remove(id) {
+    this.state.proposals = this.state.proposals.filter((p) => p.id !== id);
+  }
+
+  // Logs what happened to a proposal; `changes` are the ones applied
+  resolve(proposal, outcome, rule, changes = []) {
+    this.remove(proposal.id);
+    this.dataManager.addAIDecision({
+      type: "approval",
+      message: `${outcome} ${APPROVAL_ACTIONS[
+        proposal.action
+      ].toLowerCase()}: ${proposal.message}`,
+      confidence: 100,
+      inputs: { ...proposal.inputs, proposalId: proposal.id },
+      rule,
+      changes,
+      botIds: Array.from(new Set(proposal.changes.map((c) => c.botId))),
+    });
+    this.dataManager.saveData();
+    return proposal;
+  }
+
+  approve(id) {
+    const proposal = this.get(id);
+    const changes = proposal.changes.map((change) => {
+      const bot = this.dataManager.bots.find((b) => b.id === change.botId);
+      const name = change.field.replace(/^params\./, "");
+      const current = change.field.startsWith("params.")
+        ? bot && bot.params && bot.params[name]
+        : bot && bot[name];
+      return {
+        ...change,
+        before: current === undefined ? change.before : current,
+      };
+    });
+    this.applyChanges(proposal.changes);
+    return this.resolve(
+      proposal,
+      "Approved",
+      proposal.edited ? "operator approved with edits" : "operator approved",
+      changes
+    );
+  }
+
+  reject(id) {
+    return this.resolve(this.get(id), "Rejected", "operator rejected");
+  }
+
+  // Replaces the proposed value of one change; strategy parameters are
+  // validated by the caller, which knows the bot's strategy
+  edit(id, index, after) {
+    const proposal = this.get(id);
+    const change = proposal.changes[index];
+    if (!change) {
+      throw new Error(`Proposal ${id} has no change ${index}`);
+    }
+    if (
+      change.field === "riskLevel" &&
+      !(typeof after === "number" && after >= 0.1 && after <= 0.9)
+    ) {
+      throw new Error("riskLevel must be a number from 0.1 to 0.9");
+    }
+    change.after = after;
+    proposal.edited = true;
+    this.dataManager.saveData();
+    return proposal;
+  }
+
+  // Drops pending proposals that no longer apply, e.g. those of a regime
+  // the market has left
+  withdraw(predicate, reason) {
+    return this.state.proposals
+      .filter(predicate)
+      .map((proposal) =>
+        this.resolve(proposal, "Withdrew", `withdrawn: ${reason}`)
+      );
+  }
+
+  expire() {
+    const now = this.dataManager.now().getTime();
+    return this.state.proposals
+      .filter((proposal) => new Date(proposal.expiresAt).getTime() <= now)
+      .map((proposal) =>
+        this.resolve(
+          proposal,
+          "Expired",
+          `not approved within ${Math.round(this.config.expiryMs / 60000)} min`
+        )
+      );
+  }
+}
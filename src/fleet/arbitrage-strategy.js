@@ -0,0 +1,346 @@
+// Cross-venue arbitrage for the `arbitrage` bot type. Each cycle it compares
+// every venue's best ask with every other venue's best bid for the same
+// symbol and only trades when the spread beats both venues' fees plus the
+// price risk of moving inventory between them during the transfer latency.
+// What the buy leg bought is withdrawn from the buy venue and can only be
+// sold once it lands on the sell venue, at whatever the price is by then.
+const DEFAULT_ARBITRAGE_VENUES = [
+  {
+    id: "alpha",
+    name: "Alpha Exchange",
+    feeRate: 0.001,
+    transferLatencyMs: 2000,
+    priceNoiseBps: 8,
+  },
+  {
+    id: "beta",
+    name: "Beta Exchange",
+    feeRate: 0.0015,
+    transferLatencyMs: 5000,
+    priceNoiseBps: 12,
+  },
+  {
+    id: "gamma",
+    name: "Gamma Exchange",
+    feeRate: 0.0008,
+    transferLatencyMs: 10000,
+    priceNoiseBps: 6,
+  },
+];
+
+class ArbitrageStrategy {
+  constructor(dataManager, options = {}) {
+    const config = dataManager.settings.arbitrage || {};
+    this.dataManager = dataManager;
+    this.minEdgeBps = config.minEdgeBps || 0;
+    this.latencyRiskMultiplier = config.latencyRiskMultiplier || 1;
+    // Per-second volatility used until there is enough candle history
+    this.defaultVolatility = config.defaultVolatility || 0.0001;
+    // Skipped opportunities are logged at most this often per symbol
+    this.skipLogIntervalMs = config.skipLogIntervalMs || 60 * 1000;
+    this.lastSkipLogged = {};
+    this.venues = (config.venues || DEFAULT_ARBITRAGE_VENUES).map(
+      (venue) =>
+        new SimulatedVenue({
+          ...venue,
+          random: options.random,
+          clock: options.clock,
+          initialBalances: options.initialBalances,
+        })
+    );
+  }
+
+  static initialState() {
+    // transfers: bought inventory on its way to the venue it is sold on
+    return { transfers: [], nextTransferId: 1 };
+  }
+
+  get state() {
+    return this.dataManager.arbitrageState;
+  }
+
+  nowTime() {
+    return this.dataManager.now().getTime();
+  }
+
+  getVenue(venueId) {
+    return this.venues.find((venue) => venue.id === venueId);
+  }
+
+  updateMarketData(marketData) {
+    this.venues.forEach((venue) => venue.updateMarketData(marketData));
+  }
+
+  // Standard deviation of 1m log returns, scaled to one second
+  estimateVolatility(symbol) {
+    const candles = this.dataManager.getCandles(symbol, "1m").slice(-30);
+    if (candles.length < 5) return this.defaultVolatility;
+
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      returns.push(Math.log(candles[i].close / candles[i - 1].close));
+    }
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance =
+      returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) /
+      (returns.length - 1);
+    return Math.sqrt(variance / 60);
+  }
+
+  // Best buy-venue/sell-venue pair for a symbol, with its cost breakdown
+  evaluate(symbol, notional) {
+    const quotes = this.venues
+      .map((venue) => ({ venue, top: venue.getTopOfBook(symbol) }))
+      .filter((quote) => quote.top);
+
+    if (quotes.length < 2) {
+      return { symbol, taken: false, reason: "Fewer than two venues quoting" };
+    }
+
+    const volatility = this.estimateVolatility(symbol);
+    let best = null;
+
+    quotes.forEach((buy) => {
+      quotes.forEach((sell) => {
+        if (buy === sell) return;
+
+        const buyPrice = buy.top.ask;
+        const sellPrice = sell.top.bid;
+        const quantity = Math.min(
+          notional / buyPrice,
+          buy.top.askSize,
+          sell.top.bidSize
+        );
+        const latencySeconds =
+          (buy.venue.transferLatencyMs + sell.venue.transferLatencyMs) / 1000;
+
+        const grossEdge = (sellPrice - buyPrice) * quantity;
+        const fees =
+          (buyPrice * buy.venue.feeRate + sellPrice * sell.venue.feeRate) *
+          quantity;
+        const latencyCost =
+          buyPrice *
+          quantity *
+          volatility *
+          Math.sqrt(latencySeconds) *
+          this.latencyRiskMultiplier;
+        const netEdge = grossEdge - fees - latencyCost;
+        const netEdgeBps = (netEdge / (buyPrice * quantity)) * 10000;
+
+        if (!best || netEdgeBps > best.netEdgeBps) {
+          best = {
+            symbol,
+            buyVenue: buy.venue.id,
+            sellVenue: sell.venue.id,
+            buyPrice,
+            sellPrice,
+            quantity,
+            grossEdge,
+            fees,
+            latencyCost,
+            netEdge,
+            netEdgeBps,
+          };
+        }
+      });
+    });
+
+    if (best.grossEdge <= 0) {
+      best.taken = false;
+      best.reason = "No venue bids above another venue's ask";
+    } else if (best.netEdgeBps <= this.minEdgeBps) {
+      best.taken = false;
+      best.reason = `Spread $${best.grossEdge.toFixed(
+        2
+      )} does not cover fees $${best.fees.toFixed(
+        2
+      )} + latency risk $${best.latencyCost.toFixed(2)}`;
+    } else {
+      best.taken = true;
+      best.reason = `Spread beats costs by ${best.netEdgeBps.toFixed(1)} bps`;
+    }
+    return best;
+  }
+
+  decide(bot, notional) {
+    const opportunities = Object.keys(this.dataManager.marketData).map(
+      (symbol) => this.evaluate(symbol, notional)
+    );
+    const chosen = opportunities
+      .filter((opportunity) => opportunity.taken)
+      .sort((a, b) => b.netEdgeBps - a.netEdgeBps)[0];
+
+    const now = this.nowTime();
+    opportunities.forEach((opportunity) => {
+      if (opportunity.taken && opportunity !== chosen) {
+        opportunity.taken = false;
+        opportunity.reason = `Better opportunity on ${chosen.symbol}`;
+      }
+      if (!opportunity.taken) {
+        const key = `${bot.id}:${opportunity.symbol}`;
+        if (now - (this.lastSkipLogged[key] || 0) < this.skipLogIntervalMs) {
+          return;
+        }
+        this.lastSkipLogged[key] = now;
+      }
+      this.log(bot, opportunity);
+    });
+
+    if (!chosen) {
+      return {
+        execute: false,
+        type: "buy",
+        symbol: null,
+        amount: 0,
+        confidence: 0,
+      };
+    }
+
+    return {
+      execute: true,
+      type: "buy",
+      symbol: chosen.symbol,
+      amount: chosen.quantity * chosen.buyPrice,
+      confidence: Math.round(Math.min(95, 50 + chosen.netEdgeBps * 5)),
+      legs: [
+        {
+          venue: chosen.buyVenue,
+          side: "buy",
+          limitPrice: chosen.buyPrice,
+          quantity: chosen.quantity,
+        },
+        {
+          venue: chosen.sellVenue,
+          side: "sell",
+          limitPrice: chosen.sellPrice,
+          quantity: chosen.quantity,
+        },
+      ],
+    };
+  }
+
+  // Withdraws what the buy leg filled from the buy venue
+  startTransfer(bot, { symbol, quantity, buyVenue, sellVenue, buyPrice }) {
+    const from = this.getVenue(buyVenue);
+    const to = this.getVenue(sellVenue);
+    const now = this.nowTime();
+    const transfer = {
+      id: this.state.nextTransferId++,
+      botId: bot.id,
+      symbol,
+      quantity,
+      buyVenue,
+      sellVenue,
+      buyPrice,
+      startedAt: new Date(now).toISOString(),
+      arrivesAt: new Date(
+        now + from.transferLatencyMs + to.transferLatencyMs
+      ).toISOString(),
+      arrived: false,
+      unmatched: false,
+    };
+
+    from.adjustBalance(bot.id, symbol.split("/")[0], -quantity);
+    this.state.transfers.push(transfer);
+    this.dataManager.saveData();
+    return transfer;
+  }
+
+  // Deposits transfers whose latency has passed on their sell venue and
+  // returns every landed transfer that still has inventory to sell
+  receiveTransfers() {
+    const now = this.nowTime();
+    return this.state.transfers.filter((transfer) => {
+      if (new Date(transfer.arrivesAt).getTime() > now) return false;
+      if (!transfer.arrived) {
+        const venue = this.getVenue(transfer.sellVenue);
+        if (venue) {
+          venue.adjustBalance(
+            transfer.botId,
+            transfer.symbol.split("/")[0],
+            transfer.quantity
+          );
+        }
+        transfer.arrived = true;
+        this.dataManager.saveData();
+      }
+      return true;
+    });
+  }
+
+  // Books the sell order placed for a landed transfer. Whatever did not fill
+  // stays open, is flagged once, and is offered again next cycle.
+  settleTransfer(bot, transfer, order) {
+    const filled = order ? order.filledQuantity : 0;
+    transfer.quantity -= filled;
+
+    if (transfer.quantity <= 1e-12) {
+      this.state.transfers = this.state.transfers.filter(
+        (t) => t.id !== transfer.id
+      );
+      this.logTransfer(
+        bot,
+        `Sold ${transfer.symbol} on ${
+          transfer.sellVenue
+        } at $${order.avgFillPrice.toFixed(2)} after transfer from ${
+          transfer.buyVenue
+        } (bought at $${transfer.buyPrice.toFixed(2)})`
+      );
+    } else if (!transfer.unmatched) {
+      transfer.unmatched = true;
+      this.logTransfer(
+        bot,
+        `Unmatched leg: ${transfer.quantity.toFixed(6)} ${transfer.symbol} on ${
+          transfer.sellVenue
+        } did not sell${
+          order && order.reason ? ` (${order.reason})` : ""
+        }; retrying each cycle`
+      );
+    }
+    this.dataManager.saveData();
+  }
+
+  logTransfer(bot, message) {
+    this.dataManager.addAIDecision({
+      type: "arbitrage",
+      message: `${bot.name}: ${message}`,
+      confidence: 100,
+      botIds: [bot.id],
+    });
+  }
+
+  log(bot, opportunity) {
+    this.dataManager.addArbitrageLog({
+      botId: bot.id,
+      botName: bot.name,
+      ...opportunity,
+    });
+  }
+}
+
+// Venues and their settings are the engine's (settings.arbitrage), shared by
+// every arbitrage bot
+StrategyRegistry.register({
+  id: "arbitrage",
+  name: "Multi-Exchange Arbitrage",
+  description:
+    "Buys on one venue and sells on another when the spread beats fees and transfer risk",
+  marketData: ["venues"],
+  // decide compares every symbol itself
+  symbols: () => [null],
+  decide: ({ engine, bot, symbol }) => {
+    const cash = engine.dataManager.ledger.getSummary(bot.id).cash;
+    const notional = Math.min(engine.allocator.getTradeSize(bot), cash);
+    if (notional <= 0) {
+      return {
+        execute: false,
+        type: "buy",
+        symbol,
+        amount: 0,
+        confidence: 0,
+        reason: "No cash",
+      };
+    }
+    return engine.arbitrage.decide(bot, notional);
+  },
+});
@@ -0,0 +1,182 @@
+// Replays a recorded price file through the live decision path
+// (TradingEngine.generateTradeDecision / executeBotTrade) as fast as possible.
+// Each run gets its own in-memory DataManager and paper venue, so nothing it
+// does touches the live bots, tradingHistory, localStorage or a configured
+// exchange.
+class Backtester {
+  constructor(bots, options = {}) {
+    this.bots = bots;
+    this.options = options;
+    this.seed =
+      options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+  }
+
+  createSandbox() {
+    let currentTime = new Date(0);
+
+    const bots = this.bots.map((bot) => ({
+      ...JSON.parse(JSON.stringify(bot)),
+      status: "active",
+      profit: 0,
+      trades: 0,
+      successRate: 0,
+      performance: 0,
+    }));
+
+    const dataManager = new DataManager({
+      persist: false,
+      bots,
+      settings: Backtester.sandboxSettings(this.options.settings),
+      clock: () => currentTime,
+      historyLimit: Infinity,
+    });
+
+    const engine = new TradingEngine({
+      dataManager,
+      random: new SeededRandom(this.seed),
+    });
+    // Trades every frame, as a started engine would, without its timers
+    engine.isRunning = true;
+
+    return {
+      dataManager,
+      engine,
+      setTime: (timestamp) => {
+        currentTime = new Date(timestamp);
+      },
+    };
+  }
+
+  // A copy of the live settings that trades on the paper venue and reads no
+  // live feed, whatever exchange and market data source are configured
+  static sandboxSettings(settings = {}) {
+    return {
+      ...JSON.parse(JSON.stringify(settings)),
+      exchange: { type: "paper" },
+      marketDataSource: { type: "simulated" },
+    };
+  }
+
+  async run(data) {
+    const source = new ReplayMarketDataSource({ data });
+    const { dataManager, engine, setTime } = this.createSandbox();
+    const frameCount = source.frames.length;
+
+    if (frameCount === 0) {
+      throw new Error("Backtest data contains no ticks");
+    }
+
+    const equity = { fleet: [] };
+    dataManager.bots.forEach((bot) => {
+      equity[bot.id] = [];
+    });
+
+    const startedAt = new Date().toISOString();
+    dataManager.startSession(this.seed);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const marketData = await source.getSnapshot();
+      const timestamp = source.frames[frame][0].timestamp;
+
+      setTime(timestamp);
+      engine.processMarketData(marketData);
+      engine.aiAgent.analyzeMarketConditions();
+      await engine.applyRiskChecks();
+      await engine.settleTransfers();
+
+      const activeBots = dataManager.bots.filter(
+        (bot) => bot.status === "active"
+      );
+      for (const bot of activeBots) {
+        await engine.executeBotTrade(bot);
+      }
+
+      let fleetEquity = 0;
+      dataManager.bots.forEach((bot) => {
+        equity[bot.id].push({ timestamp, equity: bot.profit });
+        fleetEquity += bot.profit;
+      });
+      equity.fleet.push({ timestamp, equity: fleetEquity });
+
+      if (this.options.onProgress && frame % 100 === 0) {
+        this.options.onProgress(frame / frameCount);
+      }
+    }
+
+    const trades = dataManager.tradingHistory.slice().reverse();
+
+    return {
+      id: Date.now(),
+      seed: this.seed,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      frames: frameCount,
+      from: source.frames[0][0].timestamp,
+      to: source.frames[frameCount - 1][0].timestamp,
+      bots: dataManager.bots.map((bot) => ({
+        botId: bot.id,
+        botName: bot.name,
+        type: bot.type,
+        ...Backtester.summarize(
+          trades.filter((t) => t.botId === bot.id),
+          equity[bot.id]
+        ),
+      })),
+      fleet: Backtester.summarize(trades, equity.fleet),
+    };
+  }
+
+  // Equity points are total P&L from the ledger (realized + unrealized)
+  static summarize(trades, equityCurve) {
+    const closedTrades = trades.filter((t) => t.closedQuantity !== 0);
+    const wins = closedTrades.filter((t) => t.profit > 0).length;
+    const totalProfit = equityCurve.length
+      ? equityCurve[equityCurve.length - 1].equity
+      : 0;
+
+    let peak = 0;
+    let maxDrawdown = 0;
+    equityCurve.forEach((point) => {
+      peak = Math.max(peak, point.equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+    });
+
+    return {
+      trades,
+      totalTrades: trades.length,
+      wins,
+      losses: closedTrades.length - wins,
+      winRate: closedTrades.length > 0 ? (wins / closedTrades.length) * 100 : 0,
+      totalProfit: parseFloat(totalProfit.toFixed(2)),
+      maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
+      equityCurve: Backtester.downsample(equityCurve, 500),
+    };
+  }
+
+  // The report without its trades and with shorter equity curves, small
+  // enough to keep several in localStorage
+  static compact(report, maxPoints = 100) {
+    const compactSummary = ({ trades, equityCurve, ...summary }) => ({
+      ...summary,
+      equityCurve: Backtester.downsample(equityCurve, maxPoints),
+    });
+    return {
+      ...report,
+      bots: report.bots.map(compactSummary),
+      fleet: compactSummary(report.fleet),
+    };
+  }
+
+  // Thin long equity curves so reports stay small enough to persist
+  static downsample(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+
+    const step = points.length / maxPoints;
+    const sampled = [];
+    for (let i = 0; i < maxPoints - 1; i++) {
+      sampled.push(points[Math.floor(i * step)]);
+    }
+    sampled.push(points[points.length - 1]);
+    return sampled;
+  }
+}
@@ -0,0 +1,172 @@
+// Builds OHLCV candles per symbol from the ticks TradingEngine records.
+// Candles are bucketed by timeframe start time and kept in ascending order;
+// each timeframe keeps at most `retention[timeframe]` candles. The store
+// tracks which series have closed a candle since clearChanges(), so only
+// those need saving again.
+const CANDLE_TIMEFRAMES = {
+  "15s": 15 * 1000,
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+};
+
+const DEFAULT_CANDLE_RETENTION = {
+  "15s": 240, // 1 hour
+  "1m": 720, // 12 hours
+  "5m": 576, // 2 days
+  "1h": 720, // 30 days
+};
+
+class CandleStore {
+  constructor(retention = {}) {
+    this.timeframes = CANDLE_TIMEFRAMES;
+    this.retention = { ...DEFAULT_CANDLE_RETENTION, ...retention };
+    this.series = {};
+    // "symbol timeframe" keys of series with newly closed candles
+    this.changed = new Set();
+  }
+
+  static toTime(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === "number") return value;
+    return new Date(value).getTime();
+  }
+
+  addSnapshot(marketData) {
+    Object.values(marketData).forEach((quote) => {
+      this.addTick(quote.symbol, quote.price, quote.volume, quote.timestamp);
+    });
+  }
+
+  addTick(symbol, price, volume = 0, timestamp = Date.now()) {
+    const time = CandleStore.toTime(timestamp);
+    if (!isFinite(price) || !isFinite(time)) return;
+
+    if (!this.series[symbol]) this.series[symbol] = {};
+
+    Object.entries(this.timeframes).forEach(([timeframe, size]) => {
+      const candles = this.series[symbol][timeframe] || [];
+      this.series[symbol][timeframe] = candles;
+
+      const bucket = Math.floor(time / size) * size;
+      const last = candles[candles.length - 1];
+
+      if (last && last.time === bucket) {
+        last.high = Math.max(last.high, price);
+        last.low = Math.min(last.low, price);
+        last.close = price;
+        last.volume += volume;
+      } else if (!last || bucket > last.time) {
+        if (last) this.changed.add(`${symbol} ${timeframe}`);
+        candles.push({
+          time: bucket,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume,
+        });
+        if (candles.length > this.retention[timeframe]) {
+          candles.splice(0, candles.length - this.retention[timeframe]);
+        }
+      }
+      // Ticks older than the current bucket arrive out of order and are dropped
+    });
+  }
+
+  getCandles(symbol, timeframe = "1m", from, to) {
+    if (!this.timeframes[timeframe]) {
+      throw new Error(`Unknown candle timeframe: ${timeframe}`);
+    }
+
+    const candles =
+      (this.series[symbol] && this.series[symbol][timeframe]) || [];
+    const start = CandleStore.toTime(from);
+    const end = CandleStore.toTime(to);
+
+    return candles
+      .filter(
+        (candle) =>
+          (start === undefined || candle.time >= start) &&
+          (end === undefined || candle.time <= end)
+      )
+      .map((candle) => ({ ...candle }));
+  }
+
+  getSymbols() {
+    return Object.keys(this.series);
+  }
+
+  clear() {
+    this.series = {};
+    this.changed.clear();
+  }
+
+  // [[symbol, timeframe]] of the series that closed a candle
+  getChangedSeries() {
+    return Array.from(this.changed).map((key) => key.split(" "));
+  }
+
+  clearChanges() {
+    this.changed.clear();
+  }
+
+  // Candles are stored as [time, open, high, low, close, volume] tuples to
+  // keep the localStorage footprint small
+  static toTuple(c) {
+    return [c.time, c.open, c.high, c.low, c.close, c.volume];
+  }
+
+  toJSON() {
+    const series = {};
+    Object.entries(this.series).forEach(([symbol, timeframes]) => {
+      series[symbol] = {};
+      Object.entries(timeframes).forEach(([timeframe, candles]) => {
+        series[symbol][timeframe] = candles.map(CandleStore.toTuple);
+      });
+    });
+    return series;
+  }
+
+  // Every closed candle of one series, as tuples
+  getClosedJSON(symbol, timeframe) {
+    const candles =
+      (this.series[symbol] && this.series[symbol][timeframe]) || [];
+    return candles.slice(0, -1).map(CandleStore.toTuple);
+  }
+
+  // The candle still forming in each series, in toJSON's shape
+  getOpenJSON() {
+    const series = {};
+    Object.entries(this.series).forEach(([symbol, timeframes]) => {
+      series[symbol] = {};
+      Object.entries(timeframes).forEach(([timeframe, candles]) => {
+        series[symbol][timeframe] = candles.slice(-1).map(CandleStore.toTuple);
+      });
+    });
+    return series;
+  }
+
+  // Loaded series count as changed until clearChanges()
+  load(series) {
+    this.series = {};
+    this.changed.clear();
+    Object.entries(series || {}).forEach(([symbol, timeframes]) => {
+      this.series[symbol] = {};
+      Object.entries(timeframes).forEach(([timeframe, candles]) => {
+        if (!this.timeframes[timeframe]) return;
+        this.changed.add(`${symbol} ${timeframe}`);
+        this.series[symbol][timeframe] = candles
+          .slice(-this.retention[timeframe])
+          .map(([time, open, high, low, close, volume]) => ({
+            time,
+            open,
+            high,
+            low,
+            close,
+            volume,
+          }));
+      });
+    });
+  }
+}
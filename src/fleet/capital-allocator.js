@@ -0,0 +1,343 @@
+// Splits the fleet's equity into a capital budget per bot, configured by
+// settings.allocation. A bot may only open exposure up to its budget; orders
+// that would take it further are cut down, and orders that only shrink a
+// position always go through. Each rebalance moves free cash from bots
+// holding more than their budget to bots holding less.
+//
+// Methods:
+//   equal_weight       every bot gets the same share
+//   risk_parity        shares inversely proportional to each bot's return
+//                      volatility, so each contributes similar risk
+//   volatility_target  each bot's equal share scaled by targetVolatility over
+//                      its own volatility
+//   kelly              kellyFraction of each bot's Kelly fraction, from the
+//                      win rate and win/loss ratio of its closed trades
+// Bots without enough history fall back to their equal share. The regime
+// playbook can tilt shares by bot type. Shares are capped at maxWeight;
+// whatever is not allocated stays in reserve.
+//
+// With settings.autoRebalance on, budgets are recomputed every
+// rebalanceIntervalMs, or sooner when the budgets the current method and
+// equity call for drift from the allocated ones by more than driftThreshold
+// of fleet equity.
+const ALLOCATION_METHODS = {
+  equal_weight: "Equal weight",
+  risk_parity: "Risk parity",
+  volatility_target: "Volatility target",
+  kelly: "Fractional Kelly",
+};
+
+class CapitalAllocator {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    this.riskAnalytics = new RiskAnalytics(dataManager);
+  }
+
+  static initialState() {
+    // tilts: share multipliers by bot type, set by the regime playbook
+    return {
+      method: null,
+      tilts: {},
+      weights: {},
+      budgets: {},
+      fleetEquity: 0,
+      rebalancedAt: null,
+    };
+  }
+
+  get config() {
+    return this.dataManager.settings.allocation;
+  }
+
+  get state() {
+    return this.dataManager.allocationState;
+  }
+
+  getFleetEquity() {
+    return this.dataManager.bots.reduce(
+      (sum, bot) => sum + this.dataManager.ledger.getEquity(bot.id),
+      0
+    );
+  }
+
+  // Until the first allocation every bot's budget is its own equity
+  getBudget(botId) {
+    const budget = this.state.budgets[botId];
+    return budget !== undefined
+      ? budget
+      : this.dataManager.ledger.getEquity(botId);
+  }
+
+  getGrossExposure(botId) {
+    return this.dataManager.ledger
+      .getSummary(botId)
+      .positions.reduce(
+        (sum, position) =>
+          sum + Math.abs(position.quantity * position.markPrice),
+        0
+      );
+  }
+
+  getAvailable(botId) {
+    return Math.max(0, this.getBudget(botId) - this.getGrossExposure(botId));
+  }
+
+  // Largest part of the order the bot's budget allows. The part that closes
+  // the current position is always allowed.
+  capQuantity(bot, order, price) {
+    const position = this.dataManager.ledger.getPosition(bot.id, order.symbol);
+    const direction = order.side === "buy" ? 1 : -1;
+    const closing =
+      Math.sign(position.quantity) === -direction
+        ? Math.min(Math.abs(position.quantity), order.quantity)
+        : 0;
+
+    return Math.min(
+      order.quantity,
+      closing + this.getAvailable(bot.id) / price
+    );
+  }
+
+  // Notional for one trade of a strategy that does not size its own orders
+  getTradeSize(bot) {
+    return Math.min(
+      this.getBudget(bot.id) * this.config.tradeFraction,
+      this.getAvailable(bot.id)
+    );
+  }
+
+  getVolatilities() {
+    const returns = this.riskAnalytics.getBotReturns();
+    const volatilities = {};
+    Object.entries(returns).forEach(([botId, series]) => {
+      volatilities[botId] =
+        series.length >= this.config.minObservations
+          ? RiskAnalytics.stdDev(series)
+          : 0;
+    });
+    return volatilities;
+  }
+
+  // Full Kelly fraction p - (1 - p) / (avg win / avg loss), or null when the
+  // bot has too few closed trades to tell
+  getKellyFraction(botId) {
+    const closed = this.dataManager.tradingHistory.filter(
+      (trade) => trade.botId === botId && trade.closedQuantity !== 0
+    );
+    if (closed.length < this.config.kellyMinTrades) return null;
+
+    const wins = closed.filter((trade) => trade.profit > 0);
+    const losses = closed.filter((trade) => trade.profit < 0);
+    if (losses.length === 0) return 1;
+    if (wins.length === 0) return 0;
+
+    const averageWin = RiskAnalytics.mean(wins.map((trade) => trade.profit));
+    const averageLoss = -RiskAnalytics.mean(
+      losses.map((trade) => trade.profit)
+    );
+    const winRate = wins.length / closed.length;
+    return winRate - (1 - winRate) / (averageWin / averageLoss);
+  }
+
+  // Target share of fleet equity per bot id
+  computeWeights(method = this.config.method) {
+    const bots = this.dataManager.bots;
+    if (bots.length === 0) return {};
+
+    const equalShare = 1 / bots.length;
+    const raw = {};
+
+    switch (method) {
+      case "risk_parity": {
+        const volatilities = this.getVolatilities();
+        const inverse = bots
+          .filter((bot) => volatilities[bot.id] > 0)
+          .map((bot) => 1 / volatilities[bot.id]);
+        // Bots without a volatility estimate count as average risk
+        const fallback = inverse.length > 0 ? RiskAnalytics.mean(inverse) : 1;
+        bots.forEach((bot) => {
+          raw[bot.id] =
+            volatilities[bot.id] > 0 ? 1 / volatilities[bot.id] : fallback;
+        });
+        const total = Object.values(raw).reduce((sum, w) => sum + w, 0);
+        bots.forEach((bot) => {
+          raw[bot.id] /= total;
+        });
+        break;
+      }
+      case "volatility_target": {
+        const volatilities = this.getVolatilities();
+        bots.forEach((bot) => {
+          raw[bot.id] =
+            volatilities[bot.id] > 0
+              ? equalShare *
+                (this.config.targetVolatility / volatilities[bot.id])
+              : equalShare;
+        });
+        break;
+      }
+      case "kelly":
+        bots.forEach((bot) => {
+          const kelly = this.getKellyFraction(bot.id);
+          raw[bot.id] =
+            kelly === null
+              ? equalShare
+              : Math.max(0, kelly) * this.config.kellyFraction;
+        });
+        break;
+      default:
+        bots.forEach((bot) => {
+          raw[bot.id] = equalShare;
+        });
+    }
+
+    // Tilt and cap each bot, then scale down if the total would exceed the
+    // fleet
+    const tilts = this.state.tilts || {};
+    const weights = {};
+    bots.forEach((bot) => {
+      const tilt = tilts[bot.type] !== undefined ? tilts[bot.type] : 1;
+      weights[bot.id] = Math.min(this.config.maxWeight, raw[bot.id] * tilt);
+    });
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (total > 1) {
+      bots.forEach((bot) => {
+        weights[bot.id] /= total;
+      });
+    }
+    return weights;
+  }
+
+  // Largest gap between the allocated budgets and the ones the method calls
+  // for now, as a share of fleet equity
+  getDrift(weights = this.computeWeights()) {
+    const fleetEquity = this.getFleetEquity();
+    if (fleetEquity <= 0) return 0;
+
+    return this.dataManager.bots.reduce((max, bot) => {
+      const target = weights[bot.id] * fleetEquity;
+      const allocated = this.state.budgets[bot.id] || 0;
+      return Math.max(max, Math.abs(target - allocated) / fleetEquity);
+    }, 0);
+  }
+
+  // Allocates on first use and, with autoRebalance, on schedule or drift.
+  // Returns true when budgets changed.
+  check() {
+    if (!this.state.rebalancedAt || this.state.method !== this.config.method) {
+      this.rebalance("initial allocation");
+      return true;
+    }
+    if (!this.dataManager.settings.autoRebalance) return false;
+
+    const elapsed =
+      this.dataManager.now().getTime() -
+      new Date(this.state.rebalancedAt).getTime();
+    if (elapsed >= this.config.rebalanceIntervalMs) {
+      this.rebalance("scheduled");
+      return true;
+    }
+
+    const weights = this.computeWeights();
+    const drift = this.getDrift(weights);
+    if (drift > this.config.driftThreshold) {
+      this.rebalance(
+        `drift ${(drift * 100).toFixed(1)}% over the ${(
+          this.config.driftThreshold * 100
+        ).toFixed(1)}% threshold`,
+        weights
+      );
+      return true;
+    }
+    return false;
+  }
+
+  // Moves cash towards each bot's budget, from bots whose equity is over
+  // theirs. Cash tied up in positions stays where it is. Returns the
+  // transfers as { from, to, amount }.
+  fundBudgets(budgets) {
+    const ledger = this.dataManager.ledger;
+    const bots = this.dataManager.bots;
+    const gap = (bot) => budgets[bot.id] - ledger.getEquity(bot.id);
+
+    const donors = bots
+      .filter((bot) => gap(bot) < 0)
+      .map((bot) => ({
+        bot,
+        spare: Math.min(-gap(bot), Math.max(0, ledger.getSummary(bot.id).cash)),
+      }));
+    const transfers = [];
+
+    bots
+      .filter((bot) => gap(bot) > 0)
+      .forEach((bot) => {
+        let needed = gap(bot);
+        donors.forEach((donor) => {
+          const amount = Math.min(needed, donor.spare);
+          if (amount < 0.01) return;
+
+          ledger.transferCash(donor.bot.id, bot.id, amount);
+          // A transfer out is not a drawdown
+          const peaks = this.dataManager.riskState.peaks;
+          if (peaks[donor.bot.id] !== undefined) peaks[donor.bot.id] -= amount;
+          if (peaks[bot.id] !== undefined) peaks[bot.id] += amount;
+
+          donor.spare -= amount;
+          needed -= amount;
+          transfers.push({ from: donor.bot.id, to: bot.id, amount });
+        });
+      });
+
+    if (transfers.length > 0) this.dataManager.syncBotProfits();
+    return transfers;
+  }
+
+  rebalance(reason = "manual", weights = this.computeWeights()) {
+    const fleetEquity = this.getFleetEquity();
+    const budgets = {};
+    Object.entries(weights).forEach(([botId, weight]) => {
+      budgets[botId] = weight * fleetEquity;
+    });
+    const transfers = this.fundBudgets(budgets);
+    const changes = this.dataManager.bots
+      .filter((bot) => this.state.budgets[bot.id] !== budgets[bot.id])
+      .map((bot) => ({
+        botId: bot.id,
+        field: "budget",
+        before: this.state.budgets[bot.id],
+        after: budgets[bot.id],
+      }));
+    const drift = this.state.rebalancedAt ? this.getDrift(weights) : null;
+
+    Object.assign(this.state, {
+      method: this.config.method,
+      weights,
+      budgets,
+      fleetEquity,
+      rebalancedAt: this.dataManager.now().toISOString(),
+    });
+
+    const summary = this.dataManager.bots
+      .map((bot) => `${bot.name} ${(weights[bot.id] * 100).toFixed(1)}%`)
+      .join(", ");
+    this.dataManager.addAIDecision({
+      type: "allocation",
+      message: `Capital rebalanced (${
+        ALLOCATION_METHODS[this.config.method] || this.config.method
+      }, ${reason}): ${summary}`,
+      confidence: 100,
+      inputs: {
+        method: this.config.method,
+        fleetEquity,
+        drift,
+        driftThreshold: this.config.driftThreshold,
+        tilts: { ...this.state.tilts },
+        transfers,
+      },
+      rule: reason,
+      changes,
+      botIds: this.dataManager.bots.map((bot) => bot.id),
+    });
+    this.dataManager.saveData();
+  }
+}
@@ -0,0 +1,243 @@
+// Automatic circuit breakers, configured by settings.circuitBreakers:
+//   - a symbol halts when its price moves more than symbolMovePct within
+//     symbolWindowMs; no orders are accepted for it while halted.
+//     symbolMovePctBySymbol overrides the limit for more volatile symbols
+//   - a bot halts after maxConsecutiveLosses losing trades in a row, or when
+//     its realized loss over the last hour exceeds maxLossPerHour
+// A tripped breaker stays tripped for cooldownMs. After that it resets by
+// itself, or, with requireConfirmation, waits for the operator to confirm.
+// The simulated feed jitters each price by up to half its volatility around
+// a fixed base, so LINK can swing 6% and ADA 5% between two ticks. These keep
+// the limits clear of that noise.
+const DEFAULT_SYMBOL_MOVE_LIMITS = {
+  "ADA/USD": 8,
+  "DOT/USD": 7,
+  "LINK/USD": 10,
+};
+
+class CircuitBreakers {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  static initialState() {
+    // resetAt: when each breaker last reset, by bot id or symbol; prices and
+    // trades from before then no longer count
+    return { symbols: {}, bots: {}, resetAt: {} };
+  }
+
+  get config() {
+    return this.dataManager.settings.circuitBreakers || {};
+  }
+
+  get state() {
+    return this.dataManager.breakerState;
+  }
+
+  nowTime() {
+    return this.dataManager.now().getTime();
+  }
+
+  isSymbolHalted(symbol) {
+    return Boolean(this.state.symbols[symbol]);
+  }
+
+  isBotHalted(botId) {
+    return Boolean(this.state.bots[botId]);
+  }
+
+  getMoveLimit(symbol) {
+    const limits = this.config.symbolMovePctBySymbol || {};
+    return limits[symbol] !== undefined
+      ? limits[symbol]
+      : this.config.symbolMovePct;
+  }
+
+  getBreaker(kind, key) {
+    return this.state[kind][key] || null;
+  }
+
+  trip(kind, key, name, reason, trigger) {
+    const now = this.nowTime();
+    this.state[kind][key] = {
+      reason,
+      trigger,
+      trippedAt: new Date(now).toISOString(),
+      resumeAt: new Date(now + this.config.cooldownMs).toISOString(),
+      awaitingConfirmation: false,
+    };
+    this.log(`Circuit breaker tripped for ${name}: ${reason}`, {
+      inputs: trigger,
+      rule: kind === "bots" ? "bot loss breaker" : "symbol move breaker",
+      botIds: kind === "bots" ? [key] : [],
+    });
+    this.dataManager.saveData();
+  }
+
+  // Move from the window's first price to the current price
+  checkSymbols(marketData) {
+    if (!this.config.enabled) return [];
+
+    const tripped = [];
+    const windowStart = this.nowTime() - this.config.symbolWindowMs;
+
+    Object.values(marketData).forEach((quote) => {
+      if (this.isSymbolHalted(quote.symbol)) return;
+
+      const resetAt = new Date(this.state.resetAt[quote.symbol] || 0).getTime();
+      const from = Math.max(windowStart, resetAt);
+      const candles = this.dataManager.getCandles(quote.symbol, "15s", from);
+      if (candles.length === 0) return;
+
+      const reference = candles[0].open;
+      const movePct = ((quote.price - reference) / reference) * 100;
+      const limit = this.getMoveLimit(quote.symbol);
+      if (Math.abs(movePct) <= limit) return;
+
+      this.trip(
+        "symbols",
+        quote.symbol,
+        quote.symbol,
+        `price moved ${movePct.toFixed(2)}% in ${Math.round(
+          this.config.symbolWindowMs / 60000
+        )} min (limit ${limit}%)`,
+        {
+          referencePrice: reference,
+          price: quote.price,
+          movePct,
+          windowMs: this.config.symbolWindowMs,
+        }
+      );
+      tripped.push(quote.symbol);
+    });
+    return tripped;
+  }
+
+  // Called after each trade that realized P&L; returns true if the bot tripped
+  checkBot(bot) {
+    if (!this.config.enabled || this.isBotHalted(bot.id)) return false;
+
+    const since = new Date(this.state.resetAt[bot.id] || 0).getTime();
+    const closed = this.dataManager.tradingHistory.filter(
+      (trade) =>
+        trade.botId === bot.id &&
+        trade.closedQuantity > 0 &&
+        new Date(trade.timestamp).getTime() > since
+    );
+
+    let streak = 0;
+    for (const trade of closed) {
+      if (trade.profit >= 0) break;
+      streak++;
+    }
+
+    const hourAgo = this.nowTime() - 60 * 60 * 1000;
+    const hourlyPnl = closed
+      .filter((trade) => new Date(trade.timestamp).getTime() >= hourAgo)
+      .reduce((sum, trade) => sum + trade.profit, 0);
+
+    let reason = null;
+    if (
+      this.config.maxConsecutiveLosses &&
+      streak >= this.config.maxConsecutiveLosses
+    ) {
+      reason = `${streak} consecutive losing trades (limit ${this.config.maxConsecutiveLosses})`;
+    } else if (
+      this.config.maxLossPerHour &&
+      -hourlyPnl > this.config.maxLossPerHour
+    ) {
+      reason = `lost $${(-hourlyPnl).toFixed(2)} in the last hour (limit $${
+        this.config.maxLossPerHour
+      })`;
+    }
+    if (!reason) return false;
+
+    this.trip("bots", bot.id, bot.name, reason, {
+      consecutiveLosses: streak,
+      hourlyPnl,
+    });
+    this.dataManager.updateBot(bot.id, { status: "halted" });
+    return true;
+  }
+
+  // Resets breakers whose cooldown is over, or flags them for confirmation.
+  // Returns the bots that resumed.
+  checkCooldowns() {
+    const now = this.nowTime();
+    const resumed = [];
+
+    Object.entries(this.state.symbols).forEach(([symbol, breaker]) => {
+      if (!this.isCooledDown(breaker, now)) return;
+      if (this.config.requireConfirmation) {
+        this.awaitConfirmation(breaker, symbol);
+      } else {
+        this.reset("symbols", symbol, symbol);
+      }
+    });
+
+    Object.entries(this.state.bots).forEach(([botId, breaker]) => {
+      if (!this.isCooledDown(breaker, now)) return;
+      const bot = this.dataManager.bots.find((b) => b.id === Number(botId));
+      if (!bot) return;
+
+      if (this.config.requireConfirmation) {
+        this.awaitConfirmation(breaker, bot.name);
+      } else {
+        this.resumeBot(bot);
+        resumed.push(bot.id);
+      }
+    });
+    return resumed;
+  }
+
+  isCooledDown(breaker, now = this.nowTime()) {
+    return now >= new Date(breaker.resumeAt).getTime();
+  }
+
+  awaitConfirmation(breaker, name) {
+    if (breaker.awaitingConfirmation) return;
+    breaker.awaitingConfirmation = true;
+    this.log(`Cooldown over for ${name}; waiting for operator confirmation`);
+    this.dataManager.saveData();
+  }
+
+  // Operator confirmation; refused while the cooldown is still running
+  confirmSymbol(symbol) {
+    const breaker = this.getBreaker("symbols", symbol);
+    if (!breaker || !this.isCooledDown(breaker)) return false;
+    this.reset("symbols", symbol, symbol);
+    return true;
+  }
+
+  confirmBot(botId) {
+    const breaker = this.getBreaker("bots", botId);
+    const bot = this.dataManager.bots.find((b) => b.id === botId);
+    if (!breaker || !bot || !this.isCooledDown(breaker)) return false;
+    this.resumeBot(bot);
+    return true;
+  }
+
+  resumeBot(bot) {
+    this.reset("bots", bot.id, bot.name);
+    if (bot.status === "halted") {
+      this.dataManager.updateBot(bot.id, { status: "active" });
+    }
+  }
+
+  reset(kind, key, name) {
+    delete this.state[kind][key];
+    this.state.resetAt[key] = this.dataManager.now().toISOString();
+    this.log(`Circuit breaker reset for ${name}`);
+    this.dataManager.saveData();
+  }
+
+  // details: the structured fields addAIDecision accepts
+  log(message, details = {}) {
+    this.dataManager.addAIDecision({
+      type: "circuit_breaker",
+      message,
+      confidence: 100,
+      ...details,
+    });
+  }
+}
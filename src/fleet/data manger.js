@@ -1,6 +1,19 @@
 class DataManager {
-  constructor() {
+  // Pass { persist: false } for an in-memory sandbox (e.g. backtests) that
+  // never reads or writes localStorage. `clock` supplies the timestamp for
+  // records, so replayed data can be stamped with its own time.
+  constructor(options = {}) {
     this.storageKey = "fleetAI_data";
+    this.candleStorageKey = "fleetAI_candles";
+    this.backtestStorageKey = "fleetAI_backtests";
+    this.persist = options.persist !== false;
+    this.clock = options.clock || (() => new Date());
+    this.historyLimit = options.historyLimit || 1000;
+    // saveData only schedules a write, saveDelayMs later, so the changes of a
+    // whole trading cycle are written together
+    this.saveDelayMs =
+      options.saveDelayMs !== undefined ? options.saveDelayMs : 1000;
+    this.saveTimer = null;
     this.defaultData = {
       bots: [
         {
@@ -21,6 +34,7 @@ class DataManager {
           type: "momentum",
           status: "inactive",
           strategy: "Trend Following",
+          params: MomentumStrategy.defaultParams(),
           profit: 0,
           trades: 0,
           successRate: 0,
@@ -33,6 +47,8 @@ class DataManager {
           type: "market_making",
           status: "inactive",
           strategy: "Liquidity Provision",
+          params: MarketMakingStrategy.defaultParams(),
+          spreadCapture: 0,
           profit: 0,
           trades: 0,
           successRate: 0,
@@ -45,6 +61,7 @@ class DataManager {
           type: "scalping",
           status: "inactive",
           strategy: "High-Frequency Trading",
+          params: ScalpingStrategy.defaultParams(),
           profit: 0,
           trades: 0,
           successRate: 0,
@@ -65,40 +82,452 @@ class DataManager {
         },
       ],
       tradingHistory: [],
+      // By botId, { count, profit } of the trades dropped past historyLimit
+      droppedTrades: {},
       aiDecisions: [],
+      // AI trade signals, kept apart so they cannot crowd decisions out
+      signalLog: [],
+      sessions: [],
+      portfolio: { accounts: {} },
+      orders: [],
+      arbitrageLog: [],
+      riskState: RiskManager.initialState(),
+      rejections: [],
+      rejectionCounts: {},
+      breakerState: CircuitBreakers.initialState(),
+      allocationState: CapitalAllocator.initialState(),
+      playbookState: RegimePlaybook.initialState(),
+      approvalState: ApprovalQueue.initialState(),
+      predictionState: PredictionTracker.initialState(),
+      arbitrageState: ArbitrageStrategy.initialState(),
+      aiModels: {},
       marketData: {},
       settings: {
         riskManagement: true,
         autoRebalance: true,
         maxDrawdown: 0.1,
         dailyTarget: 0.05,
+        dailyTargetAction: "derisk", // "derisk", "stop" or "none"
+        preTradeChecks: {
+          enabled: true,
+          maxOrderNotional: 2000,
+          maxPositionNotional: 5000,
+          maxBotGrossExposure: 10000,
+          maxFleetGrossExposure: 40000,
+          maxOrdersPerMinute: 60,
+          allowedSymbols: [],
+          deniedSymbols: [],
+        },
+        circuitBreakers: {
+          enabled: true,
+          symbolMovePct: 5,
+          symbolMovePctBySymbol: DEFAULT_SYMBOL_MOVE_LIMITS,
+          symbolWindowMs: 5 * 60 * 1000,
+          maxConsecutiveLosses: 5,
+          maxLossPerHour: 500,
+          cooldownMs: 15 * 60 * 1000,
+          requireConfirmation: false,
+        },
+        allocation: {
+          method: "equal_weight", // see ALLOCATION_METHODS
+          rebalanceIntervalMs: 60 * 60 * 1000,
+          driftThreshold: 0.05,
+          maxWeight: 0.5,
+          targetVolatility: 0.002, // per riskAnalytics bucket
+          kellyFraction: 0.5,
+          kellyMinTrades: 20,
+          minObservations: 5,
+          tradeFraction: 0.03, // of the budget, for strategies without a size
+        },
+        playbook: DEFAULT_PLAYBOOK,
+        learning: {
+          learningRate: 0.1,
+          l2: 0.001,
+          explorationRate: 0.1,
+          minEdge: 0.05,
+          accuracyWindow: 50,
+          holdingPeriodMs: 5 * 60 * 1000,
+          snapshotEvery: 25, // model updates between automatic snapshots
+          maxSnapshots: 20,
+        },
+        regimeDetection: {
+          timeframe: "1m",
+          lookback: 120, // candles
+          minObservations: 15,
+          stayProbability: 0.95,
+          model: DEFAULT_REGIME_MODEL, // see RegimeDetector
+        },
+        optimizer: {
+          method: "random", // see OPTIMIZER_METHODS
+          objective: "sharpeRatio", // see OPTIMIZER_OBJECTIVES
+          timeframe: "15s",
+          lookbackMs: 60 * 60 * 1000,
+          minFrames: 60,
+          maxEvaluations: 30,
+          gridSteps: 3,
+          populationSize: 10,
+          mutationRate: 0.2,
+          minTrades: 3,
+          fixedParameters: ["timeframe"],
+        },
+        approvals: {
+          expiryMs: 30 * 60 * 1000,
+          // By action, see APPROVAL_ACTIONS and APPROVAL_POLICIES
+          policies: {
+            risk_adjustment: "auto",
+            playbook: "auto",
+            optimization: "manual",
+          },
+        },
+        predictions: {
+          horizonMs: 5 * 60 * 1000,
+          intervalMs: 60 * 1000, // between predictions
+          timeframe: "15s", // candles the realized move is read from
+          maxScored: 1000,
+          calibrationBins: 10,
+          bucketMs: 60 * 60 * 1000, // accuracy over time resolution
+        },
+        riskAnalytics: {
+          bucketMs: 5 * 60 * 1000, // return series resolution
+          confidenceLevels: [0.95, 0.99],
+        },
+        marketDataSource: { type: "simulated" },
+        candleRetention: { ...DEFAULT_CANDLE_RETENTION },
+        randomSeed: null,
+        initialCapital: 10000,
+        feeRate: 0.001,
+        exchange: { type: "paper" },
+        arbitrage: {
+          minEdgeBps: 1,
+          latencyRiskMultiplier: 1,
+          skipLogIntervalMs: 60 * 1000,
+          venues: DEFAULT_ARBITRAGE_VENUES,
+        },
       },
     };
 
-    this.loadData();
+    this.loadData(options);
+    this.migrateAIModels();
+    this.ledger = new PortfolioLedger(this.settings, this.portfolio);
+    this.candleStore = new CandleStore(this.settings.candleRetention);
+    this.loadCandles();
+    this.loadBacktestResults();
+
+    if (this.persist && typeof window !== "undefined") {
+      // Only unsaved changes are written, so a page that never changed
+      // anything can't overwrite what another tab saved
+      window.addEventListener("beforeunload", () => {
+        if (this.saveTimer) this.flush();
+      });
+    }
   }
 
-  loadData() {
+  // A fresh copy, so nothing recorded later ends up in defaultData itself
+  copyDefaults() {
+    return JSON.parse(JSON.stringify(this.defaultData));
+  }
+
+  loadData(options = {}) {
+    if (!this.persist) {
+      Object.assign(this, this.copyDefaults());
+      if (options.bots) this.bots = options.bots;
+      if (options.settings) {
+        Object.assign(
+          this.settings,
+          JSON.parse(JSON.stringify(options.settings))
+        );
+      }
+      return;
+    }
+
     const saved = localStorage.getItem(this.storageKey);
     if (saved) {
-      Object.assign(this, JSON.parse(saved));
+      // Fill in any fields added since the data was saved
+      const defaults = this.copyDefaults();
+      Object.assign(this, defaults, JSON.parse(saved));
+      this.settings = { ...defaults.settings, ...this.settings };
     } else {
-      Object.assign(this, this.defaultData);
+      Object.assign(this, this.copyDefaults());
       this.saveData();
     }
   }
 
   saveData() {
-    localStorage.setItem(
-      this.storageKey,
-      JSON.stringify({
-        bots: this.bots,
-        tradingHistory: this.tradingHistory,
-        aiDecisions: this.aiDecisions,
-        marketData: this.marketData,
-        settings: this.settings,
-      })
+    if (!this.persist || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+  }
+
+  // Writes everything now. A full or unavailable localStorage must not stop
+  // trading, so failures are only logged.
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.persist) return;
+
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          bots: this.bots,
+          tradingHistory: this.tradingHistory,
+          aiDecisions: this.aiDecisions,
+          signalLog: this.signalLog,
+          sessions: this.sessions,
+          portfolio: this.ledger ? this.ledger.toJSON() : this.portfolio,
+          orders: this.orders,
+          arbitrageLog: this.arbitrageLog,
+          riskState: this.riskState,
+          rejections: this.rejections,
+          rejectionCounts: this.rejectionCounts,
+          breakerState: this.breakerState,
+          allocationState: this.allocationState,
+          playbookState: this.playbookState,
+          approvalState: this.approvalState,
+          predictionState: this.predictionState,
+          arbitrageState: this.arbitrageState,
+          aiModels: this.aiModels,
+          marketData: this.marketData,
+          settings: this.settings,
+        })
+      );
+    } catch (error) {
+      console.warn("Could not persist fleet data:", error);
+    }
+    this.saveCandles();
+  }
+
+  // Each series' closed candles are kept under their own key and rewritten
+  // only when one closes; the candles still forming are kept together under
+  // candleStorageKey
+  candleSeriesKey(symbol, timeframe) {
+    return `${this.candleStorageKey}:${symbol}:${timeframe}`;
+  }
+
+  loadCandles() {
+    if (!this.persist) return;
+
+    const saved = localStorage.getItem(this.candleStorageKey);
+    if (!saved) return;
+
+    // Older saves kept whole series under candleStorageKey
+    const series = JSON.parse(saved);
+    Object.entries(series).forEach(([symbol, timeframes]) => {
+      Object.keys(timeframes).forEach((timeframe) => {
+        const closed = localStorage.getItem(
+          this.candleSeriesKey(symbol, timeframe)
+        );
+        if (closed) {
+          timeframes[timeframe] = JSON.parse(closed).concat(
+            timeframes[timeframe]
+          );
+        }
+      });
+    });
+    this.candleStore.load(series);
+  }
+
+  saveCandles() {
+    if (!this.persist) return;
+
+    try {
+      this.candleStore.getChangedSeries().forEach(([symbol, timeframe]) => {
+        localStorage.setItem(
+          this.candleSeriesKey(symbol, timeframe),
+          JSON.stringify(this.candleStore.getClosedJSON(symbol, timeframe))
+        );
+      });
+      this.candleStore.clearChanges();
+      localStorage.setItem(
+        this.candleStorageKey,
+        JSON.stringify(this.candleStore.getOpenJSON())
+      );
+    } catch (error) {
+      console.warn("Could not persist candle history:", error);
+    }
+  }
+
+  clearCandles() {
+    if (this.persist) {
+      this.candleStore.getSymbols().forEach((symbol) => {
+        Object.keys(CANDLE_TIMEFRAMES).forEach((timeframe) => {
+          localStorage.removeItem(this.candleSeriesKey(symbol, timeframe));
+        });
+      });
+    }
+    this.candleStore.clear();
+  }
+
+  recordMarketData(marketData) {
+    this.marketData = marketData;
+    this.candleStore.addSnapshot(marketData);
+    this.ledger.markToMarket(marketData);
+    this.syncBotProfits();
+    this.saveData();
+  }
+
+  getCandles(symbol, timeframe, from, to) {
+    return this.candleStore.getCandles(symbol, timeframe, from, to);
+  }
+
+  loadBacktestResults() {
+    const saved = this.persist && localStorage.getItem(this.backtestStorageKey);
+    this.backtestResults = saved
+      ? JSON.parse(saved).map((report) => Backtester.compact(report))
+      : [];
+  }
+
+  // Backtest reports are kept apart from the live tradingHistory, as
+  // summaries and equity curves; their trades are not kept
+  addBacktestResult(report) {
+    this.backtestResults.unshift(Backtester.compact(report));
+
+    // Keep only the last 5 reports
+    if (this.backtestResults.length > 5) {
+      this.backtestResults = this.backtestResults.slice(0, 5);
+    }
+
+    if (this.persist) {
+      try {
+        localStorage.setItem(
+          this.backtestStorageKey,
+          JSON.stringify(this.backtestResults)
+        );
+      } catch (error) {
+        console.warn("Could not persist backtest results:", error);
+      }
+    }
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  // Every engine run is a session; its seed is enough to replay the run's
+  // random decisions, and trades and decisions carry the session id
+  startSession(seed, replayOf = null) {
+    this.session = {
+      id: Date.now(),
+      seed,
+      replayOf,
+      startedAt: this.now().toISOString(),
+    };
+    this.sessions.unshift(this.session);
+
+    // Keep only last 50 sessions
+    if (this.sessions.length > 50) {
+      this.sessions = this.sessions.slice(0, 50);
+    }
+
+    this.saveData();
+    return this.session;
+  }
+
+  recordFill(botId, symbol, side, quantity, price, fee) {
+    const fill = this.ledger.fill(botId, symbol, side, quantity, price, fee);
+    this.syncBotProfits();
+    return fill;
+  }
+
+  // bot.profit and friends mirror the ledger so the UI can read them directly
+  syncBotProfits() {
+    this.bots.forEach((bot) => {
+      const summary = this.ledger.getSummary(bot.id);
+      bot.profit = summary.totalPnl;
+      bot.realizedProfit = summary.realizedPnl;
+      bot.unrealizedProfit = summary.unrealizedPnl;
+      bot.equity = summary.equity;
+    });
+  }
+
+  upsertOrder(order) {
+    const index = this.orders.findIndex(
+      (o) => o.id === order.id && o.venue === order.venue
     );
+    if (index === -1) {
+      this.orders.unshift(order);
+    } else {
+      this.orders[index] = order;
+    }
+
+    // Keep the last 200 orders, but never drop one that is still working
+    if (this.orders.length > 200) {
+      this.orders = this.orders.filter(
+        (o, i) => i < 200 || MatchingEngine.isOpen(o)
+      );
+    }
+
+    this.saveData();
+  }
+
+  addRejection(rejection) {
+    this.rejections.unshift({
+      ...rejection,
+      sessionId: this.session ? this.session.id : null,
+      timestamp: this.now().toISOString(),
+    });
+    this.rejectionCounts[rejection.rule] =
+      (this.rejectionCounts[rejection.rule] || 0) + 1;
+
+    // Keep only last 200 rejections
+    if (this.rejections.length > 200) {
+      this.rejections = this.rejections.slice(0, 200);
+    }
+
+    this.saveData();
+  }
+
+  addArbitrageLog(entry) {
+    this.arbitrageLog.unshift({
+      ...entry,
+      sessionId: this.session ? this.session.id : null,
+      timestamp: this.now().toISOString(),
+    });
+
+    // Keep only last 200 opportunities
+    if (this.arbitrageLog.length > 200) {
+      this.arbitrageLog = this.arbitrageLog.slice(0, 200);
+    }
+  }
+
+  // Fields `updates` would change, as { botId, field, before, after }
+  diffBot(botId, updates) {
+    const bot = this.bots.find((b) => b.id === botId);
+    if (!bot) return [];
+    return Object.entries(updates)
+      .filter(([field, value]) => bot[field] !== value)
+      .map(([field, value]) => ({
+        botId,
+        field,
+        before: bot[field],
+        after: value,
+      }));
+  }
+
+  // New bots start inactive, with the type's registered strategy name
+  addBot({ name, type, riskLevel, params }) {
+    const definition = StrategyRegistry.get(type);
+    if (!definition) {
+      throw new Error(`Unknown strategy: ${type}`);
+    }
+
+    const bot = {
+      id: this.bots.reduce((max, b) => Math.max(max, b.id), 0) + 1,
+      name,
+      type,
+      status: "inactive",
+      strategy: definition.name,
+      profit: 0,
+      trades: 0,
+      successRate: 0,
+      riskLevel,
+      performance: 0,
+      params,
+    };
+    this.bots.push(bot);
+    this.saveData();
+    return bot;
   }
 
   updateBot(botId, updates) {
@@ -115,24 +544,152 @@ class DataManager {
     this.tradingHistory.unshift({
       ...trade,
       id: Date.now(),
-      timestamp: new Date().toISOString(),
+      sessionId: this.session ? this.session.id : null,
+      timestamp: this.now().toISOString(),
     });
 
-    // Keep only last 1000 trades
-    if (this.tradingHistory.length > 1000) {
-      this.tradingHistory = this.tradingHistory.slice(0, 1000);
+    // Keep only the most recent trades, and what the rest added up to
+    if (this.tradingHistory.length > this.historyLimit) {
+      this.tradingHistory.slice(this.historyLimit).forEach((dropped) => {
+        const total = this.droppedTrades[dropped.botId] || {
+          count: 0,
+          profit: 0,
+        };
+        total.count++;
+        total.profit += dropped.profit;
+        this.droppedTrades[dropped.botId] = total;
+      });
+      this.tradingHistory = this.tradingHistory.slice(0, this.historyLimit);
     }
 
     this.saveData();
   }
 
-  addAIDecision(decision) {
-    this.aiDecisions.unshift({
-      ...decision,
-      id: Date.now(),
-      timestamp: new Date().toISOString(),
+  // Learned AI models, one record per bot:
+  //   { schemaVersion, version, state, updatedAt, snapshots }
+  // `state` is the live model and is saved after every update; snapshots are
+  // numbered copies (newest first) that the model can be rolled back to.
+  // Every snapshot, reset, import and rollback bumps `version`.
+  migrateAIModels() {
+    Object.keys(this.aiModels).forEach((botId) => {
+      const record = this.aiModels[botId];
+      if (record.schemaVersion === AI_MODEL_SCHEMA_VERSION) return;
+
+      // Before versioning the record was the bare model state
+      this.aiModels[botId] = {
+        schemaVersion: AI_MODEL_SCHEMA_VERSION,
+        version: 0,
+        state: record,
+        updatedAt: this.now().toISOString(),
+        snapshots: [],
+      };
+    });
+  }
+
+  getAIModelRecord(botId) {
+    if (!this.aiModels[botId]) {
+      this.aiModels[botId] = {
+        schemaVersion: AI_MODEL_SCHEMA_VERSION,
+        version: 0,
+        state: {},
+        updatedAt: this.now().toISOString(),
+        snapshots: [],
+      };
+    }
+    return this.aiModels[botId];
+  }
+
+  getAIModel(botId) {
+    return this.aiModels[botId] ? this.aiModels[botId].state : null;
+  }
+
+  saveAIModel(botId, state) {
+    const record = this.getAIModelRecord(botId);
+    record.state = state;
+    record.updatedAt = this.now().toISOString();
+    this.saveData();
+  }
+
+  snapshotAIModel(botId, reason) {
+    const record = this.getAIModelRecord(botId);
+    record.version++;
+    record.snapshots.unshift({
+      version: record.version,
+      reason,
+      createdAt: this.now().toISOString(),
+      state: JSON.parse(JSON.stringify(record.state)),
     });
 
+    if (record.snapshots.length > this.settings.learning.maxSnapshots) {
+      record.snapshots = record.snapshots.slice(
+        0,
+        this.settings.learning.maxSnapshots
+      );
+    }
+
+    this.saveData();
+    return record.version;
+  }
+
+  // Replaces the live model, keeping a snapshot of it first
+  replaceAIModel(botId, state, reason) {
+    OnlineLogisticModel.validate(state);
+    this.snapshotAIModel(botId, `before ${reason}`);
+    this.saveAIModel(botId, JSON.parse(JSON.stringify(state)));
+    return this.snapshotAIModel(botId, reason);
+  }
+
+  resetAIModel(botId) {
+    return this.replaceAIModel(botId, {}, "reset");
+  }
+
+  rollbackAIModel(botId, version) {
+    const record = this.getAIModelRecord(botId);
+    const snapshot = record.snapshots.find((s) => s.version === version);
+    if (!snapshot) {
+      throw new Error(`Bot ${botId} has no model snapshot v${version}`);
+    }
+    return this.replaceAIModel(
+      botId,
+      snapshot.state,
+      `rollback to v${version}`
+    );
+  }
+
+  exportAIModel(botId) {
+    const record = this.getAIModelRecord(botId);
+    const bot = this.bots.find((b) => b.id === botId);
+    return {
+      schemaVersion: record.schemaVersion,
+      botId,
+      botType: bot ? bot.type : null,
+      version: record.version,
+      exportedAt: this.now().toISOString(),
+      state: record.state,
+    };
+  }
+
+  importAIModel(botId, data) {
+    if (!data || data.schemaVersion !== AI_MODEL_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported model format (expected schema v${AI_MODEL_SCHEMA_VERSION})`
+      );
+    }
+    return this.replaceAIModel(
+      botId,
+      data.state,
+      `import of bot ${data.botId} v${data.version}`
+    );
+  }
+
+  // Besides type, message and confidence a decision can explain itself:
+  //   inputs   the values it was based on, e.g. { volatility, trend }
+  //   rule     the rule or model that fired
+  //   changes  what it changed, as diffBot entries
+  //   botIds   the bots it affected
+  addAIDecision(decision) {
+    this.aiDecisions.unshift(this.createDecision(decision));
+
     // Keep only last 100 decisions
     if (this.aiDecisions.length > 100) {
       this.aiDecisions = this.aiDecisions.slice(0, 100);
@@ -141,39 +698,173 @@ class DataManager {
     this.saveData();
   }
 
-  getBotPerformance(botId) {
-    const botTrades = this.tradingHistory.filter((t) => t.botId === botId);
-    const totalTrades = botTrades.length;
-    const profitableTrades = botTrades.filter((t) => t.profit > 0).length;
-    const totalProfit = botTrades.reduce((sum, t) => sum + t.profit, 0);
+  // A trade signal is logged like a decision, but in signalLog
+  addSignal(signal) {
+    this.signalLog.unshift(
+      this.createDecision({ type: "trade_signal", ...signal })
+    );
+
+    // Keep only last 100 signals
+    if (this.signalLog.length > 100) {
+      this.signalLog = this.signalLog.slice(0, 100);
+    }
+
+    this.saveData();
+  }
 
+  createDecision(decision) {
+    const latestIds = [this.aiDecisions[0], this.signalLog[0]]
+      .filter(Boolean)
+      .map((latest) => latest.id + 1);
     return {
-      totalTrades,
+      inputs: {},
+      rule: null,
+      changes: [],
+      botIds: [],
+      ...decision,
+      // Unique across both logs, even within the same millisecond
+      id: Math.max(Date.now(), ...latestIds),
+      sessionId: this.session ? this.session.id : null,
+      timestamp: this.now().toISOString(),
+    };
+  }
+
+  // Decisions and signals together, newest first
+  getDecisionFeed() {
+    return this.aiDecisions.concat(this.signalLog).sort((a, b) => b.id - a.id);
+  }
+
+  // Performance over an optional { from, to } window (anything Date accepts),
+  // measured from the trades still in tradingHistory. The P&L of trades
+  // dropped past historyLimit still counts toward the starting equity, but
+  // the curve before them is gone: historyFrom is then the time the metrics
+  // actually start from, and null while the window is fully covered.
+  getPerformanceMetrics(trades, initialCapital, window = {}, dropped = null) {
+    const from =
+      window.from !== undefined ? new Date(window.from).getTime() : undefined;
+    const to =
+      window.to !== undefined ? new Date(window.to).getTime() : undefined;
+    const before =
+      from !== undefined
+        ? trades.filter((t) => new Date(t.timestamp).getTime() < from)
+        : [];
+    const oldest = trades.length
+      ? Math.min(...trades.map((t) => new Date(t.timestamp).getTime()))
+      : undefined;
+    const truncated =
+      dropped && dropped.count > 0 && (from === undefined || from < oldest);
+
+    return {
+      ...PerformanceMetrics.compute(trades, {
+        startingCapital:
+          initialCapital +
+          (dropped ? dropped.profit : 0) +
+          before.reduce((sum, t) => sum + t.profit, 0),
+        periodMs: this.settings.riskAnalytics.bucketMs,
+        from: truncated ? undefined : from,
+        to,
+      }),
+      historyFrom: truncated ? new Date(oldest).toISOString() : null,
+    };
+  }
+
+  // What the trades dropped past historyLimit added up to, for some bots
+  getDroppedTrades(botIds) {
+    return botIds.reduce(
+      (total, botId) => {
+        const dropped = this.droppedTrades[botId];
+        return dropped
+          ? {
+              count: total.count + dropped.count,
+              profit: total.profit + dropped.profit,
+            }
+          : total;
+      },
+      { count: 0, profit: 0 }
+    );
+  }
+
+  // Only trades that closed part of a position realize P&L, so the success
+  // rate is measured over those
+  getBotPerformance(botId, window = {}) {
+    const allBotTrades = this.tradingHistory.filter((t) => t.botId === botId);
+    const botTrades = this.filterWindow(allBotTrades, window);
+    const closedTrades = botTrades.filter((t) => t.closedQuantity !== 0);
+    const profitableTrades = closedTrades.filter((t) => t.profit > 0).length;
+    const summary = this.ledger.getSummary(botId);
+
+    return {
+      totalTrades: botTrades.length,
+      closedTrades: closedTrades.length,
       profitableTrades,
-      successRate: totalTrades > 0 ? (profitableTrades / totalTrades) * 100 : 0,
-      totalProfit,
+      successRate:
+        closedTrades.length > 0
+          ? (profitableTrades / closedTrades.length) * 100
+          : 0,
+      totalProfit: summary.totalPnl,
+      realizedProfit: summary.realizedPnl,
+      unrealizedProfit: summary.unrealizedPnl,
+      equity: summary.equity,
+      cash: summary.cash,
+      ...this.getPerformanceMetrics(
+        allBotTrades,
+        this.ledger.getAccount(botId).initialCapital,
+        window,
+        this.getDroppedTrades([botId])
+      ),
     };
   }
 
-  getOverallStats() {
-    const allTrades = this.tradingHistory;
-    const totalTrades = allTrades.length;
-    const profitableTrades = allTrades.filter((t) => t.profit > 0).length;
-    const totalProfit = allTrades.reduce((sum, t) => sum + t.profit, 0);
+  getOverallStats(window = {}) {
+    const allTrades = this.filterWindow(this.tradingHistory, window);
+    const closedTrades = allTrades.filter((t) => t.closedQuantity !== 0);
+    const profitableTrades = closedTrades.filter((t) => t.profit > 0).length;
     const activeBots = this.bots.filter((b) => b.status === "active").length;
+    const summaries = this.bots.map((bot) => this.ledger.getSummary(bot.id));
+    const sum = (field) => summaries.reduce((total, s) => total + s[field], 0);
 
     return {
-      totalProfit,
+      totalProfit: sum("totalPnl"),
+      realizedProfit: sum("realizedPnl"),
+      unrealizedProfit: sum("unrealizedPnl"),
+      equity: sum("equity"),
       activeBots,
       totalBots: this.bots.length,
-      successRate: totalTrades > 0 ? (profitableTrades / totalTrades) * 100 : 0,
-      totalTrades,
+      successRate:
+        closedTrades.length > 0
+          ? (profitableTrades / closedTrades.length) * 100
+          : 0,
+      totalTrades: allTrades.length,
+      ...this.getPerformanceMetrics(
+        this.tradingHistory,
+        this.bots.reduce(
+          (total, bot) => total + this.ledger.getAccount(bot.id).initialCapital,
+          0
+        ),
+        window,
+        this.getDroppedTrades(this.bots.map((bot) => bot.id))
+      ),
     };
   }
 
+  filterWindow(trades, window = {}) {
+    const from = window.from !== undefined ? new Date(window.from) : null;
+    const to = window.to !== undefined ? new Date(window.to) : null;
+    return trades.filter((t) => {
+      const time = new Date(t.timestamp);
+      return (!from || time >= from) && (!to || time <= to);
+    });
+  }
+
+  // Everything back to the defaults, orders, sessions and logs included. The
+  // venues' own orders are TradingEngine.resetData's to clear.
   resetData() {
-    Object.assign(this, this.defaultData);
-    this.saveData();
+    Object.assign(this, this.copyDefaults());
+    this.session = null;
+    this.clearCandles();
+    this.ledger.reset();
+    this.syncBotProfits();
+    this.flush();
     return true;
   }
 }
@@ -0,0 +1,310 @@
+// Contract for talking to a trading venue. TradingEngine only uses these
+// methods, so the in-process paper venue and a remote exchange (such as the
+// local mock exchange under mock/) are interchangeable.
+//
+// Orders carry { botId, symbol, side, type, quantity, limitPrice, stopPrice,
+// timeInForce }; order updates are pushed to onOrderEvent listeners as
+// { type: "status" | "fill", order, fill }.
+class ExchangeConnector {
+  constructor(options = {}) {
+    this.id = options.id || "exchange";
+    this.name = options.name || this.id;
+    this.listeners = [];
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  onOrderEvent(listener) {
+    this.listeners.push(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  // Venues that price off the engine's own feed (paper trading) use this
+  updateMarketData(marketData) {}
+
+  // Venues without their own persistence re-adopt orders DataManager saved
+  restore(orders) {}
+
+  async getBalances(botId) {
+    throw new Error(`${this.name} does not implement getBalances()`);
+  }
+
+  async getTickers() {
+    throw new Error(`${this.name} does not implement getTickers()`);
+  }
+
+  async getTicker(symbol) {
+    const tickers = await this.getTickers();
+    return tickers[symbol] || null;
+  }
+
+  async placeOrder(order) {
+    throw new Error(`${this.name} does not implement placeOrder()`);
+  }
+
+  async cancelOrder(orderId) {
+    throw new Error(`${this.name} does not implement cancelOrder()`);
+  }
+
+  async getOpenOrders(botId) {
+    throw new Error(`${this.name} does not implement getOpenOrders()`);
+  }
+
+  async getFills(botId, since) {
+    throw new Error(`${this.name} does not implement getFills()`);
+  }
+}
+
+// In-process venue backed by the simulated MatchingEngine. Balances are kept
+// per bot and per asset, e.g. { USD: 9500, "BTC": 0.01 }.
+class PaperTradingConnector extends ExchangeConnector {
+  constructor(options = {}) {
+    super({ id: "paper", name: "Paper Trading", ...options });
+    this.matchingEngine = new MatchingEngine({ ...options, venue: this.id });
+    this.clock = options.clock || (() => new Date());
+    this.initialBalances = options.initialBalances || { USD: 10000 };
+    this.feeRate = options.feeRate || 0;
+    this.balances = {};
+    this.fills = [];
+
+    this.matchingEngine.onOrderEvent((event) => {
+      if (event.type === "fill") this.applyFill(event.fill);
+      this.emit(event);
+    });
+  }
+
+  updateMarketData(marketData) {
+    this.matchingEngine.updateMarketData(marketData);
+  }
+
+  restore(orders) {
+    this.matchingEngine.restore(orders);
+  }
+
+  getAccount(botId) {
+    if (!this.balances[botId]) {
+      this.balances[botId] = { ...this.initialBalances };
+    }
+    return this.balances[botId];
+  }
+
+  applyFill(fill) {
+    const account = this.getAccount(fill.botId);
+    const [base, quote] = fill.symbol.split("/");
+    const notional = fill.quantity * fill.price;
+    const direction = fill.side === "buy" ? 1 : -1;
+
+    fill.fee = notional * this.feeRate;
+    account[base] = (account[base] || 0) + direction * fill.quantity;
+    account[quote] = (account[quote] || 0) - direction * notional - fill.fee;
+
+    this.fills.unshift(fill);
+
+    // Keep only last 1000 fills
+    if (this.fills.length > 1000) {
+      this.fills = this.fills.slice(0, 1000);
+    }
+  }
+
+  async getBalances(botId) {
+    return { ...this.getAccount(botId) };
+  }
+
+  // Deposits (positive) or withdrawals (negative) outside of trading
+  adjustBalance(botId, asset, amount) {
+    const account = this.getAccount(botId);
+    account[asset] = (account[asset] || 0) + amount;
+  }
+
+  // Synchronous best bid/ask for strategies that compare venues each cycle
+  getTopOfBook(symbol) {
+    const book = this.matchingEngine.getBook(symbol);
+    if (!book) return null;
+
+    return {
+      symbol,
+      bid: book.bids[0].price,
+      bidSize: book.bids[0].size,
+      ask: book.asks[0].price,
+      askSize: book.asks[0].size,
+      mid: book.mid,
+    };
+  }
+
+  async getTickers() {
+    const tickers = {};
+    Object.values(this.matchingEngine.books).forEach((book) => {
+      tickers[book.symbol] = {
+        symbol: book.symbol,
+        bid: book.bids[0].price,
+        ask: book.asks[0].price,
+        last: book.mid,
+        timestamp: this.clock().toISOString(),
+      };
+    });
+    return tickers;
+  }
+
+  async placeOrder(order) {
+    return this.matchingEngine.submitOrder(order);
+  }
+
+  async cancelOrder(orderId) {
+    return this.matchingEngine.cancelOrder(orderId);
+  }
+
+  async getOpenOrders(botId) {
+    return this.matchingEngine
+      .getOpenOrders(botId)
+      .map((order) => ({ ...order, fills: order.fills.slice() }));
+  }
+
+  async getFills(botId, since) {
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    return this.fills.filter(
+      (fill) =>
+        (botId === undefined || fill.botId === botId) &&
+        new Date(fill.timestamp).getTime() >= sinceTime
+    );
+  }
+}
+
+// A paper venue whose prices drift away from the reference feed. Each
+// symbol's dislocation mean-reverts (AR(1)), so venues disagree for a while
+// and then converge, the way fragmented crypto venues do.
+class SimulatedVenue extends PaperTradingConnector {
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || new SeededRandom();
+    this.priceNoiseBps = options.priceNoiseBps || 10;
+    this.meanReversion = options.meanReversion || 0.9;
+    this.transferLatencyMs = options.transferLatencyMs || 0;
+    this.biases = {};
+  }
+
+  updateMarketData(marketData) {
+    const venueData = {};
+
+    Object.values(marketData).forEach((quote) => {
+      const bias =
+        (this.biases[quote.symbol] || 0) * this.meanReversion +
+        (this.random.gaussian() * this.priceNoiseBps) / 10000;
+      this.biases[quote.symbol] = bias;
+      venueData[quote.symbol] = { ...quote, price: quote.price * (1 + bias) };
+    });
+
+    super.updateMarketData(venueData);
+  }
+}
+
+// Client for a venue speaking the mock exchange's REST + WebSocket protocol
+// (see mock/exchange-server.js). Order updates arrive over the socket. Orders
+// are stamped with this connector's id, whatever venue the server reports,
+// so TradingEngine routes their cancels back here.
+class RestExchangeConnector extends ExchangeConnector {
+  constructor(options = {}) {
+    super({ id: "mock", name: "Mock Exchange", ...options });
+    this.baseUrl = options.url || "http://localhost:8082";
+    this.wsUrl = options.wsUrl || this.baseUrl.replace(/^http/, "ws");
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.WebSocket =
+      options.WebSocket ||
+      (typeof WebSocket !== "undefined" ? WebSocket : null);
+    this.socket = null;
+  }
+
+  connect() {
+    if (!this.WebSocket) {
+      return Promise.reject(new Error("WebSocket is not available"));
+    }
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      this.socket = new this.WebSocket(this.wsUrl);
+
+      this.socket.onopen = () => {
+        opened = true;
+        resolve();
+      };
+      this.socket.onerror = (error) => {
+        if (!opened) reject(error);
+      };
+      this.socket.onmessage = (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type === "order") {
+          const { order } = message.event;
+          this.emit({ ...message.event, order: this.adopt(order) });
+        }
+      };
+    });
+  }
+
+  async disconnect() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  async request(method, path, body) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `${method} ${path} failed`);
+    }
+    return data;
+  }
+
+  adopt(order) {
+    return { ...order, venue: this.id };
+  }
+
+  getBalances(botId) {
+    return this.request("GET", `/balances?botId=${botId}`);
+  }
+
+  getTickers() {
+    return this.request("GET", "/tickers");
+  }
+
+  async placeOrder(order) {
+    return this.adopt(await this.request("POST", "/orders", order));
+  }
+
+  async cancelOrder(orderId) {
+    const result = await this.request("DELETE", `/orders/${orderId}`);
+    return result.cancelled;
+  }
+
+  async getOpenOrders(botId) {
+    const query = botId !== undefined ? `?botId=${botId}` : "";
+    const orders = await this.request("GET", `/orders${query}`);
+    return orders.map((order) => this.adopt(order));
+  }
+
+  getFills(botId, since) {
+    const params = [];
+    if (botId !== undefined) params.push(`botId=${botId}`);
+    if (since) params.push(`since=${encodeURIComponent(since)}`);
+    return this.request("GET", `/fills?${params.join("&")}`);
+  }
+}
+
+function createExchangeConnector(config = {}, options = {}) {
+  switch (config.type) {
+    case "mock":
+      return new RestExchangeConnector({ ...options, ...config });
+    case "paper":
+    default:
+      return new PaperTradingConnector({ ...options, ...config });
+  }
+}
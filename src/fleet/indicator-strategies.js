@@ -0,0 +1,269 @@
+// Strategies for the `momentum` and `scalping` bot types, driven by
+// Indicators over the symbol's candles. Each strategy declares its tunable
+// parameters; a bot's own values live in `bot.params` and fall back to the
+// declared defaults.
+class IndicatorStrategy {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    // Candle each bot last acted on per symbol, so one signal trades once
+    this.lastSignals = new Map();
+  }
+
+  // { name: { default, min, max, step, greaterThan? } } or
+  // { default, options } for choices, as StrategyRegistry describes them
+  static get parameters() {
+    return {};
+  }
+
+  static defaultParams() {
+    return StrategyRegistry.defaultParams(this.parameters);
+  }
+
+  normalizeParams(params = {}) {
+    return StrategyRegistry.normalizeParams(
+      this.constructor.parameters,
+      params
+    );
+  }
+
+  getParams(bot) {
+    return { ...this.constructor.defaultParams(), ...(bot.params || {}) };
+  }
+
+  // Closed candles only; the last candle is still forming
+  getCandles(symbol, params) {
+    return this.dataManager.getCandles(symbol, params.timeframe).slice(0, -1);
+  }
+
+  isNewSignal(bot, symbol, candles) {
+    const key = `${bot.id}:${symbol}`;
+    const time = candles[candles.length - 1].time;
+    if (this.lastSignals.get(key) === time) return false;
+
+    this.lastSignals.set(key, time);
+    return true;
+  }
+
+  hold(symbol, reason) {
+    return {
+      execute: false,
+      type: "buy",
+      symbol,
+      amount: 0,
+      confidence: 0,
+      reason,
+    };
+  }
+
+  decide(bot, symbol) {
+    return this.hold(symbol, "No strategy");
+  }
+}
+
+// Trend following: trades MACD/signal crossovers, skipping entries RSI says
+// are already stretched. A crossover against an open position reverses it.
+class MomentumStrategy extends IndicatorStrategy {
+  static get parameters() {
+    return {
+      timeframe: { default: "1m", options: Object.keys(CANDLE_TIMEFRAMES) },
+      fastPeriod: { default: 12, min: 2, max: 50, step: 1 },
+      slowPeriod: {
+        default: 26,
+        min: 5,
+        max: 100,
+        step: 1,
+        greaterThan: "fastPeriod",
+      },
+      signalPeriod: { default: 9, min: 2, max: 30, step: 1 },
+      rsiPeriod: { default: 14, min: 2, max: 50, step: 1 },
+      rsiOverbought: { default: 70, min: 50, max: 95, step: 1 },
+      rsiOversold: { default: 30, min: 5, max: 50, step: 1 },
+      atrPeriod: { default: 14, min: 2, max: 50, step: 1 },
+      tradeSize: { default: 300, min: 10, max: 5000, step: 10 },
+    };
+  }
+
+  describe(params) {
+    return `MACD ${params.fastPeriod}/${params.slowPeriod}/${params.signalPeriod}, RSI ${params.rsiPeriod} (${params.rsiOversold}-${params.rsiOverbought}), ${params.timeframe}`;
+  }
+
+  decide(bot, symbol) {
+    const params = this.getParams(bot);
+    const candles = this.getCandles(symbol, params);
+    if (
+      candles.length <
+      Math.max(
+        Math.max(params.slowPeriod, params.fastPeriod) + params.signalPeriod,
+        params.rsiPeriod,
+        params.atrPeriod
+      ) +
+        1
+    ) {
+      return this.hold(symbol, `Warming up (${candles.length} candles)`);
+    }
+
+    const closes = Indicators.closes(candles);
+    const { histogram } = Indicators.macd(
+      closes,
+      params.fastPeriod,
+      params.slowPeriod,
+      params.signalPeriod
+    );
+    const rsi = Indicators.last(Indicators.rsi(closes, params.rsiPeriod));
+    const atr = Indicators.last(Indicators.atr(candles, params.atrPeriod));
+    const current = histogram[histogram.length - 1];
+    const previous = histogram[histogram.length - 2];
+
+    let type = null;
+    if (previous <= 0 && current > 0 && rsi < params.rsiOverbought) {
+      type = "buy";
+    } else if (previous >= 0 && current < 0 && rsi > params.rsiOversold) {
+      type = "sell";
+    }
+    if (!type) return this.hold(symbol, "No crossover");
+    if (!this.isNewSignal(bot, symbol, candles)) {
+      return this.hold(symbol, "Crossover already traded");
+    }
+
+    const price = closes[closes.length - 1];
+    const position = this.dataManager.ledger.getPosition(bot.id, symbol);
+    const reversal =
+      Math.sign(position.quantity) === (type === "buy" ? -1 : 1)
+        ? Math.abs(position.quantity) * price
+        : 0;
+    const strength = atr > 0 ? Math.abs(current) / atr : 0;
+
+    return {
+      execute: true,
+      type,
+      symbol,
+      amount: params.tradeSize + reversal,
+      confidence: Math.round(Math.min(95, 55 + strength * 100)),
+      reason: `MACD crossed ${
+        type === "buy" ? "above" : "below"
+      } signal, RSI ${rsi.toFixed(1)}`,
+    };
+  }
+}
+
+// Mean reversion on short candles: fades closes outside the Bollinger Bands
+// when RSI confirms the stretch, exits at the middle band or on an ATR stop.
+class ScalpingStrategy extends IndicatorStrategy {
+  static get parameters() {
+    return {
+      timeframe: { default: "15s", options: Object.keys(CANDLE_TIMEFRAMES) },
+      bbPeriod: { default: 20, min: 5, max: 100, step: 1 },
+      bbMultiplier: { default: 1.5, min: 0.5, max: 4, step: 0.1 },
+      rsiPeriod: { default: 7, min: 2, max: 30, step: 1 },
+      rsiOverbought: { default: 60, min: 50, max: 95, step: 1 },
+      rsiOversold: { default: 40, min: 5, max: 50, step: 1 },
+      atrPeriod: { default: 14, min: 2, max: 50, step: 1 },
+      minAtrBps: { default: 2, min: 0, max: 100, step: 0.5 },
+      stopAtr: { default: 2, min: 0.5, max: 10, step: 0.5 },
+      tradeSize: { default: 200, min: 10, max: 5000, step: 10 },
+    };
+  }
+
+  describe(params) {
+    return `BB ${params.bbPeriod}x${params.bbMultiplier}, RSI ${params.rsiPeriod} (${params.rsiOversold}-${params.rsiOverbought}), stop ${params.stopAtr} ATR, ${params.timeframe}`;
+  }
+
+  decide(bot, symbol) {
+    const params = this.getParams(bot);
+    const candles = this.getCandles(symbol, params);
+    if (
+      candles.length <
+      Math.max(params.bbPeriod, params.rsiPeriod, params.atrPeriod) + 1
+    ) {
+      return this.hold(symbol, `Warming up (${candles.length} candles)`);
+    }
+
+    const closes = Indicators.closes(candles);
+    const price = closes[closes.length - 1];
+    const bands = Indicators.bollinger(
+      closes,
+      params.bbPeriod,
+      params.bbMultiplier
+    );
+    const upper = Indicators.last(bands.upper);
+    const middle = Indicators.last(bands.middle);
+    const lower = Indicators.last(bands.lower);
+    const rsi = Indicators.last(Indicators.rsi(closes, params.rsiPeriod));
+    const atr = Indicators.last(Indicators.atr(candles, params.atrPeriod));
+    const position = this.dataManager.ledger.getPosition(bot.id, symbol);
+
+    // Manage an open position before looking for a new entry
+    if (position.quantity !== 0) {
+      const isLong = position.quantity > 0;
+      const adverseMove = isLong
+        ? position.avgPrice - price
+        : price - position.avgPrice;
+      const atMiddle = isLong ? price >= middle : price <= middle;
+      const stopped = adverseMove > params.stopAtr * atr;
+      if (!atMiddle && !stopped) return this.hold(symbol, "Holding position");
+      if (!this.isNewSignal(bot, symbol, candles)) {
+        return this.hold(symbol, "Exit already sent");
+      }
+
+      return {
+        execute: true,
+        type: isLong ? "sell" : "buy",
+        symbol,
+        amount: Math.abs(position.quantity) * price,
+        confidence: stopped ? 90 : 75,
+        reason: stopped ? "ATR stop hit" : "Reverted to middle band",
+      };
+    }
+
+    if ((atr / price) * 10000 < params.minAtrBps) {
+      return this.hold(symbol, "Range too narrow");
+    }
+
+    const width = upper - lower;
+    let type = null;
+    let depth = 0;
+    if (price < lower && rsi < params.rsiOversold) {
+      type = "buy";
+      depth = (lower - price) / width;
+    } else if (price > upper && rsi > params.rsiOverbought) {
+      type = "sell";
+      depth = (price - upper) / width;
+    }
+    if (!type) return this.hold(symbol, "Inside bands");
+    if (!this.isNewSignal(bot, symbol, candles)) {
+      return this.hold(symbol, "Entry already sent");
+    }
+
+    return {
+      execute: true,
+      type,
+      symbol,
+      amount: params.tradeSize,
+      confidence: Math.round(Math.min(95, 60 + depth * 100)),
+      reason: `Closed ${
+        type === "buy" ? "below lower" : "above upper"
+      } band, RSI ${rsi.toFixed(1)}`,
+    };
+  }
+}
+
+StrategyRegistry.register({
+  id: "momentum",
+  name: "Trend Following",
+  description: "MACD crossovers filtered by RSI",
+  parameters: MomentumStrategy.parameters,
+  marketData: ["candles"],
+  create: (engine) => new MomentumStrategy(engine.dataManager),
+  decide: ({ strategy, bot, symbol }) => strategy.decide(bot, symbol),
+});
+
+StrategyRegistry.register({
+  id: "scalping",
+  name: "High-Frequency Trading",
+  description:
+    "Bollinger Band mean reversion confirmed by RSI, with an ATR stop",
+  parameters: ScalpingStrategy.parameters,
+  marketData: ["candles"],
+  create: (engine) => new ScalpingStrategy(engine.dataManager),
+  decide: ({ strategy, bot, symbol }) => strategy.decide(bot, symbol),
+});
@@ -0,0 +1,129 @@
+// Technical indicators over a price series (oldest first). Each function
+// returns a series aligned with its input, with null until enough history
+// has accumulated for the indicator's period.
+class Indicators {
+  static closes(candles) {
+    return candles.map((candle) => candle.close);
+  }
+
+  static last(series) {
+    for (let i = series.length - 1; i >= 0; i--) {
+      if (series[i] !== null) return series[i];
+    }
+    return null;
+  }
+
+  static sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    values.forEach((value, i) => {
+      sum += value;
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) result[i] = sum / period;
+    });
+    return result;
+  }
+
+  // Seeded with the SMA of the first `period` values
+  static ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const alpha = 2 / (period + 1);
+    const start = values.findIndex((value) => value !== null);
+    if (start === -1 || values.length - start < period) return result;
+
+    let ema =
+      values.slice(start, start + period).reduce((sum, v) => sum + v, 0) /
+      period;
+    result[start + period - 1] = ema;
+
+    for (let i = start + period; i < values.length; i++) {
+      ema = values[i] * alpha + ema * (1 - alpha);
+      result[i] = ema;
+    }
+    return result;
+  }
+
+  // Wilder's RSI, 0-100
+  static rsi(values, period = 14) {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) return result;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = values[i] - values[i - 1];
+      gain += Math.max(0, change);
+      loss += Math.max(0, -change);
+    }
+    gain /= period;
+    loss /= period;
+
+    const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    result[period] = toRsi();
+
+    for (let i = period + 1; i < values.length; i++) {
+      const change = values[i] - values[i - 1];
+      gain = (gain * (period - 1) + Math.max(0, change)) / period;
+      loss = (loss * (period - 1) + Math.max(0, -change)) / period;
+      result[i] = toRsi();
+    }
+    return result;
+  }
+
+  static macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fast = Indicators.ema(values, fastPeriod);
+    const slow = Indicators.ema(values, slowPeriod);
+    const macd = values.map((value, i) =>
+      fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null
+    );
+    const signal = Indicators.ema(macd, signalPeriod);
+    const histogram = macd.map((value, i) =>
+      value !== null && signal[i] !== null ? value - signal[i] : null
+    );
+    return { macd, signal, histogram };
+  }
+
+  static bollinger(values, period = 20, multiplier = 2) {
+    const middle = Indicators.sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    middle.forEach((mean, i) => {
+      if (mean === null) return;
+      const window = values.slice(i - period + 1, i + 1);
+      const variance =
+        window.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / period;
+      const width = Math.sqrt(variance) * multiplier;
+      upper[i] = mean + width;
+      lower[i] = mean - width;
+    });
+    return { middle, upper, lower };
+  }
+
+  // Wilder's average true range; takes candles rather than closes
+  static atr(candles, period = 14) {
+    const result = new Array(candles.length).fill(null);
+    if (candles.length <= period) return result;
+
+    const trueRange = candles.map((candle, i) => {
+      if (i === 0) return candle.high - candle.low;
+      const previousClose = candles[i - 1].close;
+      return Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - previousClose),
+        Math.abs(candle.low - previousClose)
+      );
+    });
+
+    let atr =
+      trueRange.slice(1, period + 1).reduce((sum, tr) => sum + tr, 0) / period;
+    result[period] = atr;
+
+    for (let i = period + 1; i < candles.length; i++) {
+      atr = (atr * (period - 1) + trueRange[i]) / period;
+      result[i] = atr;
+    }
+    return result;
+  }
+}
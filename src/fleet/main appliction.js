@@ -1,8 +1,9 @@
 // Global application state
 class FleetAIApp {
   constructor() {
-    this.dataManager = new DataManager();
-    this.tradingEngine = new TradingEngine();
+    // The engine trading-engine.js started; it owns the only DataManager
+    this.tradingEngine = window.tradingEngine;
+    this.dataManager = this.tradingEngine.dataManager;
     this.charts = new Map();
 
     this.initializeApp();
@@ -17,6 +18,8 @@ class FleetAIApp {
   initializeCharts() {
     this.initializePerformanceChart();
     this.initializeRiskChart();
+    this.initializeCalibrationChart();
+    this.initializePredictionAccuracyChart();
   }
 
   initializePerformanceChart() {
@@ -69,6 +72,7 @@ class FleetAIApp {
     this.charts.set("performance", chart);
   }
 
+  // Fleet VaR and CVaR per confidence level, historical next to parametric
   initializeRiskChart() {
     const ctx = document.getElementById("riskChart");
     if (!ctx) return;
@@ -76,18 +80,27 @@ class FleetAIApp {
     const chart = new Chart(ctx, {
       type: "bar",
       data: {
-        labels: this.dataManager.bots.map((bot) => bot.name),
+        labels: [],
         datasets: [
           {
-            label: "Risk Level",
-            data: this.dataManager.bots.map((bot) => bot.riskLevel * 100),
-            backgroundColor: this.dataManager.bots.map((bot) =>
-              bot.riskLevel > 0.7
-                ? "#ef4444"
-                : bot.riskLevel > 0.4
-                ? "#f59e0b"
-                : "#10b981"
-            ),
+            label: "Historical VaR",
+            data: [],
+            backgroundColor: "#f59e0b",
+          },
+          {
+            label: "Parametric VaR",
+            data: [],
+            backgroundColor: "#fcd34d",
+          },
+          {
+            label: "Historical CVaR",
+            data: [],
+            backgroundColor: "#ef4444",
+          },
+          {
+            label: "Parametric CVaR",
+            data: [],
+            backgroundColor: "#fca5a5",
           },
         ],
       },
@@ -96,20 +109,19 @@ class FleetAIApp {
         maintainAspectRatio: false,
         plugins: {
           legend: {
-            display: false,
+            position: "top",
           },
           title: {
             display: true,
-            text: "Bot Risk Distribution",
+            text: "Fleet Value at Risk",
           },
         },
         scales: {
           y: {
             beginAtZero: true,
-            max: 100,
             title: {
               display: true,
-              text: "Risk Level %",
+              text: "Loss per interval ($)",
             },
           },
         },
@@ -117,11 +129,249 @@ class FleetAIApp {
     });
 
     this.charts.set("risk", chart);
+    this.updateRiskChart();
+  }
+
+  // Hit rate per stated confidence range against the diagonal a perfectly
+  // calibrated agent would follow
+  initializeCalibrationChart() {
+    const ctx = document.getElementById("calibrationChart");
+    if (!ctx) return;
+
+    const chart = new Chart(ctx, {
+      type: "line",
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: "Hit Rate",
+            data: [],
+            borderColor: "#3b82f6",
+            backgroundColor: "#3b82f6",
+            spanGaps: true,
+          },
+          {
+            label: "Perfect Calibration",
+            data: [],
+            borderColor: "#9ca3af",
+            borderDash: [5, 5],
+            pointRadius: 0,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: "top",
+          },
+          title: {
+            display: true,
+            text: "Prediction Calibration",
+          },
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: "Stated confidence (%)",
+            },
+          },
+          y: {
+            min: 0,
+            max: 100,
+            title: {
+              display: true,
+              text: "Hit rate (%)",
+            },
+          },
+        },
+      },
+    });
+
+    this.charts.set("calibration", chart);
+  }
+
+  initializePredictionAccuracyChart() {
+    const ctx = document.getElementById("predictionAccuracyChart");
+    if (!ctx) return;
+
+    const chart = new Chart(ctx, {
+      type: "line",
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: "Hit Rate",
+            data: [],
+            borderColor: "#10b981",
+            backgroundColor: "rgba(16, 185, 129, 0.1)",
+            tension: 0.4,
+            fill: true,
+          },
+          {
+            label: "Average Confidence",
+            data: [],
+            borderColor: "#f59e0b",
+            tension: 0.4,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: "top",
+          },
+          title: {
+            display: true,
+            text: "Prediction Accuracy Over Time",
+          },
+        },
+        scales: {
+          y: {
+            min: 0,
+            max: 100,
+          },
+        },
+      },
+    });
+
+    this.charts.set("predictionAccuracy", chart);
+    this.updatePredictionCharts();
+  }
+
+  updatePredictionCharts() {
+    const report = this.tradingEngine.aiAgent.getPredictionReport();
+
+    const calibrationChart = this.charts.get("calibration");
+    if (calibrationChart) {
+      calibrationChart.data.labels = report.calibration.map(
+        (bin) => `${bin.from}-${bin.to}`
+      );
+      calibrationChart.data.datasets[0].data = report.calibration.map(
+        (bin) => bin.hitRate
+      );
+      calibrationChart.data.datasets[1].data = report.calibration.map(
+        (bin) => (bin.from + bin.to) / 2
+      );
+      calibrationChart.update("none");
+    }
+
+    const accuracyChart = this.charts.get("predictionAccuracy");
+    if (accuracyChart) {
+      accuracyChart.data.labels = report.history.map((bucket) =>
+        new Date(bucket.time).toLocaleString()
+      );
+      accuracyChart.data.datasets[0].data = report.history.map(
+        (bucket) => bucket.hitRate
+      );
+      accuracyChart.data.datasets[1].data = report.history.map(
+        (bucket) => bucket.confidence
+      );
+      accuracyChart.update("none");
+    }
+
+    this.renderPredictionStats(report);
+  }
+
+  renderPredictionStats(report) {
+    const statsEl = document.getElementById("predictionStats");
+    if (!statsEl) return;
+
+    const percent = (value) => (value === null ? "-" : `${value.toFixed(1)}%`);
+    statsEl.innerHTML = `
+            <div class="activity-item">
+                <span class="activity-message">
+                    ${report.count} scored over a ${Math.round(
+      report.horizonMs / 60000
+    )} min horizon, ${report.pending} pending, ${report.expired} expired
+                </span>
+            </div>
+            <div class="activity-item">
+                <span class="activity-message">
+                    Hit rate ${percent(report.hitRate)} at an average stated
+                    confidence of ${percent(report.confidence)}; Brier score
+                    ${
+                      report.brierScore === null
+                        ? "-"
+                        : report.brierScore.toFixed(3)
+                    }
+                </span>
+            </div>
+        `;
+  }
+
+  updateRiskChart() {
+    const riskChart = this.charts.get("risk");
+    const riskAnalytics = this.tradingEngine.aiAgent.riskAnalytics;
+    const report = riskAnalytics.getReport();
+
+    if (riskChart) {
+      const valueAtRisk = report.valueAtRisk;
+      riskChart.data.labels = valueAtRisk.map(
+        (level) => `${(level.confidence * 100).toFixed(1)}%`
+      );
+      [
+        "historicalVaR",
+        "parametricVaR",
+        "historicalCVaR",
+        "parametricCVaR",
+      ].forEach((key, i) => {
+        riskChart.data.datasets[i].data = valueAtRisk.map((level) =>
+          Math.max(0, level[key])
+        );
+      });
+      riskChart.options.plugins.title.text = `Fleet Value at Risk (${
+        report.observations
+      } x ${Math.round(report.bucketMs / 60000)} min intervals)`;
+      riskChart.update("none");
+    }
+
+    this.renderCorrelationMatrix(report.botCorrelations);
+  }
+
+  renderCorrelationMatrix({ labels, matrix }) {
+    const matrixEl = document.getElementById("correlationMatrix");
+    if (!matrixEl) return;
+
+    // Red for positive correlation, blue for negative
+    const cellColor = (value) =>
+      value >= 0
+        ? `rgba(239, 68, 68, ${value.toFixed(2)})`
+        : `rgba(59, 130, 246, ${(-value).toFixed(2)})`;
+
+    const header = labels.map((label) => `<th>${label}</th>`).join("");
+    const rows = matrix
+      .map(
+        (row, i) => `
+            <tr>
+                <th>${labels[i]}</th>
+                ${row
+                  .map(
+                    (value) =>
+                      `<td style="background: ${cellColor(
+                        value
+                      )}">${value.toFixed(2)}</td>`
+                  )
+                  .join("")}
+            </tr>
+        `
+      )
+      .join("");
+
+    matrixEl.innerHTML = `
+            <table class="correlation-table">
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
   }
 
   updateCharts() {
     const performanceChart = this.charts.get("performance");
-    const riskChart = this.charts.get("risk");
 
     if (performanceChart) {
       const stats = this.dataManager.getOverallStats();
@@ -144,12 +394,8 @@ class FleetAIApp {
       performanceChart.update("none");
     }
 
-    if (riskChart) {
-      riskChart.data.datasets[0].data = this.dataManager.bots.map(
-        (bot) => bot.riskLevel * 100
-      );
-      riskChart.update("none");
-    }
+    this.updateRiskChart();
+    this.updatePredictionCharts();
   }
 
   setupEventListeners() {
@@ -198,17 +444,21 @@ class FleetAIApp {
     this.tradingEngine.updateStats();
     this.tradingEngine.renderMarketData();
     this.tradingEngine.renderAIActivity();
+    this.tradingEngine.renderRejections();
+    this.tradingEngine.renderAllocation();
+    this.tradingEngine.renderApprovals();
+    this.tradingEngine.renderArbitrageLog();
+    this.tradingEngine.renderBacktestResults();
     this.updateCharts();
   }
 
-  resetApplication() {
+  async resetApplication() {
     if (
       confirm(
         "Are you sure you want to reset all trading data? This cannot be undone."
       )
     ) {
-      this.dataManager.resetData();
-      this.tradingEngine.stopAllBots();
+      await this.tradingEngine.resetData();
       this.refreshAllData();
 
       // Show confirmation
@@ -221,6 +471,8 @@ class FleetAIApp {
       bots: this.dataManager.bots,
       tradingHistory: this.dataManager.tradingHistory,
       aiDecisions: this.dataManager.aiDecisions,
+      signalLog: this.dataManager.signalLog,
+      portfolio: this.dataManager.ledger.toJSON(),
       exportDate: new Date().toISOString(),
     };
 
@@ -249,6 +501,9 @@ class FleetAIApp {
           this.dataManager.bots = data.bots;
           this.dataManager.tradingHistory = data.tradingHistory;
           this.dataManager.aiDecisions = data.aiDecisions;
+          this.dataManager.signalLog = data.signalLog || [];
+          this.dataManager.ledger.load(data.portfolio);
+          this.dataManager.syncBotProfits();
           this.dataManager.saveData();
           this.refreshAllData();
           alert("Data imported successfully!");
@@ -261,6 +516,19 @@ class FleetAIApp {
     };
     reader.readAsText(file);
   }
+
+  runBacktest(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        await this.tradingEngine.runBacktest(e.target.result);
+      } catch (error) {
+        alert("Error running backtest: " + error.message);
+      }
+    };
+    reader.readAsText(file);
+  }
 }
 
 // Additional utility functions
@@ -0,0 +1,422 @@
+// Market data sources feed TradingEngine with quote snapshots keyed by symbol.
+// Every adapter returns quotes in the shape DataManager.marketData has always
+// used: { symbol, price, change, volume, timestamp }.
+const DEFAULT_SYMBOLS = [
+  "BTC/USD",
+  "ETH/USD",
+  "ADA/USD",
+  "DOT/USD",
+  "LINK/USD",
+];
+
+const DEFAULT_BASE_PRICES = {
+  "BTC/USD": 45000,
+  "ETH/USD": 3200,
+  "ADA/USD": 1.2,
+  "DOT/USD": 25,
+  "LINK/USD": 18,
+};
+
+const DEFAULT_VOLATILITIES = {
+  "BTC/USD": 0.02,
+  "ETH/USD": 0.03,
+  "ADA/USD": 0.05,
+  "DOT/USD": 0.04,
+  "LINK/USD": 0.06,
+};
+
+class MarketDataSource {
+  constructor(options = {}) {
+    this.options = options;
+    this.connected = false;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+
+  getSymbols() {
+    return [];
+  }
+
+  async getSnapshot() {
+    throw new Error(
+      `${this.constructor.name} does not implement getSnapshot()`
+    );
+  }
+
+  createQuote(symbol, price, change, volume, timestamp) {
+    return {
+      symbol,
+      price: parseFloat(price.toFixed(price < 10 ? 4 : 2)),
+      change: parseFloat(change.toFixed(2)),
+      volume: volume || 0,
+      timestamp: timestamp || new Date().toISOString(),
+    };
+  }
+}
+
+// The original simulator: every tick is an independent jitter around a fixed
+// base price, so prices never drift away from their anchors.
+class SimulatedMarketDataSource extends MarketDataSource {
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || new SeededRandom();
+    this.symbols = options.symbols || DEFAULT_SYMBOLS;
+    this.basePrices = { ...DEFAULT_BASE_PRICES, ...options.basePrices };
+    this.volatilities = { ...DEFAULT_VOLATILITIES, ...options.volatilities };
+  }
+
+  getSymbols() {
+    return this.symbols.slice();
+  }
+
+  getBasePrice(symbol) {
+    return this.basePrices[symbol] || 100;
+  }
+
+  getVolatility(symbol) {
+    return this.volatilities[symbol] || 0.03;
+  }
+
+  async getSnapshot() {
+    const marketData = {};
+
+    this.symbols.forEach((symbol) => {
+      const basePrice = this.getBasePrice(symbol);
+      const volatility = this.getVolatility(symbol);
+      const change = (this.random.next() - 0.5) * volatility;
+      const price = basePrice * (1 + change);
+
+      marketData[symbol] = this.createQuote(
+        symbol,
+        price,
+        change * 100,
+        this.random.next() * 1000000
+      );
+    });
+
+    return marketData;
+  }
+}
+
+// Geometric Brownian motion: prices follow a random walk with drift, so
+// trends and volatility clusters persist across ticks. `drift` and
+// `volatility` are annualized and may be a number or a per-symbol map.
+class GBMMarketDataSource extends MarketDataSource {
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || new SeededRandom();
+    this.symbols = options.symbols || DEFAULT_SYMBOLS;
+    this.drift = options.drift !== undefined ? options.drift : 0.05;
+    this.volatility =
+      options.volatility !== undefined ? options.volatility : 0.8;
+    this.stepSeconds = options.stepSeconds || 5;
+    this.openPrices = { ...DEFAULT_BASE_PRICES, ...options.initialPrices };
+    this.prices = {};
+    this.symbols.forEach((symbol) => {
+      this.openPrices[symbol] = this.openPrices[symbol] || 100;
+      this.prices[symbol] = this.openPrices[symbol];
+    });
+  }
+
+  getSymbols() {
+    return this.symbols.slice();
+  }
+
+  getParameter(value, symbol) {
+    return typeof value === "object" ? value[symbol] || 0 : value;
+  }
+
+  step(symbol) {
+    const mu = this.getParameter(this.drift, symbol);
+    const sigma = this.getParameter(this.volatility, symbol);
+    const dt = this.stepSeconds / (365 * 24 * 60 * 60);
+    const shock = sigma * Math.sqrt(dt) * this.random.gaussian();
+
+    this.prices[symbol] *= Math.exp((mu - (sigma * sigma) / 2) * dt + shock);
+    return this.prices[symbol];
+  }
+
+  async getSnapshot() {
+    const marketData = {};
+    const timestamp = new Date().toISOString();
+
+    this.symbols.forEach((symbol) => {
+      const price = this.step(symbol);
+      const change = (price / this.openPrices[symbol] - 1) * 100;
+      marketData[symbol] = this.createQuote(
+        symbol,
+        price,
+        change,
+        this.random.next() * 1000000,
+        timestamp
+      );
+    });
+
+    return marketData;
+  }
+}
+
+// Replays recorded ticks. Accepts CSV with a `timestamp,symbol,price[,volume]`
+// header or JSON (an array of ticks, or { ticks: [...] }). Ticks sharing a
+// timestamp are delivered together as one snapshot.
+class ReplayMarketDataSource extends MarketDataSource {
+  constructor(options = {}) {
+    super(options);
+    this.loop = Boolean(options.loop);
+    this.frames = options.data
+      ? ReplayMarketDataSource.toFrames(options.data)
+      : [];
+    this.reset();
+  }
+
+  static parse(data) {
+    if (Array.isArray(data)) return data;
+    if (typeof data === "object" && data !== null) return data.ticks || [];
+
+    const text = String(data).trim();
+    if (text.startsWith("[") || text.startsWith("{")) {
+      return ReplayMarketDataSource.parse(JSON.parse(text));
+    }
+
+    const [header, ...rows] = text.split(/\r?\n/);
+    const columns = header.split(",").map((c) => c.trim().toLowerCase());
+    ["timestamp", "symbol", "price"].forEach((column) => {
+      if (!columns.includes(column)) {
+        throw new Error(`Tick file is missing the "${column}" column`);
+      }
+    });
+
+    return rows
+      .filter((row) => row.trim())
+      .map((row) => {
+        const values = row.split(",");
+        const tick = {};
+        columns.forEach((column, i) => {
+          tick[column] = values[i] !== undefined ? values[i].trim() : "";
+        });
+        return tick;
+      });
+  }
+
+  static toFrames(data) {
+    const frames = new Map();
+
+    ReplayMarketDataSource.parse(data).forEach((tick) => {
+      const price = parseFloat(tick.price);
+      const time = ReplayMarketDataSource.parseTime(tick.timestamp);
+      if (!tick.symbol || !isFinite(price) || time === null) return;
+
+      const timestamp = new Date(time).toISOString();
+
+      if (!frames.has(timestamp)) frames.set(timestamp, []);
+      frames.get(timestamp).push({
+        symbol: tick.symbol,
+        price,
+        volume: parseFloat(tick.volume) || 0,
+        timestamp,
+      });
+    });
+
+    return Array.from(frames.keys())
+      .sort()
+      .map((timestamp) => frames.get(timestamp));
+  }
+
+  // Epoch milliseconds or a date string; null for anything else
+  static parseTime(value) {
+    const text = String(value).trim();
+    const time = /^\d+(\.\d+)?$/.test(text) ? Number(text) : Date.parse(text);
+    return isNaN(new Date(time).getTime()) ? null : time;
+  }
+
+  async connect() {
+    if (this.options.url && this.frames.length === 0) {
+      const response = await fetch(this.options.url);
+      this.frames = ReplayMarketDataSource.toFrames(await response.text());
+      this.reset();
+    }
+    this.connected = true;
+  }
+
+  reset() {
+    this.position = 0;
+    this.openPrices = {};
+    this.lastQuotes = {};
+  }
+
+  getSymbols() {
+    const symbols = new Set();
+    this.frames.forEach((frame) => frame.forEach((t) => symbols.add(t.symbol)));
+    return Array.from(symbols);
+  }
+
+  isFinished() {
+    return !this.loop && this.position >= this.frames.length;
+  }
+
+  async getSnapshot() {
+    if (this.position >= this.frames.length) {
+      if (!this.loop || this.frames.length === 0) return { ...this.lastQuotes };
+      this.reset();
+    }
+
+    this.frames[this.position++].forEach((tick) => {
+      if (!this.openPrices[tick.symbol]) {
+        this.openPrices[tick.symbol] = tick.price;
+      }
+      const change = (tick.price / this.openPrices[tick.symbol] - 1) * 100;
+      this.lastQuotes[tick.symbol] = this.createQuote(
+        tick.symbol,
+        tick.price,
+        change,
+        tick.volume,
+        tick.timestamp
+      );
+    });
+
+    return { ...this.lastQuotes };
+  }
+}
+
+// Streams quotes from a WebSocket feed. Messages may be a single tick, an
+// array of ticks, or { type: "snapshot", data: [...] }. The engine still polls
+// on its own interval and receives the latest quote for each symbol.
+class WebSocketMarketDataSource extends MarketDataSource {
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url || "ws://localhost:8081";
+    this.symbols = options.symbols || [];
+    this.reconnectDelay = options.reconnectDelay || 3000;
+    this.WebSocket =
+      options.WebSocket ||
+      (typeof WebSocket !== "undefined" ? WebSocket : null);
+    this.socket = null;
+    this.quotes = {};
+    this.openPrices = {};
+    this.reconnectTimer = null;
+  }
+
+  getSymbols() {
+    return this.symbols.length > 0
+      ? this.symbols.slice()
+      : Object.keys(this.quotes);
+  }
+
+  connect() {
+    if (!this.WebSocket) {
+      return Promise.reject(new Error("WebSocket is not available"));
+    }
+
+    this.shouldReconnect = true;
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => {
+        this.connected = true;
+        if (this.symbols.length > 0) {
+          socket.send(
+            JSON.stringify({ type: "subscribe", symbols: this.symbols })
+          );
+        }
+        resolve();
+      };
+
+      socket.onmessage = (event) => this.handleMessage(event.data);
+
+      socket.onerror = (error) => {
+        if (!this.connected) reject(error);
+      };
+
+      socket.onclose = () => {
+        this.connected = false;
+        if (this.shouldReconnect) {
+          this.reconnectTimer = setTimeout(() => {
+            this.connect().catch((error) => {
+              console.error("Market feed reconnect failed:", error);
+            });
+          }, this.reconnectDelay);
+        }
+      };
+    });
+  }
+
+  async disconnect() {
+    this.shouldReconnect = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.error("Ignoring malformed market feed message:", raw);
+      return;
+    }
+    if (!message || typeof message !== "object") return;
+
+    const ticks = Array.isArray(message)
+      ? message
+      : message.type === "snapshot"
+      ? message.data
+      : [message];
+
+    (Array.isArray(ticks) ? ticks : []).forEach((tick) => {
+      if (!tick || typeof tick !== "object") return;
+      const price = parseFloat(tick.price);
+      if (!tick.symbol || !isFinite(price)) return;
+      if (this.symbols.length > 0 && !this.symbols.includes(tick.symbol))
+        return;
+
+      if (!this.openPrices[tick.symbol]) {
+        this.openPrices[tick.symbol] = price;
+      }
+      const change =
+        tick.change !== undefined
+          ? parseFloat(tick.change)
+          : (price / this.openPrices[tick.symbol] - 1) * 100;
+
+      this.quotes[tick.symbol] = this.createQuote(
+        tick.symbol,
+        price,
+        change,
+        parseFloat(tick.volume) || 0,
+        tick.timestamp
+      );
+    });
+  }
+
+  async getSnapshot() {
+    return { ...this.quotes };
+  }
+}
+
+function createMarketDataSource(config = {}) {
+  switch (config.type) {
+    case "gbm":
+      return new GBMMarketDataSource(config);
+    case "replay":
+      return new ReplayMarketDataSource(config);
+    case "websocket":
+      return new WebSocketMarketDataSource(config);
+    case "simulated":
+    default:
+      return new SimulatedMarketDataSource(config);
+  }
+}
@@ -0,0 +1,148 @@
+// Two-sided quoting for the `market_making` bot type. The bot keeps a resting
+// bid and ask around mid on one symbol, shifts both quotes against its
+// inventory so fills tend to flatten it, stops quoting the side that would
+// breach the inventory limit, and requotes once mid moves far enough.
+//
+// Its P&L splits into spread capture (each fill's edge against the mid its
+// quote was priced from) and inventory P&L (what the position made or lost
+// as mid moved):
+//   total P&L = spread capture + inventory P&L - fees
+class MarketMakingStrategy extends IndicatorStrategy {
+  constructor(dataManager) {
+    super(dataManager);
+    // Mid each bot's live quote on each side was priced from
+    this.quoteMids = new Map();
+  }
+
+  static get parameters() {
+    return {
+      symbol: { default: "ETH/USD", options: DEFAULT_SYMBOLS },
+      spreadBps: { default: 20, min: 1, max: 500, step: 1 },
+      quoteSize: { default: 200, min: 10, max: 5000, step: 10 },
+      maxInventory: { default: 1000, min: 50, max: 20000, step: 50 },
+      skewBps: { default: 15, min: 0, max: 500, step: 1 },
+      requoteBps: { default: 5, min: 1, max: 200, step: 1 },
+    };
+  }
+
+  describe(params) {
+    return `${params.symbol} ${params.spreadBps} bps spread, skew ${params.skewBps} bps, max inventory $${params.maxInventory}`;
+  }
+
+  // Target quotes for the current inventory; a side is null when quoting it
+  // could push inventory past the limit
+  getQuotes(bot, params, mid) {
+    const position = this.dataManager.ledger.getPosition(bot.id, params.symbol);
+    const inventory = position.quantity * mid;
+    const ratio = Math.max(-1, Math.min(1, inventory / params.maxInventory));
+
+    // Long inventory lowers both quotes so the ask fills first, and vice versa
+    const reservation = mid * (1 - (ratio * params.skewBps) / 10000);
+    const halfSpread = params.spreadBps / 20000;
+    const bidNotional = Math.min(
+      params.quoteSize,
+      params.maxInventory - inventory
+    );
+    const askNotional = Math.min(
+      params.quoteSize,
+      params.maxInventory + inventory
+    );
+    const bid = reservation * (1 - halfSpread);
+    const ask = reservation * (1 + halfSpread);
+
+    return {
+      inventory,
+      buy: bidNotional > 0 ? { price: bid, quantity: bidNotional / bid } : null,
+      sell:
+        askNotional > 0 ? { price: ask, quantity: askNotional / ask } : null,
+    };
+  }
+
+  decide(bot) {
+    const params = this.getParams(bot);
+    const quote = this.dataManager.marketData[params.symbol];
+    if (!quote) return this.hold(params.symbol, "No market data");
+
+    const quotes = this.getQuotes(bot, params, quote.price);
+    const openOrders = this.dataManager.orders.filter(
+      (order) => order.botId === bot.id && MatchingEngine.isOpen(order)
+    );
+    const cancel = [];
+    const orders = [];
+
+    ["buy", "sell"].forEach((side) => {
+      const target = quotes[side];
+      const resting = openOrders.filter(
+        (order) => order.symbol === params.symbol && order.side === side
+      );
+      const current = resting.find(
+        (order) =>
+          target &&
+          (Math.abs(order.limitPrice - target.price) / target.price) * 10000 <=
+            params.requoteBps
+      );
+
+      resting
+        .filter((order) => order !== current)
+        .forEach((order) => cancel.push(order));
+
+      if (target && !current) {
+        this.quoteMids.set(`${bot.id}:${side}`, quote.price);
+        orders.push({
+          symbol: params.symbol,
+          side,
+          type: "limit",
+          limitPrice: target.price,
+          quantity: target.quantity,
+          timeInForce: "GTC",
+        });
+      }
+    });
+
+    // Quotes left on a symbol the bot no longer makes a market in
+    openOrders
+      .filter((order) => order.symbol !== params.symbol)
+      .forEach((order) => cancel.push(order));
+
+    return {
+      execute: cancel.length > 0 || orders.length > 0,
+      type: "buy",
+      symbol: params.symbol,
+      amount: 0,
+      confidence: 70,
+      cancel,
+      orders,
+      reason: `Inventory $${quotes.inventory.toFixed(2)}`,
+    };
+  }
+
+  // Edge of a fill against its quote's mid, booked to the bot's spread
+  // capture. Falls back to the current mid for quotes from an earlier session.
+  recordFill(bot, fill, currentMid) {
+    const mid = this.quoteMids.get(`${bot.id}:${fill.side}`) || currentMid;
+    const edge =
+      (fill.side === "buy" ? mid - fill.price : fill.price - mid) *
+      fill.quantity;
+    return { spreadCapture: (bot.spreadCapture || 0) + edge };
+  }
+
+  getMetrics(bot) {
+    const fees = this.dataManager.ledger.getSummary(bot.id).fees;
+    const spreadCapture = bot.spreadCapture || 0;
+    return {
+      spreadCapture,
+      inventoryPnl: bot.profit + fees - spreadCapture,
+    };
+  }
+}
+
+StrategyRegistry.register({
+  id: "market_making",
+  name: "Liquidity Provision",
+  description: "Two-sided quotes around mid, skewed against inventory",
+  parameters: MarketMakingStrategy.parameters,
+  marketData: ["quotes"],
+  create: (engine) => new MarketMakingStrategy(engine.dataManager),
+  symbols: ({ strategy, bot }) => [strategy.getParams(bot).symbol],
+  decide: ({ strategy, bot }) => strategy.decide(bot),
+});
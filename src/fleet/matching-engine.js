@@ -0,0 +1,293 @@
+// Simulated exchange. Every market data tick rebuilds a synthetic order book
+// around each symbol's price; orders match against that book level by level,
+// so large orders fill partially and resting orders fill as prices move.
+//
+// Order lifecycle:
+//   pending (untriggered stop) -> open -> partially_filled -> filled
+//   and at any open stage -> cancelled | expired; invalid orders -> rejected
+const ORDER_TYPES = ["market", "limit", "stop", "stop_limit"];
+const TIME_IN_FORCE = ["GTC", "IOC", "FOK", "DAY"];
+const OPEN_ORDER_STATUSES = ["pending", "open", "partially_filled"];
+
+class MatchingEngine {
+  constructor(options = {}) {
+    this.venue = options.venue || "paper";
+    this.random = options.random || new SeededRandom();
+    this.clock = options.clock || (() => new Date());
+    this.bookDepth = options.bookDepth || 10;
+    this.spreadBps = options.spreadBps || 5;
+    this.levelSpacingBps = options.levelSpacingBps || 2;
+    this.levelNotional = options.levelNotional || 200;
+    this.orders = new Map();
+    this.books = {};
+    this.listeners = [];
+    this.nextOrderId = 1;
+  }
+
+  static isOpen(order) {
+    return OPEN_ORDER_STATUSES.includes(order.status);
+  }
+
+  onOrderEvent(listener) {
+    this.listeners.push(listener);
+  }
+
+  emit(type, order, fill) {
+    order.updatedAt = this.clock().toISOString();
+    const event = {
+      type,
+      order: { ...order, fills: order.fills.slice() },
+      fill,
+    };
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  // Re-adopt this venue's open orders saved from a previous page load
+  restore(orders) {
+    orders.forEach((order) => {
+      if (order.venue !== this.venue) return;
+
+      this.nextOrderId = Math.max(this.nextOrderId, order.id + 1);
+      if (MatchingEngine.isOpen(order)) {
+        this.orders.set(order.id, { ...order, fills: order.fills.slice() });
+      }
+    });
+  }
+
+  buildBook(quote) {
+    const mid = quote.price;
+    const halfSpread = (mid * this.spreadBps) / 20000;
+    const spacing = (mid * this.levelSpacingBps) / 10000;
+    const bids = [];
+    const asks = [];
+
+    for (let i = 0; i < this.bookDepth; i++) {
+      const notional = () =>
+        this.levelNotional * (1 + i * 0.5) * this.random.between(0.5, 1.5);
+      const bidPrice = mid - halfSpread - i * spacing;
+      const askPrice = mid + halfSpread + i * spacing;
+      bids.push({ price: bidPrice, size: notional() / bidPrice });
+      asks.push({ price: askPrice, size: notional() / askPrice });
+    }
+
+    return { symbol: quote.symbol, mid, bids, asks };
+  }
+
+  getBook(symbol) {
+    return this.books[symbol];
+  }
+
+  updateMarketData(marketData) {
+    Object.values(marketData).forEach((quote) => {
+      this.books[quote.symbol] = this.buildBook(quote);
+    });
+
+    const today = this.clock().toISOString().slice(0, 10);
+
+    this.getOpenOrders().forEach((order) => {
+      if (
+        order.timeInForce === "DAY" &&
+        order.createdAt.slice(0, 10) !== today
+      ) {
+        this.closeOrder(order, "expired", "Day order expired");
+        return;
+      }
+
+      const book = this.books[order.symbol];
+      if (!book) return;
+
+      if (order.status === "pending") {
+        if (!this.isStopTriggered(order, book.mid)) return;
+        this.trigger(order);
+      }
+
+      this.match(order);
+    });
+  }
+
+  isStopTriggered(order, price) {
+    return order.side === "buy"
+      ? price >= order.stopPrice
+      : price <= order.stopPrice;
+  }
+
+  // A triggered stop becomes a market order; a stop-limit becomes a limit
+  trigger(order) {
+    order.triggered = true;
+    order.status = "open";
+    this.emit("status", order);
+  }
+
+  validate(params) {
+    if (!ORDER_TYPES.includes(params.type)) {
+      return `Unknown order type: ${params.type}`;
+    }
+    if (!TIME_IN_FORCE.includes(params.timeInForce)) {
+      return `Unknown time in force: ${params.timeInForce}`;
+    }
+    if (!(params.quantity > 0)) return "Quantity must be positive";
+    if (
+      ["limit", "stop_limit"].includes(params.type) &&
+      !(params.limitPrice > 0)
+    ) {
+      return "Limit price is required";
+    }
+    if (
+      ["stop", "stop_limit"].includes(params.type) &&
+      !(params.stopPrice > 0)
+    ) {
+      return "Stop price is required";
+    }
+    if (!this.books[params.symbol]) {
+      return `No market data for ${params.symbol}`;
+    }
+    return null;
+  }
+
+  submitOrder(params) {
+    const now = this.clock().toISOString();
+    const order = {
+      id: this.nextOrderId++,
+      venue: this.venue,
+      botId: params.botId,
+      symbol: params.symbol,
+      side: params.side,
+      type: params.type || "market",
+      quantity: params.quantity,
+      limitPrice: params.limitPrice || null,
+      stopPrice: params.stopPrice || null,
+      timeInForce: params.timeInForce || "GTC",
+      confidence: params.confidence || null,
+      status: "open",
+      triggered: false,
+      filledQuantity: 0,
+      avgFillPrice: 0,
+      fills: [],
+      reason: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const error = this.validate(order);
+    if (error) {
+      order.status = "rejected";
+      order.reason = error;
+      this.emit("status", order);
+      return { ...order };
+    }
+
+    this.orders.set(order.id, order);
+
+    const isStop = order.type === "stop" || order.type === "stop_limit";
+    if (isStop && !this.isStopTriggered(order, this.books[order.symbol].mid)) {
+      order.status = "pending";
+      this.emit("status", order);
+      return { ...order };
+    }
+
+    if (isStop) order.triggered = true;
+    this.emit("status", order);
+    this.match(order);
+    return { ...order, fills: order.fills.slice() };
+  }
+
+  cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order || !MatchingEngine.isOpen(order)) return false;
+
+    this.closeOrder(order, "cancelled", "Cancelled by request");
+    return true;
+  }
+
+  closeOrder(order, status, reason) {
+    order.status = status;
+    order.reason = reason;
+    this.orders.delete(order.id);
+    this.emit("status", order);
+  }
+
+  getOpenOrders(botId) {
+    return Array.from(this.orders.values()).filter(
+      (order) =>
+        MatchingEngine.isOpen(order) &&
+        (botId === undefined || order.botId === botId)
+    );
+  }
+
+  getLimitPrice(order) {
+    if (order.type === "limit" || order.type === "stop_limit") {
+      return order.limitPrice;
+    }
+    return null;
+  }
+
+  match(order) {
+    const book = this.books[order.symbol];
+    const levels = order.side === "buy" ? book.asks : book.bids;
+    const limitPrice = this.getLimitPrice(order);
+    const crosses = (level) =>
+      limitPrice === null ||
+      (order.side === "buy"
+        ? level.price <= limitPrice
+        : level.price >= limitPrice);
+
+    let remaining = order.quantity - order.filledQuantity;
+
+    if (order.timeInForce === "FOK") {
+      const available = levels
+        .filter(crosses)
+        .reduce((total, level) => total + level.size, 0);
+      if (available < remaining) {
+        this.closeOrder(order, "cancelled", "Fill-or-kill could not be filled");
+        return;
+      }
+    }
+
+    for (const level of levels) {
+      if (remaining <= 0 || !crosses(level)) break;
+      if (level.size <= 0) continue;
+
+      const quantity = Math.min(remaining, level.size);
+      level.size -= quantity;
+      remaining -= quantity;
+      this.recordFill(order, quantity, level.price);
+    }
+
+    if (remaining <= 1e-12) {
+      order.status = "filled";
+      this.orders.delete(order.id);
+      this.emit("status", order);
+    } else if (limitPrice === null || order.timeInForce === "IOC") {
+      // Market orders and IOC never rest on the book
+      this.closeOrder(
+        order,
+        "cancelled",
+        order.filledQuantity > 0 ? "Remainder cancelled" : "No liquidity"
+      );
+    }
+  }
+
+  recordFill(order, quantity, price) {
+    const fill = {
+      orderId: order.id,
+      botId: order.botId,
+      symbol: order.symbol,
+      side: order.side,
+      quantity,
+      price,
+      timestamp: this.clock().toISOString(),
+    };
+
+    order.avgFillPrice =
+      (order.avgFillPrice * order.filledQuantity + price * quantity) /
+      (order.filledQuantity + quantity);
+    order.filledQuantity += quantity;
+    order.fills.push(fill);
+    order.status =
+      order.filledQuantity >= order.quantity - 1e-12
+        ? "filled"
+        : "partially_filled";
+
+    this.emit("fill", order, fill);
+  }
+}
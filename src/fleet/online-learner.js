@@ -0,0 +1,103 @@
+// Online logistic regression for the ai_adaptive bot: the probability that a
+// long position opened under the given market conditions ends in profit.
+// Each closed trade is one labelled example and moves the weights by a single
+// stochastic gradient step, so the model keeps adapting as conditions change.
+//
+// Features come from TradingEngine.analyzeMarketConditions, centred so that
+// a neutral market is all zeros and the prediction rests on the bias alone.
+
+// Bump when the saved model format changes; DataManager migrates older ones
+const AI_MODEL_SCHEMA_VERSION = 1;
+
+const LEARNER_FEATURES = {
+  trend: (conditions) => conditions.trend,
+  momentum: (conditions) => (conditions.marketSentiment - 0.5) * 2,
+  volatility: (conditions) => conditions.volatility,
+  volume: (conditions) => conditions.volume,
+};
+
+class OnlineLogisticModel {
+  constructor(saved = {}) {
+    this.bias = saved.bias || 0;
+    this.weights = { ...saved.weights };
+    Object.keys(LEARNER_FEATURES).forEach((name) => {
+      if (typeof this.weights[name] !== "number") this.weights[name] = 0;
+    });
+    this.updates = saved.updates || 0;
+    // 1 for each recent prediction that was right, 0 for each miss
+    this.outcomes = saved.outcomes || [];
+  }
+
+  static features(conditions) {
+    const features = {};
+    Object.entries(LEARNER_FEATURES).forEach(([name, extract]) => {
+      features[name] = extract(conditions) || 0;
+    });
+    return features;
+  }
+
+  static sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  predict(features) {
+    const z = Object.keys(this.weights).reduce(
+      (sum, name) => sum + this.weights[name] * (features[name] || 0),
+      this.bias
+    );
+    return OnlineLogisticModel.sigmoid(z);
+  }
+
+  getAccuracy() {
+    if (this.outcomes.length === 0) return null;
+    return RiskAnalytics.mean(this.outcomes);
+  }
+
+  // One gradient step on log loss with L2 shrinkage; label is 1 or 0
+  update(features, label, { learningRate, l2, accuracyWindow }) {
+    const probability = this.predict(features);
+    const error = label - probability;
+
+    this.bias += learningRate * error;
+    Object.keys(this.weights).forEach((name) => {
+      this.weights[name] +=
+        learningRate *
+        (error * (features[name] || 0) - l2 * this.weights[name]);
+    });
+
+    this.updates++;
+    this.outcomes.push((probability >= 0.5 ? 1 : 0) === label ? 1 : 0);
+    if (this.outcomes.length > accuracyWindow) {
+      this.outcomes = this.outcomes.slice(-accuracyWindow);
+    }
+    return probability;
+  }
+
+  // Throws if a saved or imported state is not a model of this kind
+  static validate(state) {
+    if (!state || typeof state !== "object") {
+      throw new Error("Model state must be an object");
+    }
+    if (state.bias !== undefined && typeof state.bias !== "number") {
+      throw new Error("Model bias must be a number");
+    }
+    Object.entries(state.weights || {}).forEach(([name, weight]) => {
+      if (!LEARNER_FEATURES[name]) {
+        throw new Error(`Unknown model feature "${name}"`);
+      }
+      if (typeof weight !== "number" || !Number.isFinite(weight)) {
+        throw new Error(`Weight for ${name} must be a number`);
+      }
+    });
+    return state;
+  }
+
+  toJSON() {
+    return {
+      bias: this.bias,
+      weights: { ...this.weights },
+      updates: this.updates,
+      outcomes: this.outcomes.slice(),
+    };
+  }
+}
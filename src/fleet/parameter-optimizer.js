@@ -0,0 +1,344 @@
+// Searches a bot's parameters for the set that backtests best on recent
+// recorded market data: the closed candles of settings.optimizer.timeframe in
+// the CandleStore, replayed as one tick per candle close. Bots with a tunable
+// strategy search its declared parameters; other bots search riskLevel.
+//
+// settings.optimizer:
+//   timeframe, lookbackMs  the recorded candles to replay; a search needs at
+//                   least minFrames of them
+//   method          grid | random | genetic
+//   objective       the PerformanceMetrics ratio candidates are ranked by
+//   maxEvaluations  backtests per search, including the current parameters
+//   gridSteps       values tried per numeric parameter in a grid search; when
+//                   the full grid is larger than maxEvaluations an evenly
+//                   spaced subset of it is run
+//   populationSize  genetic search: candidates per generation, bred by
+//                   tournament selection and uniform crossover, with each
+//                   value mutated at mutationRate
+//   minTrades       closing trades a candidate needs to be scored at all
+//   fixedParameters parameters kept at the bot's current value, e.g. a
+//                   timeframe too slow to judge on the recorded lookback
+//
+// Every candidate is replayed with the same seed, so score differences come
+// from the parameters rather than from simulated fills.
+const OPTIMIZER_METHODS = {
+  grid: "Grid search",
+  random: "Random search",
+  genetic: "Genetic",
+};
+
+const OPTIMIZER_OBJECTIVES = {
+  sharpeRatio: "Sharpe ratio",
+  sortinoRatio: "Sortino ratio",
+  calmarRatio: "Calmar ratio",
+};
+
+// Search space for bots without strategy parameters
+const RISK_LEVEL_PARAMETER = {
+  riskLevel: { default: 0.5, min: 0.1, max: 0.9, step: 0.05 },
+};
+
+class ParameterOptimizer {
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    this.onProgress = options.onProgress || null;
+    // Reseeded per search, so a search can be repeated from its seed
+    this.random = new SeededRandom();
+  }
+
+  get config() {
+    return this.dataManager.settings.optimizer;
+  }
+
+  // { parameters, current, tunesParams }: the parameters to search and the
+  // bot's current values; tunesParams is false when the search is over the
+  // bot's riskLevel
+  static getSearchSpace(bot, strategy, fixed = []) {
+    if (strategy) {
+      const parameters = {};
+      Object.entries(strategy.constructor.parameters)
+        .filter(([name]) => !fixed.includes(name))
+        .forEach(([name, spec]) => {
+          parameters[name] = spec;
+        });
+      return {
+        parameters,
+        current: strategy.getParams(bot),
+        tunesParams: true,
+      };
+    }
+    return {
+      parameters: RISK_LEVEL_PARAMETER,
+      current: { riskLevel: bot.riskLevel },
+      tunesParams: false,
+    };
+  }
+
+  static applyCandidate(bot, candidate, tunesParams) {
+    return tunesParams
+      ? { ...bot, params: { ...candidate } }
+      : { ...bot, ...candidate };
+  }
+
+  // One tick per closed candle and symbol, oldest first
+  getRecordedTicks() {
+    const { timeframe, lookbackMs } = this.config;
+    const from = this.dataManager.now().getTime() - lookbackMs;
+    const ticks = [];
+
+    this.dataManager.candleStore.getSymbols().forEach((symbol) => {
+      this.dataManager
+        .getCandles(symbol, timeframe, from)
+        .slice(0, -1)
+        .forEach((candle) => {
+          ticks.push({
+            timestamp: candle.time + CANDLE_TIMEFRAMES[timeframe],
+            symbol,
+            price: candle.close,
+            volume: candle.volume,
+          });
+        });
+    });
+    return ticks.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Rounds a value onto a numeric parameter's steps within its range
+  static snap(spec, value) {
+    const stepped =
+      spec.min + Math.round((value - spec.min) / spec.step) * spec.step;
+    const clamped = Math.min(spec.max, Math.max(spec.min, stepped));
+    return parseFloat(clamped.toFixed(6));
+  }
+
+  static gridValues(spec, steps) {
+    if (spec.options) return spec.options.slice();
+    if (steps < 2) return [spec.default];
+
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+      values.push(
+        ParameterOptimizer.snap(
+          spec,
+          spec.min + ((spec.max - spec.min) * i) / (steps - 1)
+        )
+      );
+    }
+    return Array.from(new Set(values));
+  }
+
+  randomValue(spec) {
+    if (spec.options) return this.random.pick(spec.options);
+    return ParameterOptimizer.snap(
+      spec,
+      this.random.between(spec.min, spec.max)
+    );
+  }
+
+  randomCandidate(parameters) {
+    const candidate = {};
+    Object.entries(parameters).forEach(([name, spec]) => {
+      candidate[name] = this.randomValue(spec);
+    });
+    return candidate;
+  }
+
+  gridCandidates(parameters, count) {
+    const names = Object.keys(parameters);
+    const values = names.map((name) =>
+      ParameterOptimizer.gridValues(parameters[name], this.config.gridSteps)
+    );
+    const total = values.reduce((product, list) => product * list.length, 1);
+    const stride = Math.max(1, total / count);
+
+    const candidates = [];
+    for (let i = 0; i < total && candidates.length < count; i += stride) {
+      // Decode the grid index into one value per parameter
+      let index = Math.floor(i);
+      const candidate = {};
+      names.forEach((name, n) => {
+        candidate[name] = values[n][index % values[n].length];
+        index = Math.floor(index / values[n].length);
+      });
+      candidates.push(candidate);
+    }
+    return candidates;
+  }
+
+  breed(parameters, parents) {
+    const pick = () => {
+      const a = this.random.pick(parents);
+      const b = this.random.pick(parents);
+      return a.score >= b.score ? a : b;
+    };
+    const mother = pick().params;
+    const father = pick().params;
+
+    const child = {};
+    Object.entries(parameters).forEach(([name, spec]) => {
+      child[name] = this.random.next() < 0.5 ? mother[name] : father[name];
+      if (this.random.next() < this.config.mutationRate) {
+        child[name] = this.randomValue(spec);
+      }
+    });
+    return child;
+  }
+
+  // Backtests one candidate and scores it on the objective
+  async evaluate(bot, candidate, tunesParams, ticks, seed) {
+    const backtester = new Backtester(
+      [ParameterOptimizer.applyCandidate(bot, candidate, tunesParams)],
+      { settings: this.dataManager.settings, seed }
+    );
+    const report = await backtester.run(ticks);
+    const summary = report.bots[0];
+    const metrics = PerformanceMetrics.compute(summary.trades, {
+      startingCapital: this.dataManager.settings.initialCapital,
+      periodMs: this.dataManager.settings.riskAnalytics.bucketMs,
+      from: new Date(report.from).getTime(),
+      to: new Date(report.to).getTime(),
+    });
+    const closingTrades = summary.wins + summary.losses;
+
+    // Unbounded ratios (no losing period) rank above any finite one
+    const value = metrics[this.config.objective];
+    const score =
+      closingTrades < this.config.minTrades
+        ? -Infinity
+        : Number.isFinite(value)
+        ? value
+        : Number.MAX_VALUE;
+
+    return {
+      params: candidate,
+      score,
+      metrics: {
+        totalProfit: summary.totalProfit,
+        totalTrades: summary.totalTrades,
+        closingTrades,
+        winRate: summary.winRate,
+        maxDrawdown: summary.maxDrawdown,
+        sharpeRatio: metrics.sharpeRatio,
+        sortinoRatio: metrics.sortinoRatio,
+        calmarRatio: metrics.calmarRatio,
+        profitFactor: metrics.profitFactor,
+      },
+    };
+  }
+
+  async optimize(bot, strategy) {
+    const config = this.config;
+    if (!OPTIMIZER_METHODS[config.method]) {
+      throw new Error(`Unknown optimization method: ${config.method}`);
+    }
+    if (!OPTIMIZER_OBJECTIVES[config.objective]) {
+      throw new Error(`Unknown optimization objective: ${config.objective}`);
+    }
+
+    const ticks = this.getRecordedTicks();
+    const frames = new Set(ticks.map((tick) => tick.timestamp)).size;
+    if (frames < config.minFrames) {
+      throw new Error(
+        `Not enough recorded market data to optimize: ${frames} of ${config.minFrames} ${config.timeframe} candles`
+      );
+    }
+
+    const { parameters, current, tunesParams } =
+      ParameterOptimizer.getSearchSpace(bot, strategy, config.fixedParameters);
+    const seed = SeededRandom.generateSeed();
+    this.random.reseed(seed);
+    const results = [];
+    const seen = new Set();
+    // Values drawn one parameter at a time can break the strategy's
+    // cross-parameter constraints, e.g. a MACD fast period over the slow one
+    const constrain = (candidate) =>
+      tunesParams
+        ? StrategyRegistry.constrainParams(
+            strategy.constructor.parameters,
+            candidate,
+            config.fixedParameters
+          )
+        : candidate;
+
+    const run = async (candidates) => {
+      const evaluated = [];
+      for (const searched of candidates) {
+        const candidate = constrain({ ...current, ...searched });
+        const key = JSON.stringify(candidate);
+        if (seen.has(key) || results.length >= config.maxEvaluations) continue;
+        seen.add(key);
+
+        const result = await this.evaluate(
+          bot,
+          candidate,
+          tunesParams,
+          ticks,
+          seed
+        );
+        results.push(result);
+        evaluated.push(result);
+        if (this.onProgress) {
+          this.onProgress(results.length / config.maxEvaluations);
+        }
+      }
+      return evaluated;
+    };
+
+    const baseline = (await run([current]))[0];
+    const budget = config.maxEvaluations - 1;
+
+    switch (config.method) {
+      case "grid":
+        await run(this.gridCandidates(parameters, budget));
+        break;
+      case "random":
+        await run(
+          Array.from({ length: budget }, () => this.randomCandidate(parameters))
+        );
+        break;
+      case "genetic": {
+        const size = Math.max(2, config.populationSize);
+        let population = [
+          baseline,
+          ...(await run(
+            Array.from({ length: size - 1 }, () =>
+              this.randomCandidate(parameters)
+            )
+          )),
+        ];
+        // Stops once a generation brings nothing new or the budget is spent
+        while (results.length < config.maxEvaluations) {
+          const elite = population
+            .slice()
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 2);
+          const children = await run(
+            Array.from({ length: size - elite.length }, () =>
+              this.breed(parameters, population)
+            )
+          );
+          if (children.length === 0) break;
+          population = [...elite, ...children];
+        }
+        break;
+      }
+    }
+
+    const ranked = results.slice().sort((a, b) => b.score - a.score);
+    return {
+      botId: bot.id,
+      botName: bot.name,
+      tunesParams,
+      method: config.method,
+      objective: config.objective,
+      evaluations: results.length,
+      frames,
+      from: new Date(ticks[0].timestamp).toISOString(),
+      to: new Date(ticks[ticks.length - 1].timestamp).toISOString(),
+      seed,
+      current: baseline,
+      best: ranked[0],
+      top: ranked.slice(0, 5),
+      createdAt: this.dataManager.now().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,187 @@
+// Risk-adjusted performance statistics from a list of trades, for one bot or
+// the whole fleet. The equity curve is starting capital plus the realized P&L
+// of each trade in time order (opening trades realize their fee), so open
+// positions count once they close.
+//
+// Returns are equity changes per fixed period (settings.riskAnalytics.bucketMs)
+// and are annualized over a 365-day year, since crypto trades around the
+// clock. The risk-free rate is taken as zero.
+class PerformanceMetrics {
+  static empty() {
+    return {
+      sharpeRatio: 0,
+      sortinoRatio: 0,
+      calmarRatio: 0,
+      annualizedReturn: 0,
+      maxDrawdown: 0,
+      maxDrawdownPercent: 0,
+      maxDrawdownDurationMs: 0,
+      profitFactor: 0,
+      expectancy: 0,
+      averageWin: 0,
+      averageLoss: 0,
+      longestWinStreak: 0,
+      longestLossStreak: 0,
+    };
+  }
+
+  // trades: any order; from/to (ms) bound the window, startingCapital is the
+  // equity at its start
+  static compute(trades, { startingCapital, periodMs, from, to }) {
+    const metrics = PerformanceMetrics.empty();
+    const timed = trades
+      .map((trade) => ({ trade, time: new Date(trade.timestamp).getTime() }))
+      .filter(
+        ({ time }) =>
+          (from === undefined || time >= from) &&
+          (to === undefined || time <= to)
+      )
+      .sort((a, b) => a.time - b.time);
+    if (timed.length === 0) return metrics;
+
+    const closed = timed
+      .map(({ trade }) => trade)
+      .filter((trade) => trade.closedQuantity !== 0);
+    Object.assign(metrics, PerformanceMetrics.tradeStats(closed));
+
+    // Equity after each trade, and the drawdowns along it
+    const curve = [];
+    let equity = startingCapital;
+    timed.forEach(({ trade, time }) => {
+      equity += trade.profit;
+      curve.push({ time, equity });
+    });
+    const start = from !== undefined ? from : timed[0].time;
+    const end = to !== undefined ? to : timed[timed.length - 1].time;
+    Object.assign(
+      metrics,
+      PerformanceMetrics.drawdownStats(curve, startingCapital, start, end)
+    );
+
+    const returns = PerformanceMetrics.periodReturns(
+      curve,
+      startingCapital,
+      start,
+      end,
+      periodMs
+    );
+    if (returns.length < 2) return metrics;
+
+    const periodsPerYear = (365 * 24 * 60 * 60 * 1000) / periodMs;
+    const mean = RiskAnalytics.mean(returns);
+    const sd = RiskAnalytics.stdDev(returns);
+    const downside = Math.sqrt(
+      RiskAnalytics.mean(returns.map((r) => Math.min(0, r) ** 2))
+    );
+
+    metrics.annualizedReturn = mean * periodsPerYear;
+    metrics.sharpeRatio = sd > 0 ? (mean / sd) * Math.sqrt(periodsPerYear) : 0;
+    // No losing period at all leaves Sortino unbounded
+    metrics.sortinoRatio =
+      downside > 0
+        ? (mean / downside) * Math.sqrt(periodsPerYear)
+        : mean > 0
+        ? Infinity
+        : 0;
+    metrics.calmarRatio =
+      metrics.maxDrawdownPercent > 0
+        ? (metrics.annualizedReturn * 100) / metrics.maxDrawdownPercent
+        : 0;
+    return metrics;
+  }
+
+  static tradeStats(closed) {
+    const wins = closed.filter((trade) => trade.profit > 0);
+    const losses = closed.filter((trade) => trade.profit < 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.profit, 0);
+    const grossLoss = -losses.reduce((sum, trade) => sum + trade.profit, 0);
+
+    let winStreak = 0;
+    let lossStreak = 0;
+    let longestWinStreak = 0;
+    let longestLossStreak = 0;
+    closed.forEach((trade) => {
+      winStreak = trade.profit > 0 ? winStreak + 1 : 0;
+      lossStreak = trade.profit < 0 ? lossStreak + 1 : 0;
+      longestWinStreak = Math.max(longestWinStreak, winStreak);
+      longestLossStreak = Math.max(longestLossStreak, lossStreak);
+    });
+
+    return {
+      // Infinite when nothing lost; 0 when nothing closed
+      profitFactor:
+        grossLoss > 0
+          ? grossProfit / grossLoss
+          : grossProfit > 0
+          ? Infinity
+          : 0,
+      expectancy:
+        closed.length > 0 ? (grossProfit - grossLoss) / closed.length : 0,
+      averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+      averageLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+      longestWinStreak,
+      longestLossStreak,
+    };
+  }
+
+  // Deepest fall from a running peak, and the longest stretch spent below a
+  // peak (until recovery or the end of the window)
+  static drawdownStats(curve, startingCapital, start, end) {
+    let peak = startingCapital;
+    let peakTime = start;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let maxDrawdownDurationMs = 0;
+    let underwater = false;
+
+    curve.forEach(({ time, equity }) => {
+      if (equity >= peak) {
+        if (underwater) {
+          maxDrawdownDurationMs = Math.max(
+            maxDrawdownDurationMs,
+            time - peakTime
+          );
+        }
+        underwater = false;
+        peak = equity;
+        peakTime = time;
+        return;
+      }
+      underwater = true;
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      if (peak > 0) {
+        maxDrawdownPercent = Math.max(
+          maxDrawdownPercent,
+          ((peak - equity) / peak) * 100
+        );
+      }
+    });
+    if (underwater) {
+      maxDrawdownDurationMs = Math.max(maxDrawdownDurationMs, end - peakTime);
+    }
+
+    return { maxDrawdown, maxDrawdownPercent, maxDrawdownDurationMs };
+  }
+
+  // Equity sampled at the end of each period from start to end
+  static periodReturns(curve, startingCapital, start, end, periodMs) {
+    const returns = [];
+    let index = 0;
+    let previous = startingCapital;
+    let equity = startingCapital;
+
+    for (
+      let periodEnd = start + periodMs;
+      periodEnd - periodMs < end;
+      periodEnd += periodMs
+    ) {
+      while (index < curve.length && curve[index].time < periodEnd) {
+        equity = curve[index].equity;
+        index++;
+      }
+      returns.push(previous > 0 ? (equity - previous) / previous : 0);
+      previous = equity;
+    }
+    return returns;
+  }
+}
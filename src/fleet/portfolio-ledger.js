@@ -0,0 +1,183 @@
+// Cash and position accounting for every bot. Fills move cash and positions
+// at the traded price; marking to market revalues open positions so equity,
+// realized and unrealized P&L always reflect current prices.
+// Positions are signed: positive quantities are long, negative are short.
+class PortfolioLedger {
+  constructor(options = {}, saved = {}) {
+    this.initialCapital = options.initialCapital || 10000;
+    this.feeRate = options.feeRate || 0;
+    this.accounts = {};
+    this.load(saved);
+  }
+
+  getAccount(botId) {
+    if (!this.accounts[botId]) {
+      this.accounts[botId] = {
+        botId,
+        initialCapital: this.initialCapital,
+        cash: this.initialCapital,
+        realizedPnl: 0,
+        fees: 0,
+        positions: {},
+      };
+    }
+    return this.accounts[botId];
+  }
+
+  getPosition(botId, symbol) {
+    const account = this.getAccount(botId);
+    if (!account.positions[symbol]) {
+      account.positions[symbol] = {
+        symbol,
+        quantity: 0,
+        avgPrice: 0,
+        markPrice: 0,
+        unrealizedPnl: 0,
+      };
+    }
+    return account.positions[symbol];
+  }
+
+  // Venues with their own fee schedule pass the fee they charged
+  fill(
+    botId,
+    symbol,
+    side,
+    quantity,
+    price,
+    fee = quantity * price * this.feeRate
+  ) {
+    if (!(quantity > 0) || !(price > 0)) {
+      throw new Error(`Invalid fill: ${quantity} ${symbol} @ ${price}`);
+    }
+
+    const account = this.getAccount(botId);
+    const position = this.getPosition(botId, symbol);
+    const signedQuantity = side === "buy" ? quantity : -quantity;
+
+    let closedQuantity = 0;
+    let realizedPnl = -fee;
+
+    if (
+      position.quantity !== 0 &&
+      Math.sign(position.quantity) !== Math.sign(signedQuantity)
+    ) {
+      // Reducing or flipping an existing position realizes P&L on the overlap
+      closedQuantity = Math.min(Math.abs(position.quantity), quantity);
+      realizedPnl +=
+        closedQuantity *
+        (price - position.avgPrice) *
+        Math.sign(position.quantity);
+
+      const remaining = position.quantity + signedQuantity;
+      if (
+        remaining !== 0 &&
+        Math.sign(remaining) !== Math.sign(position.quantity)
+      ) {
+        // Flipped through flat: the excess opens a new position at this price
+        position.avgPrice = price;
+      }
+      position.quantity = remaining;
+    } else {
+      const totalQuantity = Math.abs(position.quantity) + quantity;
+      position.avgPrice =
+        (Math.abs(position.quantity) * position.avgPrice + quantity * price) /
+        totalQuantity;
+      position.quantity += signedQuantity;
+    }
+
+    if (Math.abs(position.quantity) < 1e-12) {
+      position.quantity = 0;
+      position.avgPrice = 0;
+    }
+
+    account.cash -= signedQuantity * price + fee;
+    account.realizedPnl += realizedPnl;
+    account.fees += fee;
+    this.markPosition(position, price);
+
+    return {
+      botId,
+      symbol,
+      side,
+      quantity,
+      price,
+      fee,
+      closedQuantity,
+      realizedPnl,
+      position: { ...position },
+    };
+  }
+
+  markPosition(position, price) {
+    position.markPrice = price;
+    position.unrealizedPnl = position.quantity * (price - position.avgPrice);
+  }
+
+  markToMarket(marketData) {
+    Object.values(this.accounts).forEach((account) => {
+      Object.values(account.positions).forEach((position) => {
+        const quote = marketData[position.symbol];
+        if (quote) this.markPosition(position, quote.price);
+      });
+    });
+  }
+
+  getUnrealizedPnl(botId) {
+    const account = this.getAccount(botId);
+    return Object.values(account.positions).reduce(
+      (sum, position) => sum + position.unrealizedPnl,
+      0
+    );
+  }
+
+  getEquity(botId) {
+    const account = this.getAccount(botId);
+    return Object.values(account.positions).reduce(
+      (sum, position) => sum + position.quantity * position.markPrice,
+      account.cash
+    );
+  }
+
+  // Moves capital between bots. Each side's initialCapital moves with the
+  // cash, so a transfer is not P&L for either.
+  transferCash(fromBotId, toBotId, amount) {
+    const from = this.getAccount(fromBotId);
+    const to = this.getAccount(toBotId);
+    from.cash -= amount;
+    from.initialCapital -= amount;
+    to.cash += amount;
+    to.initialCapital += amount;
+  }
+
+  getTotalPnl(botId) {
+    return this.getEquity(botId) - this.getAccount(botId).initialCapital;
+  }
+
+  getSummary(botId) {
+    const account = this.getAccount(botId);
+    return {
+      cash: account.cash,
+      equity: this.getEquity(botId),
+      realizedPnl: account.realizedPnl,
+      unrealizedPnl: this.getUnrealizedPnl(botId),
+      totalPnl: this.getTotalPnl(botId),
+      fees: account.fees,
+      positions: Object.values(account.positions)
+        .filter((position) => position.quantity !== 0)
+        .map((position) => ({ ...position })),
+    };
+  }
+
+  reset() {
+    this.accounts = {};
+  }
+
+  toJSON() {
+    return { accounts: this.accounts };
+  }
+
+  load(saved) {
+    this.accounts = JSON.parse(JSON.stringify((saved && saved.accounts) || {}));
+  }
+}
@@ -0,0 +1,151 @@
+// Pre-trade risk checks run on every order before it reaches a venue. Each
+// rule reads its limit from settings.preTradeChecks; a limit of 0 or null
+// switches that rule off. The first rule an order fails rejects it. Orders
+// that only shrink an existing position always pass, so a bot can exit.
+const PRE_TRADE_RULES = {
+  circuitBreaker: "Circuit breaker halt",
+  symbolAllowed: "Symbol allow/deny list",
+  maxOrderNotional: "Max notional per order",
+  maxPositionNotional: "Max position per symbol",
+  maxBotGrossExposure: "Max gross exposure per bot",
+  maxFleetGrossExposure: "Max gross exposure for the fleet",
+  maxOrdersPerMinute: "Max orders per minute",
+};
+
+class PreTradeChecks {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    // Accepted order times per bot, for the orders-per-minute rule
+    this.orderTimes = {};
+  }
+
+  get limits() {
+    return this.dataManager.settings.preTradeChecks || {};
+  }
+
+  // Notional of every open position; `extra` adds a hypothetical fill
+  getGrossExposure(botId, extra) {
+    const ledger = this.dataManager.ledger;
+    const positions = { ...ledger.getAccount(botId).positions };
+    if (extra) {
+      const position = positions[extra.symbol] || { quantity: 0 };
+      positions[extra.symbol] = {
+        quantity: position.quantity + extra.quantity,
+        markPrice: extra.price,
+      };
+    }
+
+    return Object.values(positions).reduce(
+      (sum, position) => sum + Math.abs(position.quantity * position.markPrice),
+      0
+    );
+  }
+
+  // Returns null when the order passes, otherwise { rule, reason }
+  check(bot, order, price) {
+    const limits = this.limits;
+    if (!limits.enabled) return null;
+
+    const notional = order.quantity * price;
+    const signedQuantity =
+      order.side === "buy" ? order.quantity : -order.quantity;
+    const position = this.dataManager.ledger.getPosition(bot.id, order.symbol);
+    const newQuantity = position.quantity + signedQuantity;
+    if (Math.abs(newQuantity) <= Math.abs(position.quantity)) return null;
+
+    const reject = (rule, reason) => ({ rule, reason });
+
+    const allowed = limits.allowedSymbols || [];
+    const denied = limits.deniedSymbols || [];
+    if (allowed.length > 0 && !allowed.includes(order.symbol)) {
+      return reject(
+        "symbolAllowed",
+        `${order.symbol} is not on the allow list`
+      );
+    }
+    if (denied.includes(order.symbol)) {
+      return reject("symbolAllowed", `${order.symbol} is on the deny list`);
+    }
+
+    if (limits.maxOrderNotional && notional > limits.maxOrderNotional) {
+      return reject(
+        "maxOrderNotional",
+        `Order notional $${notional.toFixed(2)} exceeds $${
+          limits.maxOrderNotional
+        }`
+      );
+    }
+
+    if (limits.maxPositionNotional) {
+      const positionNotional = Math.abs(newQuantity * price);
+      if (positionNotional > limits.maxPositionNotional) {
+        return reject(
+          "maxPositionNotional",
+          `${order.symbol} position would reach $${positionNotional.toFixed(
+            2
+          )}, limit $${limits.maxPositionNotional}`
+        );
+      }
+    }
+
+    if (limits.maxBotGrossExposure) {
+      const exposure = this.getGrossExposure(bot.id, {
+        symbol: order.symbol,
+        quantity: signedQuantity,
+        price,
+      });
+      if (exposure > limits.maxBotGrossExposure) {
+        return reject(
+          "maxBotGrossExposure",
+          `${bot.name} gross exposure would reach $${exposure.toFixed(
+            2
+          )}, limit $${limits.maxBotGrossExposure}`
+        );
+      }
+    }
+
+    if (limits.maxFleetGrossExposure) {
+      const exposure = this.dataManager.bots.reduce(
+        (sum, b) =>
+          sum +
+          this.getGrossExposure(
+            b.id,
+            b.id === bot.id
+              ? { symbol: order.symbol, quantity: signedQuantity, price }
+              : null
+          ),
+        0
+      );
+      if (exposure > limits.maxFleetGrossExposure) {
+        return reject(
+          "maxFleetGrossExposure",
+          `Fleet gross exposure would reach $${exposure.toFixed(2)}, limit $${
+            limits.maxFleetGrossExposure
+          }`
+        );
+      }
+    }
+
+    if (limits.maxOrdersPerMinute) {
+      const now = this.dataManager.now().getTime();
+      const recent = (this.orderTimes[bot.id] || []).filter(
+        (time) => now - time < 60 * 1000
+      );
+      this.orderTimes[bot.id] = recent;
+      if (recent.length >= limits.maxOrdersPerMinute) {
+        return reject(
+          "maxOrdersPerMinute",
+          `${bot.name} already sent ${recent.length} orders in the last minute`
+        );
+      }
+    }
+
+    return null;
+  }
+
+  // Counts an order that passed towards the orders-per-minute rule
+  recordOrder(bot) {
+    if (!this.orderTimes[bot.id]) this.orderTimes[bot.id] = [];
+    this.orderTimes[bot.id].push(this.dataManager.now().getTime());
+  }
+}
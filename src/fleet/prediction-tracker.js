@@ -0,0 +1,198 @@
+// Keeps AIAgent.predictMarketMove honest. Each prediction is logged with the
+// agent's confidence, a horizon and the price of every symbol when it was
+// made; once the settings.predictions.timeframe candle its horizon ends in
+// has closed it is scored against the realized move, the mean percentage
+// change across those symbols up to that candle's close. A prediction is a
+// hit when its sign matches the realized move's.
+//
+// Calibration buckets scored predictions by the confidence the agent stated
+// and compares it with the hit rate in each bucket: a well calibrated agent
+// is right about 70% of the time when it says 70%. Accuracy over time is the
+// hit rate per bucketMs of horizon ends.
+class PredictionTracker {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  static initialState() {
+    // expired: predictions dropped unscored for want of price history
+    return { pending: [], scored: [], expired: 0, lastPredictionAt: null };
+  }
+
+  get config() {
+    return this.dataManager.settings.predictions;
+  }
+
+  get state() {
+    return this.dataManager.predictionState;
+  }
+
+  // True when the last prediction is at least intervalMs old
+  isDue() {
+    if (!this.state.lastPredictionAt) return true;
+    return (
+      this.dataManager.now().getTime() -
+        new Date(this.state.lastPredictionAt).getTime() >=
+      this.config.intervalMs
+    );
+  }
+
+  record(value, { confidence, horizonMs = this.config.horizonMs }) {
+    const prices = {};
+    Object.entries(this.dataManager.marketData).forEach(([symbol, asset]) => {
+      prices[symbol] = asset.price;
+    });
+    if (Object.keys(prices).length === 0) {
+      throw new Error("Cannot record a prediction without market data");
+    }
+
+    const madeAt = this.dataManager.now();
+    const prediction = {
+      id: madeAt.getTime(),
+      value,
+      confidence,
+      horizonMs,
+      madeAt: madeAt.toISOString(),
+      dueAt: new Date(madeAt.getTime() + horizonMs).toISOString(),
+      prices,
+    };
+    this.state.pending.push(prediction);
+    this.state.lastPredictionAt = prediction.madeAt;
+    this.dataManager.saveData();
+    return prediction;
+  }
+
+  // When the candle the prediction's horizon ends in closes
+  closesAt(prediction) {
+    const size = CANDLE_TIMEFRAMES[this.config.timeframe];
+    const dueAt = new Date(prediction.dueAt).getTime();
+    return Math.floor(dueAt / size) * size + size;
+  }
+
+  // Percentage move from the prediction's prices to the close of the candle
+  // its horizon ends in, or null if a symbol has no candle there
+  realizedMove(prediction) {
+    const { timeframe } = this.config;
+    const size = CANDLE_TIMEFRAMES[timeframe];
+    const dueAt = new Date(prediction.dueAt).getTime();
+    const moves = [];
+
+    for (const [symbol, price] of Object.entries(prediction.prices)) {
+      const candles = this.dataManager.getCandles(
+        symbol,
+        timeframe,
+        dueAt - size,
+        dueAt
+      );
+      const candle = candles[candles.length - 1];
+      if (!candle) return null;
+      moves.push((candle.close / price - 1) * 100);
+    }
+    return RiskAnalytics.mean(moves);
+  }
+
+  // Scores every prediction whose horizon's candle has closed; returns the
+  // newly scored ones
+  score() {
+    const now = this.dataManager.now().getTime();
+    const scored = [];
+    const pending = [];
+
+    this.state.pending.forEach((prediction) => {
+      if (this.closesAt(prediction) > now) {
+        pending.push(prediction);
+        return;
+      }
+      const realized = this.realizedMove(prediction);
+      if (realized === null) {
+        this.state.expired++;
+        return;
+      }
+      scored.push({
+        ...prediction,
+        realized,
+        hit: Math.sign(prediction.value) === Math.sign(realized),
+        scoredAt: new Date(now).toISOString(),
+      });
+    });
+
+    if (scored.length === 0 && pending.length === this.state.pending.length) {
+      return scored;
+    }
+    this.state.pending = pending;
+    this.state.scored = this.state.scored
+      .concat(scored)
+      .slice(-this.config.maxScored);
+    this.dataManager.saveData();
+    return scored;
+  }
+
+  static summarize(predictions) {
+    if (predictions.length === 0) {
+      return { count: 0, hitRate: null, confidence: null };
+    }
+    return {
+      count: predictions.length,
+      hitRate:
+        (predictions.filter((p) => p.hit).length / predictions.length) * 100,
+      confidence: RiskAnalytics.mean(predictions.map((p) => p.confidence)),
+    };
+  }
+
+  // [{ from, to, count, hitRate, confidence }] over equal confidence ranges
+  // from 0 to 100
+  getCalibration(predictions = this.state.scored) {
+    const bins = this.config.calibrationBins;
+    const width = 100 / bins;
+    return Array.from({ length: bins }, (_, i) => {
+      const from = i * width;
+      const to = from + width;
+      const inBin = predictions.filter(
+        (p) =>
+          p.confidence >= from &&
+          (p.confidence < to || (i === bins - 1 && p.confidence <= to))
+      );
+      return { from, to, ...PredictionTracker.summarize(inBin) };
+    });
+  }
+
+  // [{ time, count, hitRate, confidence }] per bucketMs, oldest first
+  getAccuracyHistory(predictions = this.state.scored) {
+    const { bucketMs } = this.config;
+    const buckets = new Map();
+    predictions.forEach((prediction) => {
+      const time =
+        Math.floor(new Date(prediction.dueAt).getTime() / bucketMs) * bucketMs;
+      if (!buckets.has(time)) buckets.set(time, []);
+      buckets.get(time).push(prediction);
+    });
+
+    return Array.from(buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([time, inBucket]) => ({
+        time: new Date(time).toISOString(),
+        ...PredictionTracker.summarize(inBucket),
+      }));
+  }
+
+  getReport() {
+    const scored = this.state.scored;
+    // Mean squared gap between stated confidence and outcome; lower is better
+    const brierScore =
+      scored.length > 0
+        ? RiskAnalytics.mean(
+            scored.map((p) => Math.pow(p.confidence / 100 - (p.hit ? 1 : 0), 2))
+          )
+        : null;
+
+    return {
+      ...PredictionTracker.summarize(scored),
+      pending: this.state.pending.length,
+      expired: this.state.expired,
+      brierScore,
+      horizonMs: this.config.horizonMs,
+      calibration: this.getCalibration(scored),
+      history: this.getAccuracyHistory(scored),
+    };
+  }
+}
@@ -0,0 +1,174 @@
+// Market regime from rolling price history. A hidden Markov model with one
+// state per MARKET_REGIMES entry is filtered (forward algorithm) over the
+// market's average log return per candle: the last `lookback` closed candles
+// of settings.regimeDetection.timeframe across every recorded symbol.
+//
+// Each regime emits returns from a normal distribution whose mean and
+// standard deviation are `drift` and `volatility` multiples of the window's
+// own return volatility, so the model adapts to how volatile the market is;
+// bull regimes pair drift with calm, bear regimes with turbulence (volatility
+// clustering). A regime carries over to the next candle with stayProbability,
+// which is what keeps the likeliest regime from flickering candle to candle.
+//
+// The reported regime is the likeliest one after the latest candle; its
+// duration runs from the candle it became the likeliest, or from the start of
+// the window.
+const DEFAULT_REGIME_MODEL = {
+  strong_bull: { drift: 0.5, volatility: 0.8 },
+  bull: { drift: 0.2, volatility: 0.9 },
+  neutral: { drift: 0, volatility: 1 },
+  bear: { drift: -0.2, volatility: 1.2 },
+  strong_bear: { drift: -0.5, volatility: 1.6 },
+};
+
+class RegimeDetector {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    // Last detection, reused until a new candle closes
+    this.cache = null;
+  }
+
+  get config() {
+    return this.dataManager.settings.regimeDetection;
+  }
+
+  static uniform() {
+    const probabilities = {};
+    MARKET_REGIMES.forEach((regime) => {
+      probabilities[regime] = 1 / MARKET_REGIMES.length;
+    });
+    return probabilities;
+  }
+
+  static normalLogPdf(x, mean, sd) {
+    const z = (x - mean) / sd;
+    return -0.5 * z * z - Math.log(sd * Math.sqrt(2 * Math.PI));
+  }
+
+  // [{ time, value }]: mean log return across symbols per closed candle,
+  // stamped with the candle's close time
+  getObservations() {
+    const { timeframe, lookback } = this.config;
+    const size = CANDLE_TIMEFRAMES[timeframe];
+    const returns = new Map();
+
+    this.dataManager.candleStore.getSymbols().forEach((symbol) => {
+      const candles = this.dataManager
+        .getCandles(symbol, timeframe)
+        .slice(0, -1)
+        .slice(-(lookback + 1));
+      for (let i = 1; i < candles.length; i++) {
+        if (candles[i].time - candles[i - 1].time !== size) continue;
+        const time = candles[i].time + size;
+        if (!returns.has(time)) returns.set(time, []);
+        returns
+          .get(time)
+          .push(Math.log(candles[i].close / candles[i - 1].close));
+      }
+    });
+
+    return Array.from(returns.entries())
+      .sort(([a], [b]) => a - b)
+      .slice(-lookback)
+      .map(([time, values]) => ({ time, value: RiskAnalytics.mean(values) }));
+  }
+
+  // Probability of each regime after each observation
+  filter(observations) {
+    const { stayProbability, model } = this.config;
+    const sd = RiskAnalytics.stdDev(observations.map((o) => o.value));
+    const moveProbability = (1 - stayProbability) / (MARKET_REGIMES.length - 1);
+
+    let probabilities = RegimeDetector.uniform();
+    return observations.map(({ value }) => {
+      // Predict: regimes persist or switch evenly to any other
+      const prior = {};
+      MARKET_REGIMES.forEach((to) => {
+        prior[to] = MARKET_REGIMES.reduce(
+          (sum, from) =>
+            sum +
+            probabilities[from] *
+              (from === to ? stayProbability : moveProbability),
+          0
+        );
+      });
+
+      // Update on the observation, in log space to avoid underflow
+      const logLikelihood = {};
+      MARKET_REGIMES.forEach((regime) => {
+        const params = model[regime] || DEFAULT_REGIME_MODEL[regime];
+        logLikelihood[regime] = RegimeDetector.normalLogPdf(
+          value,
+          params.drift * sd,
+          params.volatility * sd
+        );
+      });
+      const max = Math.max(...Object.values(logLikelihood));
+      let total = 0;
+      const posterior = {};
+      MARKET_REGIMES.forEach((regime) => {
+        posterior[regime] =
+          prior[regime] * Math.exp(logLikelihood[regime] - max);
+        total += posterior[regime];
+      });
+      MARKET_REGIMES.forEach((regime) => {
+        posterior[regime] /= total;
+      });
+
+      probabilities = posterior;
+      return posterior;
+    });
+  }
+
+  // { regime, probabilities, since, durationMs, observations, volatility };
+  // regime is null until minObservations candles have closed
+  detect() {
+    const observations = this.getObservations();
+    const last = observations[observations.length - 1];
+    const key = last ? `${last.time}:${observations.length}` : "";
+    if (this.cache && this.cache.key === key) {
+      return this.withDuration(this.cache.detection);
+    }
+
+    const volatility = RiskAnalytics.stdDev(observations.map((o) => o.value));
+    let detection = {
+      regime: null,
+      probabilities: RegimeDetector.uniform(),
+      since: null,
+      observations: observations.length,
+      volatility,
+    };
+
+    if (observations.length >= this.config.minObservations && volatility > 0) {
+      const path = this.filter(observations);
+      const likeliest = (probabilities) =>
+        MARKET_REGIMES.reduce((best, regime) =>
+          probabilities[regime] > probabilities[best] ? regime : best
+        );
+
+      const regime = likeliest(path[path.length - 1]);
+      let start = path.length - 1;
+      while (start > 0 && likeliest(path[start - 1]) === regime) start--;
+      const since = observations[start].time;
+
+      detection = {
+        ...detection,
+        regime,
+        probabilities: path[path.length - 1],
+        since: new Date(since).toISOString(),
+      };
+    }
+
+    this.cache = { key, detection };
+    return this.withDuration(detection);
+  }
+
+  withDuration(detection) {
+    return {
+      ...detection,
+      durationMs: detection.since
+        ? this.dataManager.now().getTime() - new Date(detection.since).getTime()
+        : 0,
+    };
+  }
+}
@@ -0,0 +1,402 @@
+// What the fleet does when the market regime (RegimeDetector) changes.
+// settings.playbook maps each regime to a list of actions, run once when the
+// regime is entered:
+//   { type: "adjust_risk", delta, botTypes? }        shift riskLevel (0.1-0.9)
+//   { type: "disable_bots", botTypes }               stop active bots
+//   { type: "enable_bots", botTypes }                start stopped bots
+//   { type: "shift_allocation", multipliers }        scale capital weights by
+//                                                    bot type, e.g.
+//                                                    { momentum: 1.25 }
+//   { type: "hedge", botType, symbol, hedgeRatio }   have the first bot of
+//                                                    botType (or the bot
+//                                                    botId) short symbol
+//                                                    worth hedgeRatio of the
+//                                                    fleet's net long exposure
+// Leaving a regime undoes its allocation shifts and hedges, and restarts bots
+// it disabled. Omitted botTypes means every bot.
+const MARKET_REGIMES = [
+  "strong_bull",
+  "bull",
+  "neutral",
+  "bear",
+  "strong_bear",
+];
+
+const PLAYBOOK_ACTIONS = {
+  adjust_risk: "Adjust risk",
+  disable_bots: "Disable bots",
+  enable_bots: "Enable bots",
+  shift_allocation: "Shift allocation",
+  hedge: "Hedge",
+};
+
+const DEFAULT_PLAYBOOK = {
+  strong_bull: [
+    { type: "adjust_risk", delta: 0.1 },
+    { type: "shift_allocation", multipliers: { momentum: 1.25 } },
+  ],
+  bull: [
+    { type: "adjust_risk", delta: 0.05 },
+    { type: "shift_allocation", multipliers: { momentum: 1.1 } },
+  ],
+  neutral: [],
+  bear: [
+    { type: "adjust_risk", delta: -0.15 },
+    {
+      type: "shift_allocation",
+      multipliers: { momentum: 0.75, scalping: 0.75 },
+    },
+  ],
+  strong_bear: [
+    { type: "adjust_risk", delta: -0.2 },
+    { type: "disable_bots", botTypes: ["momentum"] },
+    {
+      type: "hedge",
+      botType: "ai_adaptive",
+      symbol: "BTC/USD",
+      hedgeRatio: 0.5,
+    },
+  ],
+};
+
+class RegimePlaybook {
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    // riskLevel changes go through the approval queue
+    this.approvals = options.approvals || new ApprovalQueue(dataManager);
+    this.listeners = [];
+    this.playbook = this.load();
+  }
+
+  static initialState() {
+    // disabled: ids of bots the current regime stopped
+    return { regime: null, since: null, disabled: [] };
+  }
+
+  // Throws on the first problem, naming where it is
+  static validate(playbook) {
+    if (!playbook || typeof playbook !== "object" || Array.isArray(playbook)) {
+      throw new Error("Playbook must be an object keyed by regime");
+    }
+
+    Object.entries(playbook).forEach(([regime, actions]) => {
+      if (!MARKET_REGIMES.includes(regime)) {
+        throw new Error(`Unknown regime "${regime}"`);
+      }
+      if (!Array.isArray(actions)) {
+        throw new Error(`${regime}: actions must be a list`);
+      }
+
+      actions.forEach((action, i) => {
+        const where = `${regime}[${i}]`;
+        const isNumber = (value) =>
+          typeof value === "number" && Number.isFinite(value);
+        const isTypeList = (value) =>
+          Array.isArray(value) &&
+          value.every((type) => typeof type === "string");
+
+        if (!action || !PLAYBOOK_ACTIONS[action.type]) {
+          throw new Error(
+            `${where}: unknown action type "${action && action.type}"`
+          );
+        }
+        if (action.botTypes !== undefined && !isTypeList(action.botTypes)) {
+          throw new Error(`${where}: botTypes must be a list of bot types`);
+        }
+
+        switch (action.type) {
+          case "adjust_risk":
+            if (!isNumber(action.delta) || Math.abs(action.delta) > 1) {
+              throw new Error(`${where}: delta must be a number from -1 to 1`);
+            }
+            break;
+          case "disable_bots":
+          case "enable_bots":
+            if (!isTypeList(action.botTypes) || action.botTypes.length === 0) {
+              throw new Error(`${where}: botTypes is required`);
+            }
+            break;
+          case "shift_allocation": {
+            const multipliers = action.multipliers;
+            if (
+              !multipliers ||
+              typeof multipliers !== "object" ||
+              !Object.values(multipliers).every((m) => isNumber(m) && m >= 0)
+            ) {
+              throw new Error(
+                `${where}: multipliers must map bot types to numbers >= 0`
+              );
+            }
+            break;
+          }
+          case "hedge":
+            if (
+              (action.botId === undefined) ===
+              (action.botType === undefined)
+            ) {
+              throw new Error(`${where}: give either botType or botId`);
+            }
+            if (action.botId !== undefined && !Number.isInteger(action.botId)) {
+              throw new Error(`${where}: botId must be a bot id`);
+            }
+            if (
+              action.botType !== undefined &&
+              typeof action.botType !== "string"
+            ) {
+              throw new Error(`${where}: botType must be a bot type`);
+            }
+            if (typeof action.symbol !== "string") {
+              throw new Error(`${where}: symbol is required`);
+            }
+            if (
+              !isNumber(action.hedgeRatio) ||
+              action.hedgeRatio < 0 ||
+              action.hedgeRatio > 1
+            ) {
+              throw new Error(`${where}: hedgeRatio must be from 0 to 1`);
+            }
+            break;
+        }
+      });
+    });
+    return playbook;
+  }
+
+  // An invalid saved playbook is logged and replaced by the default. A
+  // regime the playbook leaves out has no actions.
+  load() {
+    const saved = this.dataManager.settings.playbook;
+    try {
+      return RegimePlaybook.validate(saved);
+    } catch (error) {
+      this.log(
+        `Invalid playbook in settings, using the default: ${error.message}`
+      );
+      return DEFAULT_PLAYBOOK;
+    }
+  }
+
+  setPlaybook(playbook) {
+    RegimePlaybook.validate(playbook);
+    this.dataManager.settings.playbook = playbook;
+    this.playbook = playbook;
+    this.dataManager.saveData();
+  }
+
+  get state() {
+    return this.dataManager.playbookState;
+  }
+
+  // Actions the engine carries out: enable/disable bots, rebalance, hedge
+  onAction(callback) {
+    this.listeners.push(callback);
+  }
+
+  emit(action) {
+    this.listeners.forEach((callback) => callback(action));
+  }
+
+  getBots(botTypes) {
+    return this.dataManager.bots.filter(
+      (bot) => !botTypes || botTypes.includes(bot.type)
+    );
+  }
+
+  // The bot a hedge action names, or null if there is no bot of its type
+  getHedgeBotId(action) {
+    if (action.botId !== undefined) return action.botId;
+    const [bot] = this.getBots([action.botType]);
+    return bot ? bot.id : null;
+  }
+
+  // Runs the playbook when the regime changes; returns true if it did.
+  // `inputs` are what the regime was detected from, for the decision log.
+  update(regime, inputs = {}) {
+    const previous = this.state.regime;
+    if (regime === previous) return false;
+
+    const actions = this.playbook[regime] || [];
+    const previousActions = (previous && this.playbook[previous]) || [];
+
+    // Undo what the last regime set up and this one does not keep
+    const hedges = (list) =>
+      list
+        .filter((action) => action.type === "hedge")
+        .map((action) => ({ ...action, botId: this.getHedgeBotId(action) }))
+        .filter((action) => action.botId !== null);
+    const keptHedges = hedges(actions);
+    hedges(previousActions)
+      .filter(
+        (action) =>
+          !keptHedges.some(
+            (kept) =>
+              kept.botId === action.botId && kept.symbol === action.symbol
+          )
+      )
+      .forEach((action) => this.emit({ ...action, hedgeRatio: 0 }));
+
+    const stillDisabled = new Set(
+      actions
+        .filter((action) => action.type === "disable_bots")
+        .flatMap((action) => this.getBots(action.botTypes))
+        .map((bot) => bot.id)
+    );
+    const restart = this.state.disabled.filter((id) => !stillDisabled.has(id));
+
+    Object.assign(this.state, {
+      regime,
+      since: this.dataManager.now().toISOString(),
+      disabled: this.state.disabled.filter((id) => stillDisabled.has(id)),
+    });
+    this.dataManager.allocationState.tilts = {};
+
+    this.approvals.withdraw(
+      (proposal) => proposal.action === "playbook",
+      `regime changed to ${regime}`
+    );
+
+    const botIds = new Set(restart);
+    if (restart.length > 0) {
+      this.emit({ type: "enable_bots", botIds: restart });
+    }
+    const results = actions.map((action) => {
+      const applied = this.apply(action);
+      applied.botIds.forEach((id) => botIds.add(id));
+      return { action, ...applied };
+    });
+    const changes = results.flatMap((result) => result.changes);
+
+    const shifts = (list) =>
+      list.some((action) => action.type === "shift_allocation");
+    if (shifts(previousActions) && !shifts(actions)) {
+      this.emit({ type: "shift_allocation", multipliers: {} });
+    }
+
+    this.dataManager.addAIDecision({
+      type: "regime",
+      message: `Regime changed ${previous || "none"} -> ${regime}: ${
+        results.length > 0
+          ? results
+              .map(
+                ({ action, pending }) =>
+                  `${this.describe(action)}${
+                    pending ? " (awaiting approval)" : ""
+                  }`
+              )
+              .join("; ")
+          : "no actions"
+      }`,
+      confidence: 100,
+      inputs: { ...inputs, previousRegime: previous },
+      rule: `playbook: ${regime}`,
+      changes,
+      botIds: Array.from(botIds),
+    });
+    this.dataManager.saveData();
+    return true;
+  }
+
+  // Returns the bot field changes it made and the bots it affected;
+  // pending is true when the changes wait for approval instead
+  apply(action) {
+    switch (action.type) {
+      case "adjust_risk": {
+        const bots = this.getBots(action.botTypes);
+        const changes = bots.flatMap((bot) =>
+          this.dataManager.diffBot(bot.id, {
+            riskLevel: Math.max(
+              0.1,
+              Math.min(0.9, bot.riskLevel + action.delta)
+            ),
+          })
+        );
+        const { status } = this.approvals.submit({
+          action: "playbook",
+          key: `playbook:${this.state.regime}:${this.describe(action)}`,
+          message: `${this.describe(action)} on entering ${this.state.regime}`,
+          rule: `playbook: ${this.state.regime}`,
+          changes,
+        });
+        return {
+          changes: status === "applied" ? changes : [],
+          botIds: bots.map((bot) => bot.id),
+          pending: status !== "applied",
+        };
+      }
+      case "disable_bots": {
+        const botIds = this.getBots(action.botTypes)
+          .filter((bot) => bot.status === "active")
+          .map((bot) => bot.id);
+        this.state.disabled.push(
+          ...botIds.filter((id) => !this.state.disabled.includes(id))
+        );
+        this.emit({ type: "disable_bots", botIds });
+        return { changes: [], botIds };
+      }
+      case "enable_bots": {
+        const botIds = this.getBots(action.botTypes).map((bot) => bot.id);
+        this.emit({ type: "enable_bots", botIds });
+        return { changes: [], botIds };
+      }
+      case "shift_allocation":
+        Object.assign(
+          this.dataManager.allocationState.tilts,
+          action.multipliers
+        );
+        this.emit(action);
+        return {
+          changes: [],
+          botIds: this.getBots(Object.keys(action.multipliers)).map(
+            (bot) => bot.id
+          ),
+        };
+      case "hedge": {
+        const botId = this.getHedgeBotId(action);
+        if (botId === null) {
+          this.log(`Hedge skipped: no ${action.botType} bot`);
+          return { changes: [], botIds: [] };
+        }
+        this.emit({ ...action, botId });
+        return { changes: [], botIds: [botId] };
+      }
+      default:
+        return { changes: [], botIds: [] };
+    }
+  }
+
+  describe(action) {
+    switch (action.type) {
+      case "adjust_risk":
+        return `risk ${action.delta >= 0 ? "+" : ""}${action.delta} for ${
+          action.botTypes ? action.botTypes.join(", ") : "all bots"
+        }`;
+      case "disable_bots":
+      case "enable_bots":
+        return `${PLAYBOOK_ACTIONS[
+          action.type
+        ].toLowerCase()} ${action.botTypes.join(", ")}`;
+      case "shift_allocation":
+        return `allocation ${Object.entries(action.multipliers)
+          .map(([type, multiplier]) => `${type} x${multiplier}`)
+          .join(", ")}`;
+      case "hedge":
+        return `hedge ${(action.hedgeRatio * 100).toFixed(
+          0
+        )}% of net long with ${action.symbol} (${
+          action.botId !== undefined
+            ? `bot ${action.botId}`
+            : `${action.botType} bot`
+        })`;
+      default:
+        return action.type;
+    }
+  }
+
+  log(message) {
+    this.dataManager.addAIDecision({
+      type: "regime",
+      message,
+      confidence: 100,
+    });
+  }
+}
@@ -0,0 +1,244 @@
+// Portfolio risk from trade history. Realized P&L of closing trades is
+// bucketed into fixed intervals (settings.riskAnalytics.bucketMs) to build
+// return series per bot and per symbol; from those come a pairwise
+// correlation matrix and historical and parametric (normal) VaR/CVaR for the
+// fleet at each of settings.riskAnalytics.confidenceLevels.
+//
+// VaR and CVaR are reported as positive dollar losses over one bucket.
+class RiskAnalytics {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  get config() {
+    return this.dataManager.settings.riskAnalytics;
+  }
+
+  // Standard normal density and quantile (Acklam's rational approximation)
+  static normalPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  }
+
+  static normalQuantile(p) {
+    const a = [
+      -39.6968302866538, 220.946098424521, -275.928510446969, 138.357751867269,
+      -30.6647980661472, 2.50662827745924,
+    ];
+    const b = [
+      -54.4760987982241, 161.585836858041, -155.698979859887, 66.8013118877197,
+      -13.2806815528857,
+    ];
+    const c = [
+      -0.00778489400243029, -0.322396458041136, -2.40075827716184,
+      -2.54973253934373, 4.37466414146497, 2.93816398269878,
+    ];
+    const d = [
+      0.00778469570904146, 0.32246712907004, 2.445134137143, 3.75440866190742,
+    ];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (
+        (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+      );
+    }
+    if (p > 1 - low) return -RiskAnalytics.normalQuantile(1 - p);
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+        q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+    );
+  }
+
+  static mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  static stdDev(values) {
+    if (values.length < 2) return 0;
+    const mean = RiskAnalytics.mean(values);
+    return Math.sqrt(
+      values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) /
+        (values.length - 1)
+    );
+  }
+
+  static correlation(a, b) {
+    const meanA = RiskAnalytics.mean(a);
+    const meanB = RiskAnalytics.mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) * (a[i] - meanA);
+      varianceB += (b[i] - meanB) * (b[i] - meanB);
+    }
+    if (varianceA === 0 || varianceB === 0) return 0;
+    return covariance / Math.sqrt(varianceA * varianceB);
+  }
+
+  getClosingTrades() {
+    return this.dataManager.tradingHistory.filter(
+      (trade) => trade.closedQuantity !== 0
+    );
+  }
+
+  // { key: [return per bucket] } over a shared, gap-free bucket range.
+  // `capital` converts a key's bucket P&L into a return.
+  buildSeries(keyOf, keys, capital) {
+    const { bucketMs } = this.config;
+    const trades = this.getClosingTrades();
+    const series = {};
+    keys.forEach((key) => {
+      series[key] = [];
+    });
+    if (trades.length === 0) return series;
+
+    const times = trades.map((trade) => new Date(trade.timestamp).getTime());
+    const first = Math.floor(Math.min(...times) / bucketMs);
+    const last = Math.floor(Math.max(...times) / bucketMs);
+    keys.forEach((key) => {
+      series[key] = new Array(last - first + 1).fill(0);
+    });
+
+    trades.forEach((trade, i) => {
+      const key = keyOf(trade);
+      if (!series[key]) return;
+      series[key][Math.floor(times[i] / bucketMs) - first] +=
+        trade.profit / capital(key);
+    });
+    return series;
+  }
+
+  getBotReturns() {
+    const ledger = this.dataManager.ledger;
+    return this.buildSeries(
+      (trade) => trade.botId,
+      this.dataManager.bots.map((bot) => bot.id),
+      (botId) => ledger.getAccount(botId).initialCapital
+    );
+  }
+
+  getSymbolReturns() {
+    const symbols = Array.from(
+      new Set(this.getClosingTrades().map((trade) => trade.symbol))
+    );
+    const fleetCapital = this.getFleetCapital();
+    return this.buildSeries(
+      (trade) => trade.symbol,
+      symbols,
+      () => fleetCapital
+    );
+  }
+
+  getFleetCapital() {
+    const ledger = this.dataManager.ledger;
+    return this.dataManager.bots.reduce(
+      (sum, bot) => sum + ledger.getAccount(bot.id).initialCapital,
+      0
+    );
+  }
+
+  // Fleet return per bucket: every bot's P&L over the whole fleet's capital
+  getFleetReturns() {
+    const fleetCapital = this.getFleetCapital();
+    return this.buildSeries(
+      () => "fleet",
+      ["fleet"],
+      () => fleetCapital
+    ).fleet;
+  }
+
+  correlationMatrix(series, labelOf = (key) => key) {
+    const keys = Object.keys(series);
+    return {
+      labels: keys.map(labelOf),
+      matrix: keys.map((a) =>
+        keys.map((b) =>
+          a === b ? 1 : RiskAnalytics.correlation(series[a], series[b])
+        )
+      ),
+    };
+  }
+
+  getBotCorrelations() {
+    const names = {};
+    this.dataManager.bots.forEach((bot) => {
+      names[bot.id] = bot.name;
+    });
+    return this.correlationMatrix(this.getBotReturns(), (id) => names[id]);
+  }
+
+  getSymbolCorrelations() {
+    return this.correlationMatrix(this.getSymbolReturns());
+  }
+
+  // Mean absolute correlation between distinct pairs
+  getAverageCorrelation(correlations = this.getBotCorrelations()) {
+    const { matrix } = correlations;
+    const pairs = [];
+    for (let i = 0; i < matrix.length; i++) {
+      for (let j = i + 1; j < matrix.length; j++) {
+        pairs.push(Math.abs(matrix[i][j]));
+      }
+    }
+    return pairs.length > 0 ? RiskAnalytics.mean(pairs) : 0;
+  }
+
+  historicalVaR(returns, confidence) {
+    const sorted = returns.slice().sort((a, b) => a - b);
+    const index = Math.floor((1 - confidence) * sorted.length);
+    const tail = sorted.slice(0, index + 1);
+    return {
+      var: -sorted[index],
+      cvar: -RiskAnalytics.mean(tail),
+    };
+  }
+
+  parametricVaR(returns, confidence) {
+    const mean = RiskAnalytics.mean(returns);
+    const sd = RiskAnalytics.stdDev(returns);
+    const z = RiskAnalytics.normalQuantile(1 - confidence);
+    return {
+      var: -(mean + z * sd),
+      cvar: -(mean - (sd * RiskAnalytics.normalPdf(z)) / (1 - confidence)),
+    };
+  }
+
+  getValueAtRisk() {
+    const returns = this.getFleetReturns();
+    const capital = this.getFleetCapital();
+    if (returns.length < 2) return [];
+
+    return this.config.confidenceLevels.map((confidence) => {
+      const historical = this.historicalVaR(returns, confidence);
+      const parametric = this.parametricVaR(returns, confidence);
+      return {
+        confidence,
+        historicalVaR: historical.var * capital,
+        historicalCVaR: historical.cvar * capital,
+        parametricVaR: parametric.var * capital,
+        parametricCVaR: parametric.cvar * capital,
+      };
+    });
+  }
+
+  getReport() {
+    const botCorrelations = this.getBotCorrelations();
+    return {
+      bucketMs: this.config.bucketMs,
+      observations: this.getFleetReturns().length,
+      valueAtRisk: this.getValueAtRisk(),
+      botCorrelations,
+      symbolCorrelations: this.getSymbolCorrelations(),
+      averageCorrelation: this.getAverageCorrelation(botCorrelations),
+    };
+  }
+}
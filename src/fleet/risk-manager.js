@@ -0,0 +1,248 @@
+// Enforces settings.maxDrawdown and settings.dailyTarget. Equity peaks are
+// tracked per bot and for the whole fleet; a bot whose drawdown from its peak
+// passes maxDrawdown is paused, and a fleet-wide breach pauses every active
+// bot. Reaching dailyTarget either de-risks (smaller orders) or stops the
+// fleet for the day, per settings.dailyTargetAction.
+//
+// Paused bots resume at the next session boundary, i.e. the first check on
+// a new trading day (UTC), with peaks and the day's starting equity reset.
+// While the engine is stopped they stay paused until it is started again.
+class RiskManager {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  static initialState() {
+    return {
+      day: null,
+      dayStartEquity: 0,
+      fleetPeak: 0,
+      peaks: {},
+      paused: {},
+      targetReached: false,
+      derisked: false,
+    };
+  }
+
+  get settings() {
+    return this.dataManager.settings;
+  }
+
+  get state() {
+    return this.dataManager.riskState;
+  }
+
+  getTradingDay() {
+    return this.dataManager.now().toISOString().slice(0, 10);
+  }
+
+  getFleetEquity() {
+    return this.dataManager.bots.reduce(
+      (sum, bot) => sum + this.dataManager.ledger.getEquity(bot.id),
+      0
+    );
+  }
+
+  // Orders are scaled down once the day's target is banked in de-risk mode
+  getSizeMultiplier() {
+    return this.state.derisked ? 0.5 : 1;
+  }
+
+  isPaused(botId) {
+    return Boolean(this.state.paused[botId]);
+  }
+
+  // Returns the ids of bots paused by this check, so the caller can pull
+  // their resting orders
+  check(running = true) {
+    const day = this.getTradingDay();
+    if (this.state.day !== day) this.startDay(day, running);
+    if (!this.settings.riskManagement) return [];
+
+    const paused = [];
+    const ledger = this.dataManager.ledger;
+
+    this.dataManager.bots.forEach((bot) => {
+      const equity = ledger.getEquity(bot.id);
+      const peak = Math.max(this.state.peaks[bot.id] || equity, equity);
+      this.state.peaks[bot.id] = peak;
+
+      const drawdown = (peak - equity) / peak;
+      if (bot.status === "active" && drawdown > this.settings.maxDrawdown) {
+        this.pause(
+          bot,
+          `drawdown ${(drawdown * 100).toFixed(1)}% exceeds the ${(
+            this.settings.maxDrawdown * 100
+          ).toFixed(1)}% limit`,
+          "drawdown",
+          { equity, peak, drawdown, maxDrawdown: this.settings.maxDrawdown }
+        );
+        paused.push(bot.id);
+      }
+    });
+
+    const fleetEquity = this.getFleetEquity();
+    const fleetPeak = Math.max(
+      this.state.fleetPeak || fleetEquity,
+      fleetEquity
+    );
+    this.state.fleetPeak = fleetPeak;
+    const fleetDrawdown = (fleetPeak - fleetEquity) / fleetPeak;
+
+    if (fleetDrawdown > this.settings.maxDrawdown) {
+      paused.push(
+        ...this.pauseAll(
+          `fleet drawdown ${(fleetDrawdown * 100).toFixed(1)}% exceeds the ${(
+            this.settings.maxDrawdown * 100
+          ).toFixed(1)}% limit`,
+          "drawdown",
+          {
+            fleetEquity,
+            fleetPeak,
+            fleetDrawdown,
+            maxDrawdown: this.settings.maxDrawdown,
+          }
+        )
+      );
+    }
+
+    const dailyReturn =
+      (fleetEquity - this.state.dayStartEquity) / this.state.dayStartEquity;
+    if (dailyReturn >= this.settings.dailyTarget && !this.state.targetReached) {
+      this.state.targetReached = true;
+      paused.push(...this.onDailyTarget(dailyReturn));
+    }
+
+    this.dataManager.saveData();
+    return paused;
+  }
+
+  onDailyTarget(dailyReturn) {
+    const reached = `Daily target reached: fleet up ${(
+      dailyReturn * 100
+    ).toFixed(2)}%`;
+    const inputs = { dailyReturn, dailyTarget: this.settings.dailyTarget };
+
+    switch (this.settings.dailyTargetAction) {
+      case "stop":
+        return this.pauseAll(
+          `${reached}, stopping for the day`,
+          "target",
+          inputs
+        );
+      case "derisk":
+        this.state.derisked = true;
+        this.log(`${reached}. Order sizes halved for the rest of the day`, {
+          inputs,
+          rule: "daily target: derisk",
+        });
+        return [];
+      default:
+        this.log(reached, { inputs, rule: "daily target" });
+        return [];
+    }
+  }
+
+  pause(bot, reason, kind = "drawdown", inputs = {}) {
+    this.state.paused[bot.id] = {
+      kind,
+      reason,
+      since: this.dataManager.now().toISOString(),
+    };
+    const changes = this.dataManager.diffBot(bot.id, { status: "paused" });
+    this.dataManager.updateBot(bot.id, { status: "paused" });
+    this.log(`${bot.name} paused: ${reason}`, {
+      inputs,
+      rule: `${kind} limit`,
+      changes,
+      botIds: [bot.id],
+    });
+  }
+
+  pauseAll(reason, kind = "drawdown", inputs = {}) {
+    const active = this.dataManager.bots.filter(
+      (bot) => bot.status === "active"
+    );
+    const changes = [];
+    active.forEach((bot) => {
+      this.state.paused[bot.id] = {
+        kind,
+        reason,
+        since: this.dataManager.now().toISOString(),
+      };
+      changes.push(...this.dataManager.diffBot(bot.id, { status: "paused" }));
+      this.dataManager.updateBot(bot.id, { status: "paused" });
+    });
+
+    if (active.length > 0) {
+      this.log(`${active.length} bot(s) paused: ${reason}`, {
+        inputs,
+        rule: `fleet ${kind} limit`,
+        changes,
+        botIds: active.map((bot) => bot.id),
+      });
+    }
+    return active.map((bot) => bot.id);
+  }
+
+  // New trading day: reset peaks to current equity and, if the engine is
+  // running, resume paused bots
+  startDay(day, running = true) {
+    const isFirstDay = !this.state.day;
+    const ledger = this.dataManager.ledger;
+
+    this.state.day = day;
+    this.state.dayStartEquity = this.getFleetEquity();
+    this.state.fleetPeak = this.state.dayStartEquity;
+    this.state.targetReached = false;
+    this.state.derisked = false;
+    this.dataManager.bots.forEach((bot) => {
+      this.state.peaks[bot.id] = ledger.getEquity(bot.id);
+    });
+
+    if (!running) return;
+
+    const resumed = this.dataManager.bots.filter(
+      (bot) => bot.status === "paused" && this.state.paused[bot.id]
+    );
+    const changes = [];
+    resumed.forEach((bot) => {
+      changes.push(...this.dataManager.diffBot(bot.id, { status: "active" }));
+      this.dataManager.updateBot(bot.id, { status: "active" });
+    });
+    this.state.paused = {};
+
+    if (!isFirstDay && resumed.length > 0) {
+      this.log(
+        `New session ${day}: resumed ${resumed.map((b) => b.name).join(", ")}`,
+        {
+          inputs: { dayStartEquity: this.state.dayStartEquity },
+          rule: "new trading day",
+          changes,
+          botIds: resumed.map((bot) => bot.id),
+        }
+      );
+    }
+  }
+
+  // An operator restarting a paused bot accepts its current equity as the
+  // new peak, so the same drawdown does not pause it again
+  release(botId) {
+    delete this.state.paused[botId];
+    this.state.peaks[botId] = this.dataManager.ledger.getEquity(botId);
+    this.state.fleetPeak = Math.min(
+      this.state.fleetPeak,
+      this.getFleetEquity()
+    );
+  }
+
+  // details: the structured fields addAIDecision accepts
+  log(message, details = {}) {
+    this.dataManager.addAIDecision({
+      type: "risk",
+      message,
+      confidence: 100,
+      ...details,
+    });
+  }
+}
@@ -0,0 +1,41 @@
+// Seeded PRNG (mulberry32) shared by TradingEngine, AIAgent and the market
+// simulators, so a session can be replayed exactly from its recorded seed.
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.reseed(seed);
+  }
+
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  between(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Standard normal sample via Box-Muller
+  gaussian() {
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
@@ -0,0 +1,186 @@
+// Bot types and how they trade. Each strategy registers a definition, usually
+// at the bottom of the file that implements it:
+//   id           the bot.type it drives
+//   name         label for bots of this type
+//   description  one line for the bots page
+//   parameters   schema of bot.params: { name: { default, min, max, step } }
+//                for numbers or { default, options } for choices. A number
+//                can add greaterThan: the name of a numeric parameter it must
+//                exceed, e.g. a slow period over a fast one
+//   marketData   what decide needs before it is called: "quotes" (a current
+//                quote for the symbol), "candles" (recorded candles for it)
+//                or "venues" (the engine's arbitrage venues)
+//   create       optional (engine) => the object that trades for every bot
+//                of the type on that engine; TradingEngine keeps it in
+//                strategies[id]
+//   symbols      optional ({ engine, strategy, bot }) => the symbols decide
+//                is called for each cycle, once per symbol. Defaults to every
+//                quoted symbol; a strategy that scans them all in one call
+//                returns [null]
+//   decide       ({ engine, strategy, bot, symbol, conditions }) => a trade
+//                decision, as TradingEngine.executeBotTrade takes it
+// The engine looks strategies up by bot.type, so a new bot type is a new
+// definition and a <script> tag, with no engine changes.
+const STRATEGY_MARKET_DATA = ["quotes", "candles", "venues"];
+
+// Registered definitions by id, in registration order
+const STRATEGY_DEFINITIONS = new Map();
+
+class StrategyRegistry {
+  // Throws on the first problem, naming the strategy and field
+  static validate(definition) {
+    if (!definition || typeof definition.id !== "string" || !definition.id) {
+      throw new Error("Strategy id must be a non-empty string");
+    }
+    const where = `Strategy "${definition.id}"`;
+    if (typeof definition.name !== "string" || !definition.name) {
+      throw new Error(`${where}: name is required`);
+    }
+    if (typeof definition.decide !== "function") {
+      throw new Error(`${where}: decide must be a function`);
+    }
+    if (definition.create && typeof definition.create !== "function") {
+      throw new Error(`${where}: create must be a function`);
+    }
+    if (definition.symbols && typeof definition.symbols !== "function") {
+      throw new Error(`${where}: symbols must be a function`);
+    }
+
+    const marketData = definition.marketData || [];
+    marketData.forEach((need) => {
+      if (!STRATEGY_MARKET_DATA.includes(need)) {
+        throw new Error(`${where}: unknown market data "${need}"`);
+      }
+    });
+
+    Object.entries(definition.parameters || {}).forEach(([name, spec]) => {
+      if (spec.options) {
+        if (!spec.options.includes(spec.default)) {
+          throw new Error(
+            `${where}: ${name} default must be one of its options`
+          );
+        }
+        return;
+      }
+      const isNumber = (value) =>
+        typeof value === "number" && Number.isFinite(value);
+      if (
+        ![spec.default, spec.min, spec.max, spec.step].every(isNumber) ||
+        spec.min > spec.max ||
+        spec.step <= 0 ||
+        spec.default < spec.min ||
+        spec.default > spec.max
+      ) {
+        throw new Error(
+          `${where}: ${name} needs a numeric default within min..max and a positive step`
+        );
+      }
+      if (spec.greaterThan !== undefined) {
+        const other = (definition.parameters || {})[spec.greaterThan];
+        if (!other || other.options || spec.greaterThan === name) {
+          throw new Error(
+            `${where}: ${name} must be greater than a numeric parameter, not "${spec.greaterThan}"`
+          );
+        }
+        if (spec.max <= other.min || spec.default <= other.default) {
+          throw new Error(
+            `${where}: ${name} cannot stay greater than ${spec.greaterThan}`
+          );
+        }
+      }
+    });
+  }
+
+  static register(definition) {
+    StrategyRegistry.validate(definition);
+    if (STRATEGY_DEFINITIONS.has(definition.id)) {
+      throw new Error(`Strategy "${definition.id}" is already registered`);
+    }
+    STRATEGY_DEFINITIONS.set(definition.id, {
+      description: "",
+      parameters: {},
+      marketData: [],
+      ...definition,
+    });
+  }
+
+  static get(id) {
+    return STRATEGY_DEFINITIONS.get(id) || null;
+  }
+
+  static list() {
+    return Array.from(STRATEGY_DEFINITIONS.values());
+  }
+
+  static defaultParams(parameters) {
+    const params = {};
+    Object.entries(parameters).forEach(([name, spec]) => {
+      params[name] = spec.default;
+    });
+    return params;
+  }
+
+  // Fills in defaults, clamps numbers into range and rejects unknown choices
+  static normalizeParams(parameters, params = {}) {
+    const normalized = {};
+
+    Object.entries(parameters).forEach(([name, spec]) => {
+      const value = params[name] === undefined ? spec.default : params[name];
+
+      if (spec.options) {
+        if (!spec.options.includes(value)) {
+          throw new Error(
+            `${name} must be one of ${spec.options.join(", ")}, got ${value}`
+          );
+        }
+        normalized[name] = value;
+        return;
+      }
+
+      const number = Number(value);
+      if (!isFinite(number)) {
+        throw new Error(`${name} must be a number, got ${value}`);
+      }
+      const stepped = spec.step >= 1 ? Math.round(number) : number;
+      normalized[name] = Math.min(spec.max, Math.max(spec.min, stepped));
+    });
+
+    Object.entries(parameters).forEach(([name, spec]) => {
+      if (
+        spec.greaterThan !== undefined &&
+        !(normalized[name] > normalized[spec.greaterThan])
+      ) {
+        throw new Error(
+          `${name} must be greater than ${spec.greaterThan}, got ${
+            normalized[name]
+          } and ${normalized[spec.greaterThan]}`
+        );
+      }
+    });
+    return normalized;
+  }
+
+  // Moves numbers that break a greaterThan constraint just past the
+  // parameter they must exceed, or that one just below them when they are at
+  // their max or `fixed`. For generated values, such as optimizer candidates.
+  static constrainParams(parameters, params, fixed = []) {
+    const constrained = { ...params };
+    Object.entries(parameters).forEach(([name, spec]) => {
+      const lower = spec.greaterThan;
+      if (lower === undefined || constrained[name] > constrained[lower]) {
+        return;
+      }
+      if (!fixed.includes(name)) {
+        constrained[name] = Math.min(spec.max, constrained[lower] + spec.step);
+      }
+      if (constrained[name] <= constrained[lower] && !fixed.includes(lower)) {
+        const other = parameters[lower];
+        constrained[lower] = Math.max(
+          other.min,
+          constrained[name] - other.step
+        );
+      }
+    });
+    return constrained;
+  }
+}
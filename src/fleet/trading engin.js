@@ -1,13 +1,109 @@
 class TradingEngine {
-  constructor() {
-    this.dataManager = new DataManager();
+  constructor(options = {}) {
+    this.dataManager = options.dataManager || new DataManager();
     this.isRunning = false;
     this.tradingInterval = null;
     this.marketUpdateInterval = null;
-    this.aiAgent = new AIAgent(this.dataManager);
+
+    // One seeded generator drives every stochastic decision in the engine,
+    // the agent and the simulators; pin settings.randomSeed to reuse a seed
+    const seed = this.dataManager.settings.randomSeed;
+    this.random =
+      options.random ||
+      new SeededRandom(typeof seed === "number" ? seed : undefined);
+
+    this.marketDataSource =
+      options.marketDataSource ||
+      createMarketDataSource({
+        ...this.dataManager.settings.marketDataSource,
+        random: this.random,
+      });
+    this.aiAgent = new AIAgent(this.dataManager, this.random);
+    this.aiAgent.playbook.onAction((action) =>
+      this.executePlaybookAction(action)
+    );
+    this.createStrategies();
+    this.riskManager = new RiskManager(this.dataManager);
+    this.preTradeChecks = new PreTradeChecks(this.dataManager);
+    this.circuitBreakers = new CircuitBreakers(this.dataManager);
+    this.allocator = new CapitalAllocator(this.dataManager);
+    // Look-back for the performance metrics on screen; null means all history
+    this.metricsWindowMs = null;
+    // AI activity panel: decision type shown ("" for all), expanded entry ids
+    this.decisionFilter = "";
+    this.expandedDecisions = new Set();
+    // Bot whose parameter search is running; one search at a time
+    this.optimizingBotId = null;
+    // Pending proposals last rendered, so a value being edited is not
+    // redrawn under the operator
+    this.renderedApprovals = null;
+    // Strategy chosen in the bots page's new bot form; null while it is closed
+    this.newBotType = null;
+
+    this.exchange = options.exchange || this.createExchange();
+    this.exchange.onOrderEvent((event) => this.handleOrderEvent(event));
+
+    this.arbitrage = this.createArbitrage();
+  }
+
+  // One instance per registered strategy that declares create, by bot type
+  createStrategies() {
+    this.strategies = {};
+    StrategyRegistry.list()
+      .filter((definition) => definition.create)
+      .forEach((definition) => {
+        this.strategies[definition.id] = definition.create(this);
+      });
+  }
+
+  // The arbitrage bot trades across its own set of simulated venues
+  createArbitrage() {
+    const arbitrage = new ArbitrageStrategy(this.dataManager, {
+      random: this.random,
+      clock: () => this.dataManager.now(),
+      initialBalances: { USD: this.dataManager.settings.initialCapital },
+    });
+    arbitrage.venues.forEach((venue) => {
+      venue.restore(this.dataManager.orders);
+      venue.onOrderEvent((event) => this.handleOrderEvent(event));
+    });
+    return arbitrage;
+  }
+
+  createExchange(config = this.dataManager.settings.exchange) {
+    const exchange = createExchangeConnector(config, {
+      random: this.random,
+      clock: () => this.dataManager.now(),
+      feeRate: this.dataManager.settings.feeRate,
+      initialBalances: { USD: this.dataManager.settings.initialCapital },
+    });
+    exchange.restore(this.dataManager.orders);
+    return exchange;
   }
 
   async initialize() {
+    this.dataManager.startSession(this.random.seed);
+
+    try {
+      await this.marketDataSource.connect();
+    } catch (error) {
+      console.error("Market data source unavailable, using simulator:", error);
+      // A streaming source would otherwise keep reconnecting in the background
+      await this.marketDataSource.disconnect();
+      this.marketDataSource = new SimulatedMarketDataSource({
+        random: this.random,
+      });
+      await this.marketDataSource.connect();
+    }
+
+    try {
+      await this.exchange.connect();
+    } catch (error) {
+      console.error("Exchange unavailable, using paper trading:", error);
+      this.exchange = this.createExchange({ type: "paper" });
+      this.exchange.onOrderEvent((event) => this.handleOrderEvent(event));
+    }
+
     await this.updateMarketData();
     this.startMarketUpdates();
     this.renderInitialState();
@@ -15,63 +111,82 @@ class TradingEngine {
 
   startMarketUpdates() {
     this.marketUpdateInterval = setInterval(() => {
-      this.updateMarketData();
+      this.updateMarketData().catch((error) => {
+        console.error("Market data update failed:", error);
+      });
     }, 5000); // Update every 5 seconds
   }
 
   async updateMarketData() {
-    // Simulate market data
-    const symbols = ["BTC/USD", "ETH/USD", "ADA/USD", "DOT/USD", "LINK/USD"];
-    const marketData = {};
-
-    symbols.forEach((symbol) => {
-      const basePrice = this.getBasePrice(symbol);
-      const volatility = this.getVolatility(symbol);
-      const change = (Math.random() - 0.5) * volatility;
-      const price = basePrice * (1 + change);
-      const changePercent = change * 100;
-
-      marketData[symbol] = {
-        symbol,
-        price: parseFloat(price.toFixed(2)),
-        change: parseFloat(changePercent.toFixed(2)),
-        volume: Math.random() * 1000000,
-        timestamp: new Date().toISOString(),
-      };
-    });
+    const marketData = await this.marketDataSource.getSnapshot();
 
-    this.dataManager.marketData = marketData;
-    this.dataManager.saveData();
+    // Streaming sources have nothing to report until the first message
+    if (Object.keys(marketData).length === 0) return;
+
+    this.processMarketData(marketData);
     this.renderMarketData();
+    this.renderOrders();
   }
 
-  getBasePrice(symbol) {
-    const bases = {
-      "BTC/USD": 45000,
-      "ETH/USD": 3200,
-      "ADA/USD": 1.2,
-      "DOT/USD": 25,
-      "LINK/USD": 18,
-    };
-    return bases[symbol] || 100;
+  // Marks the ledger to the new prices, then lets resting orders match
+  processMarketData(marketData) {
+    this.dataManager.recordMarketData(marketData);
+    this.exchange.updateMarketData(marketData);
+    this.arbitrage.updateMarketData(marketData);
+
+    this.circuitBreakers
+      .checkSymbols(marketData)
+      .forEach((symbol) => this.cancelSymbolOrders(symbol));
   }
 
-  getVolatility(symbol) {
-    const volatilities = {
-      "BTC/USD": 0.02,
-      "ETH/USD": 0.03,
-      "ADA/USD": 0.05,
-      "DOT/USD": 0.04,
-      "LINK/USD": 0.06,
-    };
-    return volatilities[symbol] || 0.03;
+  async setMarketDataSource(config) {
+    const source =
+      config instanceof MarketDataSource
+        ? config
+        : createMarketDataSource({ ...config, random: this.random });
+
+    await this.marketDataSource.disconnect();
+    this.marketDataSource = source;
+    await this.marketDataSource.connect();
+
+    if (!(config instanceof MarketDataSource)) {
+      this.dataManager.settings.marketDataSource = config;
+      this.dataManager.saveData();
+    }
+
+    await this.updateMarketData();
+  }
+
+  // Re-runs a recorded session from its seed. The run only matches the
+  // original if the same ticks and trading cycles happen in the same order.
+  async replaySession(sessionId) {
+    const session = this.dataManager.sessions.find((s) => s.id === sessionId);
+    if (!session) return false;
+
+    await this.stopAllBots();
+    this.random.reseed(session.seed);
+    await this.setMarketDataSource(this.dataManager.settings.marketDataSource);
+    this.dataManager.startSession(session.seed, session.id);
+
+    this.dataManager.addAIDecision({
+      type: "system",
+      message: `Replaying session ${session.id} with seed ${session.seed}`,
+      confidence: 100,
+    });
+    this.renderAIActivity();
+    return true;
   }
 
   async startAllBots() {
     if (this.isRunning) return;
 
     this.isRunning = true;
+    const changes = [];
     this.dataManager.bots.forEach((bot) => {
+      // Bots halted by a circuit breaker wait out their cooldown
+      if (this.circuitBreakers.isBotHalted(bot.id)) return;
+      if (this.riskManager.isPaused(bot.id)) this.riskManager.release(bot.id);
+      changes.push(...this.dataManager.diffBot(bot.id, { status: "active" }));
       this.dataManager.updateBot(bot.id, { status: "active" });
     });
 
@@ -79,6 +194,9 @@ class TradingEngine {
       type: "system",
       message: "All trading bots activated",
       confidence: 95,
+      rule: "operator",
+      changes,
+      botIds: changes.map((change) => change.botId),
     });
 
     this.startTradingCycle();
@@ -97,14 +215,20 @@ class TradingEngine {
       this.tradingInterval = null;
     }
 
-    this.dataManager.bots.forEach((bot) => {
+    const changes = [];
+    for (const bot of this.dataManager.bots) {
+      changes.push(...this.dataManager.diffBot(bot.id, { status: "inactive" }));
       this.dataManager.updateBot(bot.id, { status: "inactive" });
-    });
+      await this.cancelBotOrders(bot.id);
+    }
 
     this.dataManager.addAIDecision({
       type: "emergency",
       message: "EMERGENCY STOP: All trading bots deactivated",
       confidence: 100,
+      rule: "operator",
+      changes,
+      botIds: changes.map((change) => change.botId),
     });
 
     this.renderBots();
@@ -114,13 +238,34 @@ class TradingEngine {
     this.aiAgent.stopMonitoring();
   }
 
+  // Stops the bots and pulls their open orders, then wipes the fleet's data
+  // and starts the in-process venues afresh, so no order or balance outlives
+  // the bots and positions it belonged to
+  async resetData() {
+    await this.stopAllBots();
+    this.dataManager.resetData();
+    this.aiAgent.botModels.clear();
+    this.createStrategies();
+    if (this.exchange instanceof PaperTradingConnector) {
+      this.exchange = this.createExchange({ type: "paper" });
+      this.exchange.onOrderEvent((event) => this.handleOrderEvent(event));
+    }
+    this.arbitrage = this.createArbitrage();
+    this.dataManager.startSession(this.random.seed);
+  }
+
   startTradingCycle() {
     this.tradingInterval = setInterval(() => {
-      this.executeTradingCycle();
+      this.executeTradingCycle().catch((error) => {
+        console.error("Trading cycle failed:", error);
+      });
     }, 3000); // Trade every 3 seconds
   }
 
   async executeTradingCycle() {
+    await this.applyRiskChecks();
+    await this.settleTransfers();
+
     const activeBots = this.dataManager.bots.filter(
       (bot) => bot.status === "active"
     );
@@ -131,114 +276,464 @@ class TradingEngine {
 
     this.updateStats();
     this.renderBots();
+    this.renderOrders();
+    this.renderRejections();
+    this.renderArbitrageLog();
+    this.renderAllocation();
 
     // AI makes strategic decisions
     this.aiAgent.makeStrategicDecisions();
+    this.renderRegime();
+    this.renderApprovals();
   }
 
+  // Pauses bots past their drawdown limit and pulls their resting orders,
+  // and keeps capital budgets current
+  async applyRiskChecks() {
+    this.circuitBreakers.checkCooldowns();
+    this.allocator.check();
+    const paused = this.riskManager.check(this.isRunning);
+    for (const botId of paused) {
+      await this.cancelBotOrders(botId);
+    }
+    if (paused.length > 0) this.renderAIActivity();
+  }
+
+  // Runs the bot's strategy on each symbol it trades
   async executeBotTrade(bot) {
-    const marketConditions = this.analyzeMarketConditions();
-    const tradeDecision = this.generateTradeDecision(bot, marketConditions);
-
-    if (tradeDecision.execute) {
-      const profit = this.calculateTradeProfit(bot, tradeDecision);
-      const success = profit > 0;
-
-      // Update bot metrics
-      const performance = this.dataManager.getBotPerformance(bot.id);
-      const newTrades = performance.totalTrades + 1;
-      const newProfitableTrades =
-        performance.profitableTrades + (success ? 1 : 0);
-      const newSuccessRate = (newProfitableTrades / newTrades) * 100;
-      const newTotalProfit = performance.totalProfit + profit;
-
-      this.dataManager.updateBot(bot.id, {
-        profit: newTotalProfit,
-        trades: newTrades,
-        successRate: parseFloat(newSuccessRate.toFixed(2)),
-        performance: this.calculatePerformanceScore(
-          bot,
-          newSuccessRate,
-          profit
-        ),
+    for (const symbol of this.getBotSymbols(bot)) {
+      await this.executeSymbolTrade(bot, symbol);
+    }
+  }
+
+  async executeSymbolTrade(bot, symbol) {
+    const marketConditions = this.analyzeMarketConditions(symbol);
+    const tradeDecision = this.generateTradeDecision(
+      bot,
+      marketConditions,
+      symbol
+    );
+
+    if (tradeDecision.execute && tradeDecision.legs) {
+      await this.submitLegs(bot, tradeDecision);
+    } else if (tradeDecision.execute && tradeDecision.orders) {
+      await this.submitQuotes(bot, tradeDecision);
+    } else if (tradeDecision.execute) {
+      const quote = this.dataManager.marketData[tradeDecision.symbol];
+      if (!quote) return;
+
+      const quantity = this.sizeOrder(bot, tradeDecision, quote.price);
+      if (quantity <= 0) return;
+
+      // Trades are booked from the fills this order produces
+      await this.submitOrder(bot, {
+        symbol: tradeDecision.symbol,
+        side: tradeDecision.type,
+        type: tradeDecision.orderType || "market",
+        quantity,
+        limitPrice: tradeDecision.limitPrice,
+        stopPrice: tradeDecision.stopPrice,
+        timeInForce: tradeDecision.timeInForce,
+        confidence: tradeDecision.confidence,
+      });
+    }
+  }
+
+  async executePlaybookAction(action) {
+    const bots = (action.botIds || [])
+      .map((botId) => this.dataManager.bots.find((b) => b.id === botId))
+      .filter(Boolean);
+
+    switch (action.type) {
+      case "disable_bots":
+        for (const bot of bots) {
+          this.dataManager.updateBot(bot.id, { status: "inactive" });
+          await this.cancelBotOrders(bot.id);
+        }
+        break;
+      case "enable_bots":
+        // Bots held by the risk manager or a breaker stay where they are
+        bots
+          .filter((bot) => bot.status === "inactive")
+          .forEach((bot) => {
+            this.dataManager.updateBot(bot.id, { status: "active" });
+          });
+        break;
+      case "shift_allocation":
+        this.allocator.rebalance(
+          `${this.dataManager.playbookState.regime} regime`
+        );
+        break;
+      case "hedge":
+        await this.placeHedge(action);
+        break;
+    }
+    this.renderBots();
+  }
+
+  // Moves the hedging bot's position in the hedge symbol to a short worth
+  // hedgeRatio of the rest of the fleet's net long exposure. A ratio of 0
+  // buys back a hedge short and leaves any long alone.
+  async placeHedge({ botId, symbol, hedgeRatio }) {
+    const bot = this.dataManager.bots.find((b) => b.id === botId);
+    const quote = this.dataManager.marketData[symbol];
+    if (!bot || !quote) {
+      this.dataManager.addAIDecision({
+        type: "regime",
+        message: `Hedge skipped: ${
+          bot ? `no market data for ${symbol}` : `no bot ${botId}`
+        }`,
+        confidence: 100,
       });
+      return;
+    }
+
+    const ledger = this.dataManager.ledger;
+    const netLong = this.dataManager.bots.reduce(
+      (sum, b) =>
+        sum +
+        ledger
+          .getSummary(b.id)
+          .positions.filter((p) => !(b.id === botId && p.symbol === symbol))
+          .reduce((total, p) => total + p.quantity * p.markPrice, 0),
+      0
+    );
+    const current = ledger.getPosition(botId, symbol).quantity;
+    const target = (-hedgeRatio * Math.max(0, netLong)) / quote.price;
+    if (hedgeRatio === 0 && current >= 0) return;
+
+    const delta = target - current;
+    if (Math.abs(delta * quote.price) < 1) return;
+
+    await this.submitOrder(bot, {
+      symbol,
+      side: delta > 0 ? "buy" : "sell",
+      type: "market",
+      quantity: Math.abs(delta),
+      confidence: 100,
+    });
+  }
+
+  // The buy leg goes out as an IOC limit at the quoted price, so it fills at
+  // the price the opportunity was priced on or not at all. What it bought is
+  // transferred to the sell venue and sold there once it lands.
+  async submitLegs(bot, decision) {
+    const [buyLeg, sellLeg] = decision.legs;
+    const cash = this.dataManager.ledger.getSummary(bot.id).cash;
+    const quantity = Math.min(
+      buyLeg.quantity,
+      Math.max(0, cash) / buyLeg.limitPrice
+    );
+    if (quantity <= 0) return;
+
+    const bought = await this.submitOrder(bot, {
+      venue: buyLeg.venue,
+      symbol: decision.symbol,
+      side: "buy",
+      type: "limit",
+      limitPrice: buyLeg.limitPrice,
+      quantity,
+      timeInForce: "IOC",
+      confidence: decision.confidence,
+    });
+    if (!bought || !(bought.filledQuantity > 0)) return;
+
+    this.arbitrage.startTransfer(bot, {
+      symbol: decision.symbol,
+      quantity: bought.filledQuantity,
+      buyVenue: buyLeg.venue,
+      sellVenue: sellLeg.venue,
+      buyPrice: bought.avgFillPrice,
+    });
+  }
+
+  // Sells arbitrage inventory that has landed on its sell venue. This runs
+  // for paused bots too, so a bought leg is never left open on purpose.
+  async settleTransfers() {
+    for (const transfer of this.arbitrage.receiveTransfers()) {
+      const bot = this.dataManager.bots.find((b) => b.id === transfer.botId);
+      if (!bot) continue;
+
+      const sold = await this.submitOrder(bot, {
+        venue: transfer.sellVenue,
+        symbol: transfer.symbol,
+        side: "sell",
+        type: "market",
+        quantity: transfer.quantity,
+        confidence: 100,
+      });
+      this.arbitrage.settleTransfer(bot, transfer, sold);
+    }
+  }
+
+  // Market making replaces stale quotes before posting new ones
+  async submitQuotes(bot, decision) {
+    for (const order of decision.cancel) {
+      await this.cancelVenueOrder(order);
+    }
+    for (const order of decision.orders) {
+      await this.submitOrder(bot, {
+        ...order,
+        confidence: decision.confidence,
+      });
+    }
+  }
+
+  async cancelVenueOrder(order) {
+    try {
+      return await this.getVenue(order.venue).cancelOrder(order.id);
+    } catch (error) {
+      console.error(`Cancelling order ${order.id} failed:`, error);
+      return false;
+    }
+  }
+
+  // Pulls a bot's resting orders, e.g. market-making quotes when it stops
+  async cancelBotOrders(botId) {
+    await this.cancelOpenOrders((order) => order.botId === botId);
+  }
+
+  async cancelSymbolOrders(symbol) {
+    await this.cancelOpenOrders((order) => order.symbol === symbol);
+  }
+
+  async cancelOpenOrders(predicate) {
+    const openOrders = this.dataManager.orders.filter(
+      (order) => MatchingEngine.isOpen(order) && predicate(order)
+    );
+    for (const order of openOrders) {
+      await this.cancelVenueOrder(order);
+    }
+  }
+
+  getVenue(venueId) {
+    if (!venueId || venueId === this.exchange.id) return this.exchange;
+    const venue = this.arbitrage.getVenue(venueId);
+    if (!venue) {
+      throw new Error(`Unknown venue "${venueId}"`);
+    }
+    return venue;
+  }
 
-      // Record trade
-      this.dataManager.addTrade({
+  async submitOrder(bot, params) {
+    const { venue, ...order } = params;
+
+    const quote = this.dataManager.marketData[order.symbol];
+    const price = order.limitPrice || order.stopPrice || (quote && quote.price);
+
+    // Nothing opens exposure beyond the bot's capital budget
+    if (price) {
+      order.quantity = this.allocator.capQuantity(bot, order, price);
+      if (!(order.quantity > 0)) return null;
+    }
+    const rejection = this.circuitBreakers.isSymbolHalted(order.symbol)
+      ? {
+          rule: "circuitBreaker",
+          reason: `${order.symbol} is halted by a circuit breaker`,
+        }
+      : price
+      ? this.preTradeChecks.check(bot, order, price)
+      : null;
+    if (rejection) {
+      this.dataManager.addRejection({
         botId: bot.id,
         botName: bot.name,
-        symbol: tradeDecision.symbol,
-        type: tradeDecision.type,
-        amount: tradeDecision.amount,
-        profit: profit,
-        success: success,
-        timestamp: new Date().toISOString(),
+        symbol: order.symbol,
+        side: order.side,
+        quantity: order.quantity,
+        notional: order.quantity * price,
+        ...rejection,
       });
+      return null;
+    }
+    this.preTradeChecks.recordOrder(bot);
 
-      // AI learns from trade
-      this.aiAgent.learnFromTrade(bot.id, tradeDecision, profit);
+    try {
+      return await this.getVenue(venue).placeOrder({
+        ...order,
+        botId: bot.id,
+      });
+    } catch (error) {
+      console.error(`Order for ${bot.name} failed:`, error);
+      return null;
     }
   }
 
-  analyzeMarketConditions() {
-    const conditions = {
-      volatility: Math.random(),
-      trend: (Math.random() - 0.5) * 2,
-      volume: Math.random(),
-      marketSentiment: Math.random(),
-    };
-    return conditions;
+  handleOrderEvent(event) {
+    this.dataManager.upsertOrder(event.order);
+    if (event.type === "fill") {
+      this.recordOrderFill(event.order, event.fill);
+    }
   }
 
-  generateTradeDecision(bot, marketConditions) {
-    let execute = false;
-    let type = "buy";
-    let confidence = 0;
+  recordOrderFill(order, fill) {
+    const bot = this.dataManager.bots.find((b) => b.id === order.botId);
+    if (!bot) return;
 
-    switch (bot.type) {
-      case "arbitrage":
-        execute = marketConditions.volatility > 0.3;
-        type = Math.random() > 0.5 ? "buy" : "sell";
-        confidence = marketConditions.volatility * 80;
-        break;
-      case "momentum":
-        execute = Math.abs(marketConditions.trend) > 0.2;
-        type = marketConditions.trend > 0 ? "buy" : "sell";
-        confidence = Math.abs(marketConditions.trend) * 90;
-        break;
-      case "market_making":
-        execute = marketConditions.volume > 0.4;
-        type = Math.random() > 0.5 ? "buy" : "sell";
-        confidence = marketConditions.volume * 70;
-        break;
-      case "scalping":
-        execute = marketConditions.volatility > 0.2;
-        type = Math.random() > 0.7 ? "buy" : "sell";
-        confidence = marketConditions.volatility * 85;
-        break;
-      case "ai_adaptive":
-        execute = this.aiAgent.shouldTrade(bot.id, marketConditions);
-        type = this.aiAgent.getTradeType(bot.id, marketConditions);
-        confidence = this.aiAgent.getConfidence(bot.id);
-        break;
+    // The ledger books cash and position at the fill price
+    const ledgerFill = this.dataManager.recordFill(
+      bot.id,
+      fill.symbol,
+      fill.side,
+      fill.quantity,
+      fill.price,
+      fill.fee
+    );
+    const profit = parseFloat(ledgerFill.realizedPnl.toFixed(2));
+
+    // Record trade
+    this.dataManager.addTrade({
+      botId: bot.id,
+      botName: bot.name,
+      orderId: order.id,
+      orderType: order.type,
+      symbol: fill.symbol,
+      type: fill.side,
+      amount: fill.quantity * fill.price,
+      quantity: fill.quantity,
+      price: fill.price,
+      fee: ledgerFill.fee,
+      closedQuantity: ledgerFill.closedQuantity,
+      profit: profit,
+      success: profit > 0,
+      timestamp: this.dataManager.now().toISOString(),
+    });
+
+    // Update bot metrics
+    const performance = this.dataManager.getBotPerformance(bot.id);
+    const strategy = this.strategies[bot.type];
+    const quote = this.dataManager.marketData[fill.symbol];
+    this.dataManager.updateBot(bot.id, {
+      ...(strategy && strategy.recordFill && quote
+        ? strategy.recordFill(bot, fill, quote.price)
+        : {}),
+      trades: performance.totalTrades,
+      successRate: parseFloat(performance.successRate.toFixed(2)),
+      performance: this.calculatePerformanceScore(
+        bot,
+        performance.successRate,
+        profit
+      ),
+    });
+
+    // AI learns from trades that realized a result
+    if (ledgerFill.closedQuantity > 0) {
+      this.aiAgent.learnFromTrade(
+        bot.id,
+        { type: fill.side, symbol: fill.symbol, confidence: order.confidence },
+        profit
+      );
+
+      if (this.circuitBreakers.checkBot(bot)) this.cancelBotOrders(bot.id);
     }
+  }
 
-    return {
-      execute: execute && confidence > 50,
-      type,
-      symbol: this.getRandomSymbol(),
-      amount: 100 + Math.random() * 400,
-      confidence: Math.round(confidence),
+  // Buys are limited by the bot's cash; sells beyond the current long
+  // position open a short, limited to the bot's equity
+  sizeOrder(bot, decision, price) {
+    const ledger = this.dataManager.ledger;
+    const summary = ledger.getSummary(bot.id);
+    const position = ledger.getPosition(bot.id, decision.symbol);
+
+    // De-risking shrinks what an order adds to exposure, not what it closes
+    const direction = decision.type === "buy" ? 1 : -1;
+    const closing =
+      Math.sign(position.quantity) === -direction
+        ? Math.min(Math.abs(position.quantity) * price, decision.amount)
+        : 0;
+    let notional =
+      closing +
+      (decision.amount - closing) * this.riskManager.getSizeMultiplier();
+
+    if (decision.type === "buy") {
+      notional = Math.min(notional, Math.max(0, summary.cash));
+    } else {
+      const longValue = Math.max(0, position.quantity) * price;
+      const shortExposure = summary.positions
+        .filter((p) => p.quantity < 0)
+        .reduce((total, p) => total - p.quantity * p.markPrice, 0);
+      notional = Math.min(
+        notional,
+        longValue + Math.max(0, summary.equity - shortExposure)
+      );
+    }
+
+    return notional / price;
+  }
+
+  // Short-term conditions for one symbol from its 15s candles, each scaled
+  // to 0..1 (trend to -1..1). Neutral until there is enough history.
+  analyzeMarketConditions(symbol, period = 14) {
+    const conditions = {
+      volatility: 0,
+      trend: 0,
+      volume: 0,
+      marketSentiment: 0.5,
     };
+    const candles = this.dataManager.getCandles(symbol, "15s");
+    if (candles.length <= period) return conditions;
+
+    const closes = Indicators.closes(candles);
+    const price = closes[closes.length - 1];
+    const atr = Indicators.last(Indicators.atr(candles, period));
+    const fast = Indicators.last(Indicators.ema(closes, Math.ceil(period / 3)));
+    const slow = Indicators.last(Indicators.ema(closes, period));
+    const averageVolume =
+      candles.slice(-period).reduce((sum, c) => sum + c.volume, 0) / period;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    // An ATR of 1% per candle counts as fully volatile
+    conditions.volatility = clamp((atr / price) * 100, 0, 1);
+    conditions.trend = atr > 0 ? clamp((fast - slow) / atr, -1, 1) : 0;
+    conditions.volume =
+      averageVolume > 0
+        ? clamp(candles[candles.length - 1].volume / averageVolume / 2, 0, 1)
+        : 0;
+    conditions.marketSentiment =
+      Indicators.last(Indicators.rsi(closes, period)) / 100;
+    return conditions;
   }
 
-  calculateTradeProfit(bot, decision) {
-    const baseProfit = decision.confidence / 10;
-    const riskAdjustment = 1 - bot.riskLevel;
-    const marketMultiplier = 1 + (Math.random() - 0.5);
-    const profit = baseProfit * riskAdjustment * marketMultiplier - 0.5;
+  // The bot type's registered strategy decides, once the market data it
+  // declares is there
+  generateTradeDecision(bot, marketConditions, symbol) {
+    const hold = (reason) => ({
+      execute: false,
+      type: "buy",
+      symbol,
+      amount: 0,
+      confidence: 0,
+      reason,
+    });
+
+    const definition = StrategyRegistry.get(bot.type);
+    if (!definition) return hold(`Unknown strategy ${bot.type}`);
 
-    return parseFloat(profit.toFixed(2));
+    const missing = definition.marketData.filter(
+      (need) => !this.hasMarketData(need, symbol)
+    );
+    if (missing.length > 0) return hold(`Waiting for ${missing.join(", ")}`);
+
+    return definition.decide({
+      engine: this,
+      strategy: this.strategies[bot.type] || null,
+      bot,
+      symbol,
+      conditions: marketConditions,
+    });
+  }
+
+  hasMarketData(need, symbol) {
+    switch (need) {
+      case "quotes":
+        return Boolean(this.dataManager.marketData[symbol]);
+      case "candles":
+        return this.dataManager.candleStore.getSymbols().includes(symbol);
+      case "venues":
+        return this.arbitrage.venues.length > 0;
+      default:
+        return false;
+    }
   }
 
   calculatePerformanceScore(bot, successRate, recentProfit) {
@@ -252,15 +747,31 @@ class TradingEngine {
     );
   }
 
-  getRandomSymbol() {
+  getBotSymbols(bot) {
+    const definition = StrategyRegistry.get(bot.type);
+    if (definition && definition.symbols) {
+      return definition.symbols({
+        engine: this,
+        strategy: this.strategies[bot.type] || null,
+        bot,
+      });
+    }
     const symbols = Object.keys(this.dataManager.marketData);
-    return symbols[Math.floor(Math.random() * symbols.length)] || "BTC/USD";
+    return symbols.length > 0 ? symbols : ["BTC/USD"];
   }
 
   // Rendering methods
   renderInitialState() {
     this.renderBots();
     this.renderMarketData();
+    this.renderOrders();
+    this.renderRejections();
+    this.renderArbitrageLog();
+    this.renderAllocation();
+    this.renderApprovalPolicies();
+    this.renderApprovals();
+    this.renderPlaybook();
+    this.renderBotsManagement();
     this.updateStats();
     this.renderAIActivity();
   }
@@ -275,7 +786,9 @@ class TradingEngine {
             <div class="bot-card">
                 <div class="bot-header">
                     <div class="bot-name">${bot.name}</div>
-                    <div class="bot-status ${bot.status}">${bot.status}</div>
+                    <div class="bot-status ${
+                      bot.status
+                    }" title="${this.getStatusReason(bot)}">${bot.status}</div>
                 </div>
                 <div class="bot-metrics">
                     <div class="metric">
@@ -284,6 +797,26 @@ class TradingEngine {
                           2
                         )}</div>
                     </div>
+                    <div class="metric">
+                        <div class="metric-label">Realized</div>
+                        <div class="metric-value">$${(
+                          bot.realizedProfit || 0
+                        ).toFixed(2)}</div>
+                    </div>
+                    <div class="metric">
+                        <div class="metric-label">Unrealized</div>
+                        <div class="metric-value">$${(
+                          bot.unrealizedProfit || 0
+                        ).toFixed(2)}</div>
+                    </div>
+                    ${this.renderStrategyMetrics(bot)}
+                    ${this.renderPerformanceMetrics(bot)}
+                    <div class="metric">
+                        <div class="metric-label">Budget</div>
+                        <div class="metric-value">$${this.allocator
+                          .getBudget(bot.id)
+                          .toFixed(2)}</div>
+                    </div>
                     <div class="metric">
                         <div class="metric-label">Success Rate</div>
                         <div class="metric-value">${bot.successRate.toFixed(
@@ -299,17 +832,38 @@ class TradingEngine {
                         <div class="metric-value">${bot.performance}</div>
                     </div>
                 </div>
+                ${
+                  this.strategies[bot.type]
+                    ? `<div class="bot-params">${this.strategies[
+                        bot.type
+                      ].describe(
+                        this.strategies[bot.type].getParams(bot)
+                      )}</div>`
+                    : ""
+                }
+                ${this.renderModelDiagnostics(bot)}
+                ${this.renderOptimization(bot)}
                 <div class="bot-actions">
                     <button class="btn ${
                       bot.status === "active" ? "btn-danger" : "btn-success"
                     }" 
                             onclick="tradingEngine.toggleBot(${bot.id})">
-                        ${bot.status === "active" ? "Stop" : "Start"}
+                        ${
+                          bot.status === "active"
+                            ? "Stop"
+                            : bot.status === "halted"
+                            ? "Confirm Resume"
+                            : "Start"
+                        }
                     </button>
                     <button class="btn btn-warning" onclick="tradingEngine.optimizeBot(${
                       bot.id
-                    })">
-                        Optimize
+                    })" ${this.optimizingBotId ? "disabled" : ""}>
+                        ${
+                          this.optimizingBotId === bot.id
+                            ? "Optimizing..."
+                            : "Optimize"
+                        }
                     </button>
                 </div>
             </div>
@@ -318,6 +872,115 @@ class TradingEngine {
       .join("");
   }
 
+  renderStrategyMetrics(bot) {
+    const strategy = this.strategies[bot.type];
+    if (!strategy || !strategy.getMetrics) return "";
+
+    const metrics = strategy.getMetrics(bot);
+    return `
+                    <div class="metric">
+                        <div class="metric-label">Spread Capture</div>
+                        <div class="metric-value">$${metrics.spreadCapture.toFixed(
+                          2
+                        )}</div>
+                    </div>
+                    <div class="metric">
+                        <div class="metric-label">Inventory P&amp;L</div>
+                        <div class="metric-value">$${metrics.inventoryPnl.toFixed(
+                          2
+                        )}</div>
+                    </div>`;
+  }
+
+  renderPerformanceMetrics(bot) {
+    const metrics = this.dataManager.getBotPerformance(
+      bot.id,
+      this.getMetricsWindow()
+    );
+    const metric = (label, value) => `
+                    <div class="metric">
+                        <div class="metric-label">${label}</div>
+                        <div class="metric-value">${value}</div>
+                    </div>`;
+
+    return [
+      metric("Sharpe", metrics.sharpeRatio.toFixed(2)),
+      metric("Sortino", this.formatRatio(metrics.sortinoRatio)),
+      metric("Calmar", metrics.calmarRatio.toFixed(2)),
+      metric(
+        "Max Drawdown",
+        `${metrics.maxDrawdownPercent.toFixed(2)}% / ${this.formatDuration(
+          metrics.maxDrawdownDurationMs
+        )}`
+      ),
+      metric("Profit Factor", this.formatRatio(metrics.profitFactor)),
+      metric("Expectancy", `$${metrics.expectancy.toFixed(2)}`),
+      metric(
+        "Avg Win / Loss",
+        `$${metrics.averageWin.toFixed(2)} / $${metrics.averageLoss.toFixed(2)}`
+      ),
+      metric(
+        "Streaks W / L",
+        `${metrics.longestWinStreak} / ${metrics.longestLossStreak}`
+      ),
+      metrics.historyFrom
+        ? metric("Window", this.formatHistoryFrom(metrics.historyFrom).trim())
+        : "",
+    ].join("");
+  }
+
+  renderModelDiagnostics(bot) {
+    if (bot.type !== "ai_adaptive") return "";
+
+    const model = this.aiAgent.getModelDiagnostics(bot.id);
+    const weights = Object.entries(model.weights)
+      .map(
+        ([name, weight]) =>
+          `${name} ${weight >= 0 ? "+" : ""}${weight.toFixed(3)}`
+      )
+      .join(", ");
+    const accuracy =
+      model.accuracy === null
+        ? "no closed trades yet"
+        : `${(model.accuracy * 100).toFixed(1)}% over the last ${
+            model.samples
+          }`;
+
+    const snapshots = model.snapshots
+      .map(
+        (snapshot) =>
+          `<option value="${snapshot.version}">v${snapshot.version} - ${
+            snapshot.reason
+          } (${new Date(snapshot.createdAt).toLocaleString()})</option>`
+      )
+      .join("");
+
+    return `<div class="bot-model">Model v${
+      model.version
+    } weights: ${weights}, bias ${model.bias.toFixed(
+      3
+    )}. Accuracy ${accuracy} (${model.updates} updates)
+                    <div class="bot-model-actions">
+                        <button class="btn" onclick="tradingEngine.exportBotModel(${
+                          bot.id
+                        })">Export</button>
+                        <input type="file" accept=".json" onchange="tradingEngine.importBotModel(${
+                          bot.id
+                        }, this.files[0])" />
+                        <button class="btn btn-danger" onclick="tradingEngine.resetBotModel(${
+                          bot.id
+                        })">Reset</button>
+                        ${
+                          snapshots
+                            ? `<select onchange="if (this.value) tradingEngine.rollbackBotModel(${bot.id}, Number(this.value))">
+                            <option value="">Roll back to...</option>${snapshots}
+                        </select>`
+                            : ""
+                        }
+                    </div>
+                </div>`;
+  }
+
   renderMarketData() {
     const marketDataEl = document.getElementById("marketData");
     if (!marketDataEl) return;
@@ -326,7 +989,9 @@ class TradingEngine {
       .map(
         (asset) => `
             <div class="market-item">
-                <div class="market-symbol">${asset.symbol}</div>
+                <div class="market-symbol">${
+                  asset.symbol
+                }${this.renderSymbolHalt(asset.symbol)}</div>
                 <div class="market-price">$${asset.price.toLocaleString()}</div>
                 <div class="market-change ${
                   asset.change >= 0 ? "positive" : "negative"
@@ -339,8 +1004,29 @@ class TradingEngine {
       .join("");
   }
 
+  // Why a bot is paused or halted, for its status badge
+  getStatusReason(bot) {
+    const breaker = this.circuitBreakers.getBreaker("bots", bot.id);
+    if (breaker) return breaker.reason;
+    if (this.riskManager.isPaused(bot.id)) {
+      return this.dataManager.riskState.paused[bot.id].reason;
+    }
+    return "";
+  }
+
+  renderSymbolHalt(symbol) {
+    const breaker = this.circuitBreakers.getBreaker("symbols", symbol);
+    if (!breaker) return "";
+
+    return ` <span class="halted" title="${breaker.reason}">HALTED</span>${
+      breaker.awaitingConfirmation
+        ? ` <button class="btn btn-warning" onclick="tradingEngine.confirmSymbolBreaker('${symbol}')">Resume</button>`
+        : ""
+    }`;
+  }
+
   updateStats() {
-    const stats = this.dataManager.getOverallStats();
+    const stats = this.dataManager.getOverallStats(this.getMetricsWindow());
 
     // Update DOM elements
     const elements = {
@@ -348,6 +1034,23 @@ class TradingEngine {
       activeBots: `${stats.activeBots}/${stats.totalBots}`,
       successRate: `${stats.successRate.toFixed(1)}%`,
       aiConfidence: `${this.aiAgent.getOverallConfidence()}%`,
+      marketRegime: this.formatRegime(this.aiAgent.getRegimeDetection()),
+      rejectedOrders: Object.values(this.dataManager.rejectionCounts).reduce(
+        (sum, count) => sum + count,
+        0
+      ),
+      sharpeRatio: stats.sharpeRatio.toFixed(2),
+      sortinoCalmar: `Sortino ${this.formatRatio(
+        stats.sortinoRatio
+      )} / Calmar ${stats.calmarRatio.toFixed(2)}`,
+      maxDrawdown: `${stats.maxDrawdownPercent.toFixed(2)}%`,
+      maxDrawdownDuration: `$${stats.maxDrawdown.toFixed(
+        2
+      )} over ${this.formatDuration(
+        stats.maxDrawdownDurationMs
+      )}${this.formatHistoryFrom(stats.historyFrom)}`,
+      profitFactor: this.formatRatio(stats.profitFactor),
+      expectancy: `Expectancy $${stats.expectancy.toFixed(2)}/trade`,
     };
 
     Object.entries(elements).forEach(([id, value]) => {
@@ -362,21 +1065,330 @@ class TradingEngine {
     const activityEl = document.getElementById("aiActivity");
     if (!activityEl) return;
 
-    const recentDecisions = this.dataManager.aiDecisions.slice(0, 10);
+    const decisions = this.dataManager.getDecisionFeed();
+    this.renderDecisionFilter(decisions);
+
+    const recentDecisions = decisions
+      .filter(
+        (decision) =>
+          !this.decisionFilter || decision.type === this.decisionFilter
+      )
+      .slice(0, 10);
     activityEl.innerHTML = recentDecisions
       .map(
         (decision) => `
-            <div class="activity-item">
+            <div class="activity-item" onclick="tradingEngine.toggleDecision(${
+              decision.id
+            })">
                 <span class="activity-time">${this.formatTime(
                   decision.timestamp
                 )}</span>
                 <span class="activity-message">${decision.message}</span>
+                ${
+                  this.expandedDecisions.has(decision.id)
+                    ? this.renderDecisionDetails(decision)
+                    : ""
+                }
             </div>
         `
       )
       .join("");
   }
 
+  // Options are the decision types currently in the log
+  renderDecisionFilter(decisions) {
+    const filterEl = document.getElementById("decisionFilter");
+    if (!filterEl) return;
+
+    const types = Array.from(
+      new Set(decisions.map((decision) => decision.type))
+    ).sort();
+    if (this.decisionFilter && !types.includes(this.decisionFilter)) {
+      types.push(this.decisionFilter);
+    }
+    filterEl.innerHTML = [
+      `<option value="">All decisions</option>`,
+      ...types.map(
+        (type) =>
+          `<option value="${type}" ${
+            type === this.decisionFilter ? "selected" : ""
+          }>${type.replace(/_/g, " ")}</option>`
+      ),
+    ].join("");
+  }
+
+  renderDecisionDetails(decision) {
+    const botName = (botId) => {
+      const bot = this.dataManager.bots.find((b) => b.id === botId);
+      return bot ? bot.name : `Bot ${botId}`;
+    };
+    const format = (value) => {
+      if (value === undefined || value === null) return "-";
+      if (typeof value === "number") {
+        return Number.isInteger(value) ? value : value.toFixed(4);
+      }
+      if (typeof value === "object") return JSON.stringify(value);
+      return value;
+    };
+
+    const inputs = Object.entries(decision.inputs || {});
+    const changes = decision.changes || [];
+    const botIds = decision.botIds || [];
+
+    return `<div class="activity-details">
+                    <div>Type: ${decision.type} &middot; Confidence: ${format(
+      decision.confidence
+    )}</div>
+                    ${decision.rule ? `<div>Rule: ${decision.rule}</div>` : ""}
+                    ${
+                      inputs.length > 0
+                        ? `<div>Inputs: ${inputs
+                            .map(([name, value]) => `${name} ${format(value)}`)
+                            .join(", ")}</div>`
+                        : ""
+                    }
+                    ${
+                      changes.length > 0
+                        ? `<div>Changes: ${changes
+                            .map(
+                              (change) =>
+                                `${botName(change.botId)} ${
+                                  change.field
+                                } ${format(change.before)} &rarr; ${format(
+                                  change.after
+                                )}`
+                            )
+                            .join("; ")}</div>`
+                        : ""
+                    }
+                    ${
+                      botIds.length > 0
+                        ? `<div>Bots: ${botIds.map(botName).join(", ")}</div>`
+                        : ""
+                    }
+                </div>`;
+  }
+
+  toggleDecision(id) {
+    if (this.expandedDecisions.has(id)) {
+      this.expandedDecisions.delete(id);
+    } else {
+      this.expandedDecisions.add(id);
+    }
+    this.renderAIActivity();
+  }
+
+  setDecisionFilter(type) {
+    this.decisionFilter = type;
+    this.renderAIActivity();
+  }
+
+  renderOrders() {
+    const ordersEl = document.getElementById("ordersList");
+    if (!ordersEl) return;
+
+    const formatPrice = (price) => (price ? `$${price.toLocaleString()}` : "-");
+    const botName = (botId) => {
+      const bot = this.dataManager.bots.find((b) => b.id === botId);
+      return bot ? bot.name : `Bot ${botId}`;
+    };
+
+    ordersEl.innerHTML = this.dataManager.orders
+      .slice(0, 15)
+      .map(
+        (order) => `
+            <div class="order-item">
+                <span class="order-time">${this.formatTime(
+                  order.createdAt
+                )}</span>
+                <span class="order-bot">${botName(order.botId)}</span>
+                <span class="order-side ${
+                  order.side
+                }">${order.side.toUpperCase()}</span>
+                <span class="order-type">${order.type} ${order.timeInForce} @ ${
+          order.venue
+        }</span>
+                <span class="order-symbol">${order.symbol}</span>
+                <span class="order-price">${formatPrice(
+                  order.limitPrice || order.stopPrice
+                )}</span>
+                <span class="order-fill">${order.filledQuantity.toFixed(
+                  4
+                )} / ${order.quantity.toFixed(4)} @ ${formatPrice(
+          order.avgFillPrice
+        )}</span>
+                <span class="order-status ${order.status}" title="${
+          order.reason || ""
+        }">${order.status.replace("_", " ")}</span>
+                ${
+                  MatchingEngine.isOpen(order)
+                    ? `<button class="btn btn-danger" onclick="tradingEngine.cancelOrder(${order.id}, '${order.venue}')">Cancel</button>`
+                    : ""
+                }
+            </div>
+        `
+      )
+      .join("");
+  }
+
+  renderPlaybook() {
+    const editorEl = document.getElementById("playbookEditor");
+    if (editorEl) {
+      editorEl.value = JSON.stringify(this.aiAgent.playbook.playbook, null, 2);
+    }
+    this.renderRegime();
+  }
+
+  renderRegime() {
+    const regimeEl = document.getElementById("currentRegime");
+    if (regimeEl) {
+      const state = this.dataManager.playbookState;
+      regimeEl.textContent = state.regime
+        ? `${state.regime} since ${this.formatTime(state.since)}`
+        : "No regime yet";
+    }
+  }
+
+  renderAllocation() {
+    const allocationEl = document.getElementById("allocationList");
+    if (!allocationEl) return;
+
+    const methodEl = document.getElementById("allocationMethod");
+    if (methodEl) methodEl.value = this.dataManager.settings.allocation.method;
+
+    const state = this.dataManager.allocationState;
+    allocationEl.innerHTML = this.dataManager.bots
+      .map(
+        (bot) => `
+            <div class="activity-item">
+                <span class="activity-message">${bot.name}: ${(
+          (state.weights[bot.id] || 0) * 100
+        ).toFixed(1)}% = $${this.allocator
+          .getBudget(bot.id)
+          .toFixed(2)}, $${this.allocator
+          .getGrossExposure(bot.id)
+          .toFixed(2)} deployed</span>
+            </div>
+        `
+      )
+      .join("");
+  }
+
+  renderRejections() {
+    const rejectionsEl = document.getElementById("rejectionsList");
+    if (!rejectionsEl) return;
+
+    const counts = Object.entries(PRE_TRADE_RULES)
+      .map(
+        ([rule, label]) => `
+            <div class="rejection-count">
+                <span class="rejection-rule">${label}</span>
+                <span class="rejection-total">${
+                  this.dataManager.rejectionCounts[rule] || 0
+                }</span>
+            </div>
+        `
+      )
+      .join("");
+    const recent = this.dataManager.rejections
+      .slice(0, 10)
+      .map(
+        (rejection) => `
+            <div class="activity-item">
+                <span class="activity-time">${this.formatTime(
+                  rejection.timestamp
+                )}</span>
+                <span class="activity-message">${rejection.botName} ${
+          rejection.side
+        } ${rejection.symbol} $${rejection.notional.toFixed(2)}: ${
+          rejection.reason
+        }</span>
+            </div>
+        `
+      )
+      .join("");
+
+    rejectionsEl.innerHTML = `
+            <div class="rejection-counts">${counts}</div>
+            ${recent}
+        `;
+  }
+
+  renderArbitrageLog() {
+    const logEl = document.getElementById("arbitrageLog");
+    if (!logEl) return;
+
+    logEl.innerHTML = this.dataManager.arbitrageLog
+      .slice(0, 10)
+      .map(
+        (entry) => `
+            <div class="activity-item">
+                <span class="activity-time">${this.formatTime(
+                  entry.timestamp
+                )}</span>
+                <span class="arbitrage-status ${
+                  entry.taken ? "positive" : "negative"
+                }">${entry.taken ? "TAKEN" : "SKIPPED"}</span>
+                <span class="activity-message">${entry.symbol}${
+          entry.buyVenue
+            ? ` buy ${
+                entry.buyVenue
+              } $${entry.buyPrice.toLocaleString()} / sell ${
+                entry.sellVenue
+              } $${entry.sellPrice.toLocaleString()} (${entry.netEdgeBps.toFixed(
+                1
+              )} bps net)`
+            : ""
+        }: ${entry.reason}</span>
+            </div>
+        `
+      )
+      .join("");
+  }
+
+  renderBacktestResults() {
+    const resultsEl = document.getElementById("backtestResults");
+    if (!resultsEl) return;
+
+    const report = this.dataManager.backtestResults[0];
+    if (!report) {
+      resultsEl.innerHTML = "";
+      return;
+    }
+
+    const row = (name, summary) => `
+            <tr>
+                <td>${name}</td>
+                <td>${summary.totalTrades}</td>
+                <td>${summary.winRate.toFixed(1)}%</td>
+                <td>$${summary.totalProfit.toFixed(2)}</td>
+                <td>$${summary.maxDrawdown.toFixed(2)}</td>
+            </tr>
+        `;
+
+    resultsEl.innerHTML = `
+            <div class="backtest-period">
+                ${new Date(report.from).toLocaleString()} &ndash;
+                ${new Date(report.to).toLocaleString()} (${report.frames} ticks)
+            </div>
+            <table class="backtest-table">
+                <thead>
+                    <tr>
+                        <th>Bot</th>
+                        <th>Trades</th>
+                        <th>Win Rate</th>
+                        <th>Profit</th>
+                        <th>Max Drawdown</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.bots.map((bot) => row(bot.botName, bot)).join("")}
+                    ${row("Fleet", report.fleet)}
+                </tbody>
+            </table>
+        `;
+  }
+
   formatTime(timestamp) {
     const date = new Date(timestamp);
     const now = new Date();
@@ -388,12 +1400,59 @@ class TradingEngine {
     return date.toLocaleTimeString();
   }
 
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  formatRegime(detection) {
+    if (!detection.regime) {
+      return `Warming up (${detection.observations}/${this.dataManager.settings.regimeDetection.minObservations} candles)`;
+    }
+    return `${detection.regime.replace(/_/g, " ")} ${(
+      detection.probabilities[detection.regime] * 100
+    ).toFixed(0)}% for ${this.formatDuration(detection.durationMs)}`;
+  }
+
+  // Metrics over a history truncated at historyLimit say where they start
+  formatHistoryFrom(historyFrom) {
+    return historyFrom
+      ? ` since ${new Date(historyFrom).toLocaleString()}`
+      : "";
+  }
+
+  formatRatio(value) {
+    return value === Infinity ? "∞" : value.toFixed(2);
+  }
+
+  getMetricsWindow() {
+    return this.metricsWindowMs
+      ? { from: this.dataManager.now().getTime() - this.metricsWindowMs }
+      : {};
+  }
+
   // Public methods
-  toggleBot(botId) {
+  setMetricsWindow(ms) {
+    this.metricsWindowMs = Number(ms) || null;
+    this.updateStats();
+    this.renderBots();
+  }
+
+  async toggleBot(botId) {
     const bot = this.dataManager.bots.find((b) => b.id === botId);
-    if (bot) {
+    if (bot && this.circuitBreakers.isBotHalted(botId)) {
+      this.confirmBotBreaker(botId);
+    } else if (bot) {
       const newStatus = bot.status === "active" ? "inactive" : "active";
+      if (newStatus === "active" && this.riskManager.isPaused(botId)) {
+        this.riskManager.release(botId);
+      }
+      const changes = this.dataManager.diffBot(botId, { status: newStatus });
       this.dataManager.updateBot(botId, { status: newStatus });
+      if (newStatus === "inactive") await this.cancelBotOrders(botId);
 
       this.dataManager.addAIDecision({
         type: "bot_control",
@@ -401,6 +1460,9 @@ class TradingEngine {
           newStatus === "active" ? "activated" : "deactivated"
         }`,
         confidence: 90,
+        rule: "operator",
+        changes,
+        botIds: [botId],
       });
 
       this.renderBots();
@@ -409,17 +1471,644 @@ class TradingEngine {
     }
   }
 
-  optimizeBot(botId) {
-    const optimization = this.aiAgent.optimizeBot(botId);
+  // Operator confirmation for a tripped breaker, refused during its cooldown
+  confirmBotBreaker(botId) {
+    if (!this.circuitBreakers.confirmBot(botId)) {
+      const bot = this.dataManager.bots.find((b) => b.id === botId);
+      const breaker = this.circuitBreakers.getBreaker("bots", botId);
+      this.dataManager.addAIDecision({
+        type: "circuit_breaker",
+        message: `${bot.name} stays halted until ${new Date(
+          breaker.resumeAt
+        ).toLocaleTimeString()}`,
+        confidence: 100,
+      });
+    }
+    this.renderBots();
+    this.updateStats();
+    this.renderAIActivity();
+  }
+
+  confirmSymbolBreaker(symbol) {
+    this.circuitBreakers.confirmSymbol(symbol);
+    this.renderMarketData();
+    this.renderAIActivity();
+  }
+
+  async cancelOrder(orderId, venueId) {
+    try {
+      await this.getVenue(venueId).cancelOrder(orderId);
+    } catch (error) {
+      alert("Error cancelling order: " + error.message);
+    }
+    this.renderOrders();
+  }
+
+  async runBacktest(data, { botIds, seed } = {}) {
+    const bots = botIds
+      ? this.dataManager.bots.filter((bot) => botIds.includes(bot.id))
+      : this.dataManager.bots;
+    const backtester = new Backtester(bots, {
+      settings: this.dataManager.settings,
+      seed,
+    });
+    const report = await backtester.run(data);
+
+    this.dataManager.addBacktestResult(report);
     this.dataManager.addAIDecision({
-      type: "optimization",
-      message: `AI optimized ${optimization.botName}: ${optimization.message}`,
-      confidence: optimization.confidence,
+      type: "backtest",
+      message: `Backtest finished: ${report.fleet.totalTrades} trades over ${
+        report.frames
+      } ticks, fleet profit $${report.fleet.totalProfit.toFixed(2)}`,
+      confidence: 100,
     });
 
+    this.renderBacktestResults();
+    this.renderAIActivity();
+    return report;
+  }
+
+  // Validates and stores a bot's strategy parameters
+  setBotParams(botId, params) {
+    const bot = this.dataManager.bots.find((b) => b.id === botId);
+    const strategy = bot && this.strategies[bot.type];
+    if (!strategy) {
+      throw new Error(`Bot ${botId} has no tunable strategy parameters`);
+    }
+
+    const normalized = strategy.normalizeParams({
+      ...strategy.getParams(bot),
+      ...params,
+    });
+    this.dataManager.updateBot(botId, { params: normalized });
+    this.renderBots();
+    return normalized;
+  }
+
+  // Validates before saving; an invalid playbook leaves the current one
+  savePlaybook(json) {
+    try {
+      this.aiAgent.playbook.setPlaybook(JSON.parse(json));
+      this.renderPlaybook();
+      return true;
+    } catch (error) {
+      alert("Invalid playbook: " + error.message);
+      return false;
+    }
+  }
+
+  setAllocationMethod(method) {
+    if (!ALLOCATION_METHODS[method]) {
+      throw new Error(`Unknown allocation method: ${method}`);
+    }
+    this.dataManager.settings.allocation.method = method;
+    this.rebalanceCapital("method changed");
+  }
+
+  rebalanceCapital(reason = "manual") {
+    this.allocator.rebalance(reason);
+    this.renderAllocation();
     this.renderBots();
     this.renderAIActivity();
   }
+
+  exportBotModel(botId) {
+    const data = this.aiAgent.exportModel(botId);
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `fleet-ai-model-bot${botId}-v${data.version}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  importBotModel(botId, file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const version = this.aiAgent.importModel(
+          botId,
+          JSON.parse(e.target.result)
+        );
+        this.logModelChange(botId, `imported from ${file.name} as v${version}`);
+      } catch (error) {
+        alert("Error importing model: " + error.message);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  resetBotModel(botId) {
+    if (!confirm("Reset this bot's learned model? A snapshot is kept.")) {
+      return;
+    }
+    const version = this.aiAgent.resetModel(botId);
+    this.logModelChange(botId, `reset as v${version}`);
+  }
+
+  rollbackBotModel(botId, version) {
+    try {
+      const restored = this.aiAgent.rollbackModel(botId, version);
+      this.logModelChange(
+        botId,
+        `rolled back to v${version} (now v${restored})`
+      );
+    } catch (error) {
+      alert("Error rolling back model: " + error.message);
+    }
+  }
+
+  logModelChange(botId, change) {
+    const bot = this.dataManager.bots.find((b) => b.id === botId);
+    this.dataManager.addAIDecision({
+      type: "model",
+      message: `${bot ? bot.name : `Bot ${botId}`} model ${change}`,
+      confidence: 100,
+    });
+    this.renderBots();
+    this.renderAIActivity();
+  }
+
+  async optimizeBot(botId) {
+    const bot = this.dataManager.bots.find((b) => b.id === botId);
+    if (!bot || this.optimizingBotId) return null;
+
+    this.optimizingBotId = botId;
+    this.renderBots();
+    try {
+      const optimization = await this.aiAgent.optimizeBot(
+        botId,
+        this.strategies[bot.type]
+      );
+      const { result } = optimization;
+      this.dataManager.addAIDecision({
+        type: "optimization",
+        message: `AI optimized ${optimization.botName}: ${optimization.message}`,
+        confidence: optimization.confidence,
+        inputs: {
+          method: result.method,
+          objective: result.objective,
+          evaluations: result.evaluations,
+          candles: result.frames,
+          currentScore: result.current.score,
+          bestScore: result.best.score,
+        },
+        rule: `${OPTIMIZER_METHODS[result.method]} on ${
+          OPTIMIZER_OBJECTIVES[result.objective]
+        }`,
+        changes: optimization.changes,
+        botIds: [botId],
+      });
+      return optimization;
+    } catch (error) {
+      alert("Error optimizing bot: " + error.message);
+      return null;
+    } finally {
+      this.optimizingBotId = null;
+      this.renderBots();
+      this.renderApprovals();
+      this.renderAIActivity();
+    }
+  }
+
+  // Form fields for a strategy's parameter schema, named param.<name>
+  renderParameterFields(parameters, values) {
+    return Object.entries(parameters)
+      .map(([name, spec]) => {
+        const value = values[name] === undefined ? spec.default : values[name];
+        const input = spec.options
+          ? `<select name="param.${name}">${spec.options
+              .map(
+                (option) =>
+                  `<option value="${option}" ${
+                    option === value ? "selected" : ""
+                  }>${option}</option>`
+              )
+              .join("")}</select>`
+          : `<input type="number" name="param.${name}" value="${value}" min="${spec.min}" max="${spec.max}" step="${spec.step}" />`;
+        return `<label>${name} ${input}</label>`;
+      })
+      .join("");
+  }
+
+  // { name, riskLevel, params } from a bot form, validated against the
+  // strategy's schema
+  readBotForm(form, definition) {
+    const name = form.elements.name.value.trim();
+    if (!name) {
+      throw new Error("Bot name is required");
+    }
+    const riskLevel = Number(form.elements.riskLevel.value);
+    if (!(riskLevel >= 0.1 && riskLevel <= 0.9)) {
+      throw new Error("Risk level must be from 0.1 to 0.9");
+    }
+
+    const params = {};
+    Object.entries(definition.parameters).forEach(([param, spec]) => {
+      const value = form.elements[`param.${param}`].value;
+      params[param] = spec.options ? value : Number(value);
+    });
+    return {
+      name,
+      riskLevel,
+      params: StrategyRegistry.normalizeParams(definition.parameters, params),
+    };
+  }
+
+  // One configuration form per bot, built from its strategy's schema
+  renderBotsManagement() {
+    const managementEl = document.getElementById("botsManagement");
+    if (!managementEl) return;
+
+    this.renderNewBotForm();
+    managementEl.innerHTML = this.dataManager.bots
+      .map((bot) => {
+        const definition = StrategyRegistry.get(bot.type);
+        if (!definition) {
+          return `
+            <div class="bot-card">
+                <div class="bot-name">${bot.name}</div>
+                <div class="bot-params">Unknown strategy ${bot.type}</div>
+            </div>`;
+        }
+        return `
+            <form class="bot-card" onsubmit="tradingEngine.saveBotConfig(${
+              bot.id
+            }, this); return false;">
+                <div class="bot-header">
+                    <div class="bot-name">${bot.name}</div>
+                    <div class="bot-status ${bot.status}">${bot.status}</div>
+                </div>
+                <div class="bot-params">${definition.name}: ${
+          definition.description
+        }</div>
+                <label>Name <input type="text" name="name" value="${
+                  bot.name
+                }" /></label>
+                <label>Risk level <input type="number" name="riskLevel" value="${
+                  bot.riskLevel
+                }" min="0.1" max="0.9" step="0.05" /></label>
+                ${this.renderParameterFields(
+                  definition.parameters,
+                  bot.params || {}
+                )}
+                <div class="bot-actions">
+                    <button class="btn btn-primary" type="submit">Save</button>
+                </div>
+            </form>`;
+      })
+      .join("");
+  }
+
+  renderNewBotForm() {
+    const formEl = document.getElementById("newBotForm");
+    if (!formEl) return;
+
+    const definition = this.newBotType && StrategyRegistry.get(this.newBotType);
+    if (!definition) {
+      formEl.innerHTML = "";
+      return;
+    }
+
+    formEl.innerHTML = `
+            <form class="bot-card" onsubmit="tradingEngine.createBot(this); return false;">
+                <div class="bot-header">
+                    <div class="bot-name">New Bot</div>
+                </div>
+                <label>Strategy
+                    <select name="type" onchange="tradingEngine.showNewBotForm(this.value)">
+                        ${StrategyRegistry.list()
+                          .map(
+                            (strategy) =>
+                              `<option value="${strategy.id}" ${
+                                strategy.id === definition.id ? "selected" : ""
+                              }>${strategy.name}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </label>
+                <div class="bot-params">${definition.description}</div>
+                <label>Name <input type="text" name="name" value="" /></label>
+                <label>Risk level <input type="number" name="riskLevel" value="0.5" min="0.1" max="0.9" step="0.05" /></label>
+                ${this.renderParameterFields(definition.parameters, {})}
+                <div class="bot-actions">
+                    <button class="btn btn-success" type="submit">Create</button>
+                    <button class="btn btn-danger" type="button" onclick="tradingEngine.showNewBotForm(null)">Cancel</button>
+                </div>
+            </form>
+        `;
+  }
+
+  // Opens the new bot form on a strategy (the first registered by default);
+  // null closes it
+  showNewBotForm(type = StrategyRegistry.list()[0].id) {
+    this.newBotType = type;
+    this.renderNewBotForm();
+  }
+
+  createBot(form) {
+    try {
+      const definition = StrategyRegistry.get(form.elements.type.value);
+      if (!definition) {
+        throw new Error(`Unknown strategy: ${form.elements.type.value}`);
+      }
+      const bot = this.dataManager.addBot({
+        type: definition.id,
+        ...this.readBotForm(form, definition),
+      });
+      this.dataManager.addAIDecision({
+        type: "bot_control",
+        message: `${bot.name} created (${definition.name})`,
+        confidence: 100,
+        rule: "operator",
+        botIds: [bot.id],
+      });
+      this.newBotType = null;
+      this.rebalanceCapital("bot added");
+      this.renderBotsManagement();
+      return bot;
+    } catch (error) {
+      alert("Error creating bot: " + error.message);
+      return null;
+    }
+  }
+
+  saveBotConfig(botId, form) {
+    const bot = this.dataManager.bots.find((b) => b.id === botId);
+    try {
+      const definition = StrategyRegistry.get(bot.type);
+      const config = this.readBotForm(form, definition);
+      const before = {
+        ...StrategyRegistry.defaultParams(definition.parameters),
+        ...bot.params,
+      };
+      const changes = [
+        ...this.dataManager.diffBot(botId, {
+          name: config.name,
+          riskLevel: config.riskLevel,
+        }),
+        ...Object.keys(config.params)
+          .filter((name) => before[name] !== config.params[name])
+          .map((name) => ({
+            botId,
+            field: `params.${name}`,
+            before: before[name],
+            after: config.params[name],
+          })),
+      ];
+      if (changes.length === 0) return;
+
+      this.dataManager.updateBot(botId, config);
+      this.dataManager.addAIDecision({
+        type: "bot_control",
+        message: `${config.name} configuration saved`,
+        confidence: 100,
+        rule: "operator",
+        changes,
+        botIds: [botId],
+      });
+    } catch (error) {
+      alert("Error saving bot: " + error.message);
+    }
+    this.renderBotsManagement();
+    this.renderBots();
+    this.renderAIActivity();
+  }
+
+  approveProposal(id) {
+    try {
+      this.aiAgent.approvals.approve(id);
+    } catch (error) {
+      alert("Error approving proposal: " + error.message);
+    }
+    this.renderApprovals();
+    this.renderBots();
+    this.renderAIActivity();
+  }
+
+  rejectProposal(id) {
+    try {
+      this.aiAgent.approvals.reject(id);
+    } catch (error) {
+      alert("Error rejecting proposal: " + error.message);
+    }
+    this.renderApprovals();
+    this.renderBots();
+    this.renderAIActivity();
+  }
+
+  // Strategy parameters are validated against the bot's strategy
+  editProposal(id, index, value) {
+    try {
+      const proposal = this.aiAgent.approvals.get(id);
+      const change = proposal.changes[index];
+      const bot = this.dataManager.bots.find((b) => b.id === change.botId);
+      let after = Number(value);
+      if (change.field.startsWith("params.")) {
+        const strategy = bot && this.strategies[bot.type];
+        if (!strategy) {
+          throw new Error(`Bot ${change.botId} has no tunable strategy`);
+        }
+        const name = change.field.slice("params.".length);
+        const spec = strategy.constructor.parameters[name];
+        after = strategy.normalizeParams({
+          ...strategy.getParams(bot),
+          [name]: spec && spec.options ? value : Number(value),
+        })[name];
+      }
+      this.aiAgent.approvals.edit(id, index, after);
+    } catch (error) {
+      alert("Invalid value: " + error.message);
+      this.renderedApprovals = null;
+    }
+    this.renderApprovals();
+    this.renderBots();
+  }
+
+  setApprovalPolicy(action, policy) {
+    if (!APPROVAL_ACTIONS[action] || !APPROVAL_POLICIES[policy]) {
+      throw new Error(`Unknown approval policy: ${action} ${policy}`);
+    }
+    this.dataManager.settings.approvals.policies[action] = policy;
+    this.dataManager.saveData();
+    this.renderApprovalPolicies();
+  }
+
+  renderApprovalPolicies() {
+    const policiesEl = document.getElementById("approvalPolicies");
+    if (!policiesEl) return;
+
+    const policies = this.dataManager.settings.approvals.policies;
+    policiesEl.innerHTML = Object.entries(APPROVAL_ACTIONS)
+      .map(
+        ([action, label]) => `
+            <label>${label}
+                <select onchange="tradingEngine.setApprovalPolicy('${action}', this.value)">
+                    ${Object.entries(APPROVAL_POLICIES)
+                      .map(
+                        ([policy, name]) =>
+                          `<option value="${policy}" ${
+                            policy === (policies[action] || "manual")
+                              ? "selected"
+                              : ""
+                          }>${name}</option>`
+                      )
+                      .join("")}
+                </select>
+            </label>
+        `
+      )
+      .join("");
+  }
+
+  renderApprovals() {
+    const listEl = document.getElementById("approvalList");
+    if (!listEl) return;
+
+    const proposals = this.aiAgent.approvals.getPending();
+    const rendered = JSON.stringify(proposals);
+    if (rendered === this.renderedApprovals) return;
+    this.renderedApprovals = rendered;
+
+    if (proposals.length === 0) {
+      listEl.innerHTML = `<div class="activity-item"><span class="activity-message">No changes awaiting approval</span></div>`;
+      return;
+    }
+
+    const botName = (botId) => {
+      const bot = this.dataManager.bots.find((b) => b.id === botId);
+      return bot ? bot.name : `Bot ${botId}`;
+    };
+    listEl.innerHTML = proposals
+      .map(
+        (proposal) => `
+            <div class="activity-item">
+                <span class="activity-time">${
+                  APPROVAL_ACTIONS[proposal.action]
+                } &middot; expires ${new Date(
+          proposal.expiresAt
+        ).toLocaleTimeString()}</span>
+                <span class="activity-message">${proposal.message}${
+          proposal.edited ? " (edited)" : ""
+        }</span>
+                <table class="backtest-table">
+                    <thead>
+                        <tr><th>Bot</th><th>Field</th><th>Before</th><th>After</th></tr>
+                    </thead>
+                    <tbody>
+                        ${proposal.changes
+                          .map(
+                            (change, i) => `
+                        <tr>
+                            <td>${botName(change.botId)}</td>
+                            <td>${change.field}</td>
+                            <td>${change.before}</td>
+                            <td><input type="text" value="${
+                              change.after
+                            }" onchange="tradingEngine.editProposal(${
+                              proposal.id
+                            }, ${i}, this.value)" /></td>
+                        </tr>`
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+                <div class="bot-actions">
+                    <button class="btn btn-success" onclick="tradingEngine.approveProposal(${
+                      proposal.id
+                    })">Approve</button>
+                    <button class="btn btn-danger" onclick="tradingEngine.rejectProposal(${
+                      proposal.id
+                    })">Reject</button>
+                </div>
+            </div>
+        `
+      )
+      .join("");
+  }
+
+  // Current against proposed parameters, with the backtest metrics of each
+  renderOptimization(bot) {
+    const pending = this.aiAgent.getOptimizationProposal(bot.id);
+    if (!pending) return "";
+
+    const proposal = pending.details;
+    const { current, best } = proposal;
+    // Saved proposals come back with null for infinite values
+    const ratio = (value) =>
+      value === null || value === Infinity ? "∞" : value.toFixed(2);
+    const rows = [
+      [
+        OPTIMIZER_OBJECTIVES[proposal.objective],
+        (m, r) => (Number.isFinite(r.score) ? r.score.toFixed(2) : "-"),
+      ],
+      ["Profit", (m) => `$${m.totalProfit.toFixed(2)}`],
+      ["Trades", (m) => m.totalTrades],
+      ["Win Rate", (m) => `${m.winRate.toFixed(1)}%`],
+      ["Max Drawdown", (m) => `$${m.maxDrawdown.toFixed(2)}`],
+      ["Sortino", (m) => ratio(m.sortinoRatio)],
+      ["Profit Factor", (m) => ratio(m.profitFactor)],
+    ];
+    const changed = pending.changes
+      .map(
+        (change) =>
+          `${change.field.replace(/^params\./, "")} ${change.before} &rarr; ${
+            change.after
+          }`
+      )
+      .join(", ");
+
+    return `
+                <div class="bot-optimization">
+                    <div>${OPTIMIZER_METHODS[proposal.method]}: ${
+      proposal.evaluations
+    } backtests over ${proposal.frames} candles (${new Date(
+      proposal.from
+    ).toLocaleTimeString()} &ndash; ${new Date(
+      proposal.to
+    ).toLocaleTimeString()})</div>
+                    <div>Proposed${
+                      pending.edited ? " (edited)" : ""
+                    }: ${changed}</div>
+                    <table class="backtest-table">
+                        <thead>
+                            <tr><th></th><th>Current</th><th>Proposed</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows
+                              .map(
+                                ([label, value]) =>
+                                  `<tr><td>${label}</td><td>${value(
+                                    current.metrics,
+                                    current
+                                  )}</td><td>${value(
+                                    best.metrics,
+                                    best
+                                  )}</td></tr>`
+                              )
+                              .join("")}
+                        </tbody>
+                    </table>
+                    <div class="bot-actions">
+                        <button class="btn btn-success" onclick="tradingEngine.approveProposal(${
+                          pending.id
+                        })">Accept</button>
+                        <button class="btn btn-danger" onclick="tradingEngine.rejectProposal(${
+                          pending.id
+                        })">Reject</button>
+                    </div>
+                </div>`;
+  }
+}
+
+// The bots page's "+ New Bot" button
+function createNewBot() {
+  tradingEngine.showNewBotForm();
 }
 
 // Initialize trading engine when DOM is loaded